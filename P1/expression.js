@@ -0,0 +1,426 @@
+"use strict";
+
+/*======================  FORMULA EXPRESSIONS  ======================*/
+
+// A small math expression language for user-entered surfaces, parsed
+// without eval/Function. Grammar:
+//   expr    := term (("+" | "-") term)*
+//   term    := unary (("*" | "/") unary)*
+//   unary   := ("+" | "-") unary | power
+//   power   := primary (("^" | "**") unary)?      (right associative)
+//   primary := number | name | name "(" expr ("," expr)* ")" | "(" expr ")"
+// Names are the variables u and v, constants and functions below.
+//
+// Compiled expressions evaluate on dual numbers { value, du, dv }, so
+// dP/du and dP/dv are exact (forward-mode automatic differentiation).
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(
+      position === undefined ? message : `${message} at column ${position + 1}`
+    );
+    this.name = "ExpressionError";
+    this.position = position;
+  }
+}
+
+const EXPRESSION_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+// Only the tables' own names: "constructor", "toString" and the like
+// must be unknown names, not Object.prototype members
+const isOwnName = (table, name) =>
+  Object.prototype.hasOwnProperty.call(table, name);
+
+const dual = (value, du = 0, dv = 0) => ({ value, du, dv });
+
+// Each function: (args as duals) => dual, chain rule included
+const EXPRESSION_FUNCTIONS = {
+  sin: [
+    1,
+    (a) =>
+      dual(
+        Math.sin(a.value),
+        Math.cos(a.value) * a.du,
+        Math.cos(a.value) * a.dv
+      ),
+  ],
+  cos: [
+    1,
+    (a) =>
+      dual(
+        Math.cos(a.value),
+        -Math.sin(a.value) * a.du,
+        -Math.sin(a.value) * a.dv
+      ),
+  ],
+  tan: [
+    1,
+    (a) => {
+      const d = 1 / (Math.cos(a.value) * Math.cos(a.value));
+      return dual(Math.tan(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  asin: [
+    1,
+    (a) => {
+      const d = 1 / Math.sqrt(1 - a.value * a.value);
+      return dual(Math.asin(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  acos: [
+    1,
+    (a) => {
+      const d = -1 / Math.sqrt(1 - a.value * a.value);
+      return dual(Math.acos(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  atan: [
+    1,
+    (a) => {
+      const d = 1 / (1 + a.value * a.value);
+      return dual(Math.atan(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  sinh: [
+    1,
+    (a) =>
+      dual(
+        Math.sinh(a.value),
+        Math.cosh(a.value) * a.du,
+        Math.cosh(a.value) * a.dv
+      ),
+  ],
+  cosh: [
+    1,
+    (a) =>
+      dual(
+        Math.cosh(a.value),
+        Math.sinh(a.value) * a.du,
+        Math.sinh(a.value) * a.dv
+      ),
+  ],
+  tanh: [
+    1,
+    (a) => {
+      const t = Math.tanh(a.value);
+      return dual(t, (1 - t * t) * a.du, (1 - t * t) * a.dv);
+    },
+  ],
+  exp: [
+    1,
+    (a) => {
+      const x = Math.exp(a.value);
+      return dual(x, x * a.du, x * a.dv);
+    },
+  ],
+  log: [1, (a) => dual(Math.log(a.value), a.du / a.value, a.dv / a.value)],
+  ln: [1, (a) => dual(Math.log(a.value), a.du / a.value, a.dv / a.value)],
+  sqrt: [
+    1,
+    (a) => {
+      const x = Math.sqrt(a.value);
+      return dual(x, a.du / (2 * x), a.dv / (2 * x));
+    },
+  ],
+  abs: [
+    1,
+    (a) => {
+      const s = Math.sign(a.value);
+      return dual(Math.abs(a.value), s * a.du, s * a.dv);
+    },
+  ],
+  sign: [1, (a) => dual(Math.sign(a.value))],
+  pow: [2, (a, b) => powDual(a, b)],
+  atan2: [
+    2,
+    (y, x) => {
+      const d = x.value * x.value + y.value * y.value;
+      return dual(
+        Math.atan2(y.value, x.value),
+        (x.value * y.du - y.value * x.du) / d,
+        (x.value * y.dv - y.value * x.dv) / d
+      );
+    },
+  ],
+  min: [2, (a, b) => (a.value <= b.value ? a : b)],
+  max: [2, (a, b) => (a.value >= b.value ? a : b)],
+};
+
+// a^b; the ln(a) term only matters when the exponent varies
+const powDual = (a, b) => {
+  const value = Math.pow(a.value, b.value);
+  const base = a.value === 0 ? 0 : b.value * Math.pow(a.value, b.value - 1);
+  const exponentVaries = b.du !== 0 || b.dv !== 0;
+  const logA = exponentVaries ? value * Math.log(a.value) : 0;
+  return dual(
+    value,
+    base * a.du + (b.du ? logA * b.du : 0),
+    base * a.dv + (b.dv ? logA * b.dv : 0)
+  );
+};
+
+const tokenizeExpression = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({
+        type: "number",
+        value: parseFloat(number[0]),
+        position: i,
+      });
+      i += number[0].length;
+      continue;
+    }
+    const name = /^[A-Za-z_]\w*/.exec(source.slice(i));
+    if (name) {
+      tokens.push({ type: "name", value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+    if (source.startsWith("**", i)) {
+      tokens.push({ type: "op", value: "^", position: i });
+      i += 2;
+      continue;
+    }
+    if ("+-*/^(),".includes(ch)) {
+      tokens.push({ type: "op", value: ch, position: i });
+      i++;
+      continue;
+    }
+    throw new ExpressionError(`Unexpected character '${ch}'`, i);
+  }
+  tokens.push({ type: "end", value: "", position: source.length });
+  return tokens;
+};
+
+/**
+ * Parse source into an AST of
+ *   { type: "number", value } | { type: "variable", name }
+ *   { type: "unary", op, arg } | { type: "binary", op, left, right }
+ *   { type: "call", name, args }
+ * Throws ExpressionError on any syntax or name error.
+ */
+const parseExpression = (source, variables = ["u", "v"]) => {
+  const tokens = tokenizeExpression(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek().type === "op" && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) {
+      const token = peek();
+      const found = token.type === "end" ? "end of input" : `'${token.value}'`;
+      throw new ExpressionError(
+        `Expected '${value}' but found ${found}`,
+        token.position
+      );
+    }
+    index++;
+  };
+
+  const parseExpr = () => {
+    let node = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp("+") || isOp("-")) {
+      const op = tokens[index++].value;
+      return { type: "unary", op, arg: parseUnary() };
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      index++;
+      return { type: "binary", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === "number") {
+      index++;
+      return { type: "number", value: token.value };
+    }
+    if (token.type === "name") {
+      index++;
+      if (isOp("(")) {
+        if (!isOwnName(EXPRESSION_FUNCTIONS, token.value)) {
+          throw new ExpressionError(
+            `Unknown function '${token.value}'`,
+            token.position
+          );
+        }
+        const fn = EXPRESSION_FUNCTIONS[token.value];
+        index++;
+        const args = [parseExpr()];
+        while (isOp(",")) {
+          index++;
+          args.push(parseExpr());
+        }
+        expectOp(")");
+        if (args.length !== fn[0]) {
+          throw new ExpressionError(
+            `Function '${token.value}' takes ${fn[0]} argument(s), got ${args.length}`,
+            token.position
+          );
+        }
+        return { type: "call", name: token.value, args };
+      }
+      if (variables.includes(token.value)) {
+        return { type: "variable", name: token.value };
+      }
+      if (isOwnName(EXPRESSION_CONSTANTS, token.value)) {
+        return { type: "number", value: EXPRESSION_CONSTANTS[token.value] };
+      }
+      throw new ExpressionError(
+        `Unknown name '${token.value}'`,
+        token.position
+      );
+    }
+    if (isOp("(")) {
+      index++;
+      const node = parseExpr();
+      expectOp(")");
+      return node;
+    }
+    const found = token.type === "end" ? "end of input" : `'${token.value}'`;
+    throw new ExpressionError(`Unexpected ${found}`, token.position);
+  };
+
+  const ast = parseExpr();
+  if (peek().type !== "end") {
+    throw new ExpressionError(`Unexpected '${peek().value}'`, peek().position);
+  }
+  return ast;
+};
+
+// Evaluate an AST on dual numbers; scope maps variable names to duals
+const evaluateDual = (node, scope) => {
+  switch (node.type) {
+    case "number":
+      return dual(node.value);
+    case "variable":
+      return scope[node.name];
+    case "unary": {
+      const a = evaluateDual(node.arg, scope);
+      return node.op === "-" ? dual(-a.value, -a.du, -a.dv) : a;
+    }
+    case "call":
+      return EXPRESSION_FUNCTIONS[node.name][1](
+        ...node.args.map((arg) => evaluateDual(arg, scope))
+      );
+    case "binary": {
+      const a = evaluateDual(node.left, scope);
+      const b = evaluateDual(node.right, scope);
+      switch (node.op) {
+        case "+":
+          return dual(a.value + b.value, a.du + b.du, a.dv + b.dv);
+        case "-":
+          return dual(a.value - b.value, a.du - b.du, a.dv - b.dv);
+        case "*":
+          return dual(
+            a.value * b.value,
+            a.du * b.value + a.value * b.du,
+            a.dv * b.value + a.value * b.dv
+          );
+        case "/":
+          return dual(
+            a.value / b.value,
+            (a.du * b.value - a.value * b.du) / (b.value * b.value),
+            (a.dv * b.value - a.value * b.dv) / (b.value * b.value)
+          );
+        case "^":
+          return powDual(a, b);
+      }
+    }
+  }
+  throw new ExpressionError(`Invalid expression node '${node.type}'`);
+};
+
+// Parse and return (u, v) => { value, du, dv }
+const compileExpression = (source) => {
+  const ast = parseExpression(source);
+  return (u, v) => evaluateDual(ast, { u: dual(u, 1, 0), v: dual(v, 0, 1) });
+};
+
+// Parse a constant (no u, v) such as "2*pi" for the domain bounds
+const evaluateConstantExpression = (source) =>
+  evaluateDual(parseExpression(source, []), {}).value;
+
+/**
+ * Register (or replace) a surface from user formulas.
+ * spec: { x, y, z, uMin, uMax, vMin, vMax } as expression strings.
+ * Errors are ExpressionErrors prefixed with the offending field.
+ * The spec is kept as `formula` so the surface can be re-registered in
+ * another registry (e.g. the mesh worker's).
+ */
+const registerFormulaSurface = (id, spec) => {
+  const field = (name, parse) => {
+    try {
+      return parse(spec[name]);
+    } catch (e) {
+      if (e instanceof ExpressionError) {
+        throw new ExpressionError(`${name}: ${e.message}`);
+      }
+      throw e;
+    }
+  };
+
+  const x = field("x", compileExpression);
+  const y = field("y", compileExpression);
+  const z = field("z", compileExpression);
+  const uRange = [
+    field("uMin", evaluateConstantExpression),
+    field("uMax", evaluateConstantExpression),
+  ];
+  const vRange = [
+    field("vMin", evaluateConstantExpression),
+    field("vMax", evaluateConstantExpression),
+  ];
+  if (!(uRange[0] < uRange[1]) || !(vRange[0] < vRange[1])) {
+    throw new ExpressionError("Ranges need min < max");
+  }
+
+  registerSurface(id, {
+    name: "Custom formula",
+    domain: () => ({ u: uRange, v: vRange }),
+    position: (u, v) => [x(u, v).value, y(u, v).value, z(u, v).value],
+    derivatives: (u, v) => {
+      const px = x(u, v);
+      const py = y(u, v);
+      const pz = z(u, v);
+      return { du: [px.du, py.du, pz.du], dv: [px.dv, py.dv, pz.dv] };
+    },
+    twoSided: true, // orientation of user formulas is unknown
+    formula: { ...spec },
+  });
+  return getSurface(id);
+};
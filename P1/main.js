@@ -8,7 +8,8 @@ let spaceball; // A TrackballRotator object
 const deg2rad = (angle) => (angle * Math.PI) / 180;
 
 /*======================  MODEL  ======================*/
-// Wireframe surface: stores two sets of polylines – U and V.
+// Wireframe surface: stores sets of polylines – U, V and cross-section
+// contours.
 function Model(name) {
   this.name = name;
   this.iVertexBuffer = gl.createBuffer();
@@ -16,11 +17,14 @@ function Model(name) {
   // Info for drawing each polyline: { offset, count } in vertices
   this.uLineInfo = [];
   this.vLineInfo = [];
+  this.contourInfo = [];
 
-  // Uploads all U + V lines into one buffer and remembers offsets.
-  this.BufferData = (uLines, vLines) => {
+  // Uploads all U + V lines (and contours) into one buffer and remembers
+  // offsets.
+  this.BufferData = (uLines, vLines, contours = []) => {
     this.uLineInfo = [];
     this.vLineInfo = [];
+    this.contourInfo = [];
 
     // Flatten all lines into one big array
     let vertices = [];
@@ -50,6 +54,18 @@ function Model(name) {
       currentOffset += vertCount;
     }
 
+    // Cross-section contours (surfaceSliceContours polylines)
+    for (let i = 0; i < contours.length; i++) {
+      const line = contours[i];
+      const vertCount = line.length / 3;
+      this.contourInfo.push({
+        offset: currentOffset,
+        count: vertCount,
+      });
+      vertices.push(...line);
+      currentOffset += vertCount;
+    }
+
     gl.bindBuffer(gl.ARRAY_BUFFER, this.iVertexBuffer);
     gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
   };
@@ -72,6 +88,13 @@ function Model(name) {
       const info = this.vLineInfo[i];
       gl.drawArrays(gl.LINE_STRIP, info.offset, info.count);
     }
+
+    // Draw contours (magenta)
+    gl.uniform4fv(shProgram.iColor, [1.0, 0.2, 0.8, 1.0]);
+    for (let i = 0; i < this.contourInfo.length; i++) {
+      const info = this.contourInfo[i];
+      gl.drawArrays(gl.LINE_STRIP, info.offset, info.count);
+    }
   };
 }
 
@@ -98,7 +121,7 @@ const computeTransforms = (modelView) => {
 };
 
 const computeMVP = (modelView) => {
-  const projection = m4.perspective(Math.PI / 8, 1, 8, 12);
+  const projection = m4.perspective(Math.PI / 8, 1, 2, 20);
   const mv = computeTransforms(modelView);
   return m4.multiply(projection, mv);
 };
@@ -121,60 +144,70 @@ const draw = () => {
 
 /*======================  GEOMETRY  ======================*/
 
-// Parabolic Humming-Top parametric function, mapped to (x, y, z)
-// y ∈ [-h, h], beta ∈ [0, 2π]
-const parabolicHummingTopVertex = (y, beta, h, p) => {
-  const rBase = Math.abs(y) - h; // |y| - h
-  const r = (rBase * rBase) / (2 * p); // (|y| - h)^2 / (2p)
+// Surfaces come from the registry in surfaces.js
+const DEFAULT_SURFACE = "hummingTop";
 
-  const x = r * Math.cos(beta);
-  const z = r * Math.sin(beta);
-
-  return [x, y, z];
-};
-
-const generateULines = (h, p, vSegments, uSegments) => {
+// Constant-v polylines running along u
+const generateULines = (surfaceDef, params, vSegments, uSegments) => {
+  const {
+    u: [uMin, uMax],
+    v: [vMin, vMax],
+  } = surfaceDef.domain(params);
   const uLines = [];
   for (let j = 0; j <= vSegments; j++) {
-    const y = -h + (2 * h * j) / vSegments; // from -h to h
+    const v = vMin + ((vMax - vMin) * j) / vSegments;
     const line = [];
     for (let i = 0; i <= uSegments; i++) {
-      const beta = (2 * Math.PI * i) / uSegments;
-      const [x, yy, z] = parabolicHummingTopVertex(y, beta, h, p);
-      line.push(x, yy, z);
+      const u = uMin + ((uMax - uMin) * i) / uSegments;
+      line.push(...surfaceDef.position(u, v, params));
     }
     uLines.push(line);
   }
   return uLines;
 };
 
-const generateVLines = (h, p, vSegments, uSegments) => {
+// Constant-u polylines running along v
+const generateVLines = (surfaceDef, params, vSegments, uSegments) => {
+  const {
+    u: [uMin, uMax],
+    v: [vMin, vMax],
+  } = surfaceDef.domain(params);
   const vLines = [];
   for (let i = 0; i <= uSegments; i++) {
-    const beta = (2 * Math.PI * i) / uSegments;
+    const u = uMin + ((uMax - uMin) * i) / uSegments;
     const line = [];
     for (let j = 0; j <= vSegments; j++) {
-      const y = -h + (2 * h * j) / vSegments; // from -h to h
-      const [x, yy, z] = parabolicHummingTopVertex(y, beta, h, p);
-      line.push(x, yy, z);
+      const v = vMin + ((vMax - vMin) * j) / vSegments;
+      line.push(...surfaceDef.position(u, v, params));
     }
     vLines.push(line);
   }
   return vLines;
 };
 
-const CreateSurfaceData = () => {
-  // geometric parameters
-  const h = 1.0; // height of one sheet
-  const p = 0.5; // parabola parameter
+const CreateSurfaceData = ({
+  surface = DEFAULT_SURFACE,
+  params,
+  slicePlane = null,
+} = {}) => {
+  const surfaceDef = getSurface(surface);
+  params = resolveSurfaceParams(surfaceDef, params);
 
   // grid resolution
-  const vSegments = 40; // along y (vertical)
-  const uSegments = 64; // angle segments
-
-  const uLines = generateULines(h, p, vSegments, uSegments);
-  const vLines = generateVLines(h, p, vSegments, uSegments);
-  return { uLines, vLines };
+  const vSegments = 40; // along v
+  const uSegments = 64; // along u
+
+  const uLines = generateULines(surfaceDef, params, vSegments, uSegments);
+  const vLines = generateVLines(surfaceDef, params, vSegments, uSegments);
+  const contours = slicePlane
+    ? surfaceSliceContours(
+        surfaceDef,
+        params,
+        slicePlane.normal,
+        slicePlane.offset
+      ).map((contour) => contour.points)
+    : [];
+  return { uLines, vLines, contours };
 };
 
 const validateGLResources = (prog) => {
@@ -207,10 +240,8 @@ const initGL = () => {
 
   validateGLResources(prog);
 
-  // Create and fill surface model
-  const surfaceData = CreateSurfaceData();
-  surface = new Model("ParabolicHummingTop");
-  surface.BufferData(surfaceData.uLines, surfaceData.vLines);
+  // Surface model, filled from the h/p sliders in init()
+  surface = new Model(DEFAULT_SURFACE);
 
   gl.enable(gl.DEPTH_TEST);
 };
@@ -250,6 +281,155 @@ const createProgram = (gl, vShader, fShader) => {
   return prog;
 };
 
+/*======================  SURFACE CONTROLS  ======================*/
+
+/**
+ * Fill the surface dropdown from the registry and build one slider per
+ * parameter of the selected surface. onChange runs on every edit.
+ *
+ * Returns { getSurfaceId(), getParams() }
+ */
+const initSurfaceControls = (select, paramsHolder, onChange) => {
+  let sliders = {};
+
+  for (const def of listSurfaces()) {
+    const option = document.createElement("option");
+    option.value = def.id;
+    option.textContent = def.name;
+    select.appendChild(option);
+  }
+  select.value = DEFAULT_SURFACE;
+
+  const buildSliders = () => {
+    const def = getSurface(select.value);
+    paramsHolder.innerHTML = "";
+    sliders = {};
+
+    for (const [key, range] of Object.entries(def.params)) {
+      const row = document.createElement("div");
+      const label = document.createElement("label");
+      const slider = document.createElement("input");
+      const value = document.createElement("span");
+
+      label.textContent = `${range.label}:`;
+      slider.type = "range";
+      slider.min = range.min;
+      slider.max = range.max;
+      slider.step = range.step;
+      slider.value = range.defaultValue;
+      value.textContent = range.defaultValue.toFixed(2);
+
+      slider.oninput = () => {
+        value.textContent = parseFloat(slider.value).toFixed(2);
+        onChange();
+      };
+
+      row.append(label, slider, value);
+      paramsHolder.appendChild(row);
+      sliders[key] = slider;
+    }
+  };
+
+  select.onchange = () => {
+    buildSliders();
+    onChange();
+  };
+  buildSliders();
+
+  return {
+    getSurfaceId: () => select.value,
+    getParams: () => {
+      const values = {};
+      for (const [key, slider] of Object.entries(sliders)) {
+        values[key] = parseFloat(slider.value);
+      }
+      return resolveSurfaceParams(getSurface(select.value), values);
+    },
+  };
+};
+
+/*======================  SLICE CONTROLS  ======================*/
+
+/**
+ * Cross-section plane inputs: a checkbox, the normal components and
+ * the offset. onChange runs on every edit.
+ *
+ * Returns { getPlane() } – { normal, offset }, or null when slicing is
+ * off or the normal is zero
+ */
+const initSliceControls = (onChange) => {
+  const checkbox = document.getElementById("showSlice");
+  const normalInputs = ["sliceNX", "sliceNY", "sliceNZ"].map((id) =>
+    document.getElementById(id)
+  );
+  const offsetSlider = document.getElementById("sliceOffset");
+  const offsetValue = document.getElementById("sliceOffsetVal");
+
+  for (const input of [checkbox, ...normalInputs, offsetSlider]) {
+    input.oninput = () => {
+      offsetValue.textContent = parseFloat(offsetSlider.value).toFixed(2);
+      onChange();
+    };
+  }
+
+  return {
+    getPlane: () => {
+      const normal = normalInputs.map((input) => parseFloat(input.value) || 0);
+      if (!checkbox.checked || normal.every((c) => c === 0)) return null;
+      return { normal, offset: parseFloat(offsetSlider.value) };
+    },
+  };
+};
+
+/*======================  FORMULA CONTROLS  ======================*/
+
+// Registry id of the user-entered surface
+const FORMULA_SURFACE = "custom";
+
+/**
+ * Hook up the custom formula panel: Apply (re)registers the formula
+ * surface and selects it in the surface dropdown; errors are shown
+ * next to the button and leave the current surface untouched.
+ */
+const initFormulaControls = (select) => {
+  const inputIds = {
+    x: "formulaX",
+    y: "formulaY",
+    z: "formulaZ",
+    uMin: "formulaUMin",
+    uMax: "formulaUMax",
+    vMin: "formulaVMin",
+    vMax: "formulaVMax",
+  };
+  const errorLabel = document.getElementById("formulaError");
+
+  document.getElementById("formulaApply").onclick = () => {
+    const spec = {};
+    for (const [name, id] of Object.entries(inputIds)) {
+      spec[name] = document.getElementById(id).value;
+    }
+
+    let def;
+    try {
+      def = registerFormulaSurface(FORMULA_SURFACE, spec);
+    } catch (e) {
+      if (!(e instanceof ExpressionError)) throw e;
+      errorLabel.textContent = e.message;
+      return;
+    }
+    errorLabel.textContent = "";
+
+    if (!select.querySelector(`option[value="${FORMULA_SURFACE}"]`)) {
+      const option = document.createElement("option");
+      option.value = FORMULA_SURFACE;
+      option.textContent = def.name;
+      select.appendChild(option);
+    }
+    select.value = FORMULA_SURFACE;
+    select.onchange();
+  };
+};
+
 /*======================  INIT  ======================*/
 const init = () => {
   let canvas;
@@ -278,5 +458,29 @@ const init = () => {
   }
 
   spaceball = new TrackballRotator(canvas, draw, 0);
-  draw();
+
+  // Hook up the surface dropdown and its parameter sliders
+  const updateSurfaceFromSliders = () => {
+    const surfaceData = CreateSurfaceData({
+      surface: surfaceControls.getSurfaceId(),
+      params: surfaceControls.getParams(),
+      slicePlane: sliceControls.getPlane(),
+    });
+    surface.name = surfaceControls.getSurfaceId();
+    surface.BufferData(
+      surfaceData.uLines,
+      surfaceData.vLines,
+      surfaceData.contours
+    );
+    draw();
+  };
+
+  const surfaceControls = initSurfaceControls(
+    document.getElementById("surfaceSelect"),
+    document.getElementById("surfaceParams"),
+    updateSurfaceFromSliders
+  );
+  const sliceControls = initSliceControls(updateSurfaceFromSliders);
+  initFormulaControls(document.getElementById("surfaceSelect"));
+  updateSurfaceFromSliders();
 };
@@ -0,0 +1,441 @@
+"use strict";
+
+/*======================  PARAMETRIC SURFACE REGISTRY  ======================*/
+
+// Every surface is P(u, v) with the y axis vertical:
+//   u – "around" direction (columns of the grid, texture s)
+//   v – "along" direction (rows of the grid, texture t)
+// dP/dv x dP/du must point to the outside so that the triangle winding used
+// by the generators matches the normals and back-face culling.
+//
+// A definition holds:
+//   name:        label for the surface dropdown
+//   params:      { key: { label, min, max, step, defaultValue } }
+//   domain:      (params) => ({ u: [min, max], v: [min, max] })
+//   position:    (u, v, params) => [x, y, z]
+//   derivatives: optional (u, v, params, side) => { du, dv }; side (-1/+1)
+//                picks the one-sided dP/dv on a crease
+//   creases:     optional (params) => [v, ...] rows kept as hard edges
+//   twoSided:    true for open or non-orientable surfaces (no culling)
+const SURFACE_REGISTRY = new Map();
+
+const registerSurface = (id, definition) => {
+  if (typeof definition.position !== "function") {
+    throw new Error(`Surface '${id}' needs a position function.`);
+  }
+  if (typeof definition.domain !== "function") {
+    throw new Error(`Surface '${id}' needs a domain function.`);
+  }
+  SURFACE_REGISTRY.set(id, {
+    id,
+    name: id,
+    params: {},
+    creases: () => [],
+    twoSided: false,
+    ...definition,
+  });
+};
+
+const getSurface = (id) => {
+  const surface = SURFACE_REGISTRY.get(id);
+  if (!surface) {
+    throw new Error(`Unknown surface '${id}'.`);
+  }
+  return surface;
+};
+
+const listSurfaces = () => [...SURFACE_REGISTRY.values()];
+
+// Clamp parameters into their ranges (missing or non-numbers -> default)
+const resolveSurfaceParams = (surface, values = {}) => {
+  const params = {};
+  for (const key of Object.keys(surface.params)) {
+    const range = surface.params[key];
+    const value = values[key];
+    params[key] = Number.isFinite(value)
+      ? Math.min(Math.max(value, range.min), range.max)
+      : range.defaultValue;
+  }
+  return params;
+};
+
+/*======================  PLANAR SLICING  ======================*/
+
+// Unit normal and offset (signed distance from the origin) of a plane
+const normalizePlane = (normal, offset) => {
+  const len = Math.hypot(normal[0], normal[1], normal[2]);
+  if (!(len > 0)) {
+    throw new Error("Slice plane normal must not be zero.");
+  }
+  return { normal: normal.map((c) => c / len), offset };
+};
+
+/**
+ * Intersection of the surface with the plane normal · P = offset (the
+ * normal is normalized here) as polylines on the true surface: marching
+ * squares on a uSegments x vSegments parameter grid, every crossing
+ * refined by bisection along its grid edge. Pieces are joined across
+ * seams where their end points coincide; closed loops repeat their
+ * first point at the end.
+ *
+ * Returns [{ points: [x, y, z, ...], closed }]
+ */
+const surfaceSliceContours = (
+  surface,
+  params,
+  normal,
+  offset,
+  uSegments = 128,
+  vSegments = 128
+) => {
+  const plane = normalizePlane(normal, offset);
+  const distance = (P) =>
+    plane.normal[0] * P[0] +
+    plane.normal[1] * P[1] +
+    plane.normal[2] * P[2] -
+    plane.offset;
+  const {
+    u: [uMin, uMax],
+    v: [vMin, vMax],
+  } = surface.domain(params);
+  const uAt = (i) => uMin + ((uMax - uMin) * i) / uSegments;
+  const vAt = (j) => vMin + ((vMax - vMin) * j) / vSegments;
+
+  // Signed distances of the grid points
+  const stride = uSegments + 1;
+  const f = new Float64Array(stride * (vSegments + 1));
+  for (let j = 0; j <= vSegments; j++) {
+    for (let i = 0; i <= uSegments; i++) {
+      f[j * stride + i] = distance(surface.position(uAt(i), vAt(j), params));
+    }
+  }
+  const above = (i, j) => f[j * stride + i] > 0;
+
+  // Crossing points, shared by the two cells of an edge and merged by
+  // position so that seams and poles join up
+  const points = [];
+  const pointIds = new Map();
+  const edgeIds = new Map();
+  const crossing = (i0, j0, i1, j1) => {
+    const key = `${i0},${j0},${i1},${j1}`;
+    if (edgeIds.has(key)) return edgeIds.get(key);
+
+    let t0 = 0.0;
+    let t1 = 1.0;
+    const positive0 = above(i0, j0);
+    const at = (t) =>
+      surface.position(
+        uAt(i0 + t * (i1 - i0)),
+        vAt(j0 + t * (j1 - j0)),
+        params
+      );
+    for (let step = 0; step < 30; step++) {
+      const t = 0.5 * (t0 + t1);
+      if (distance(at(t)) > 0 === positive0) t0 = t;
+      else t1 = t;
+    }
+    const P = at(0.5 * (t0 + t1));
+
+    const spatialKey = P.map((c) => Math.round(c * 1e6)).join(",");
+    if (!pointIds.has(spatialKey)) {
+      pointIds.set(spatialKey, points.length);
+      points.push(P);
+    }
+    const id = pointIds.get(spatialKey);
+    edgeIds.set(key, id);
+    return id;
+  };
+
+  // Marching squares: corners c0 (i, j), c1 (i+1, j), c2 (i+1, j+1),
+  // c3 (i, j+1); edge k runs from corner k to corner k+1
+  const segments = [];
+  for (let j = 0; j < vSegments; j++) {
+    for (let i = 0; i < uSegments; i++) {
+      const corners = [
+        [i, j],
+        [i + 1, j],
+        [i + 1, j + 1],
+        [i, j + 1],
+      ];
+      const signs = corners.map(([ci, cj]) => above(ci, cj));
+      const crossed = [];
+      for (let k = 0; k < 4; k++) {
+        if (signs[k] !== signs[(k + 1) % 4]) crossed.push(k);
+      }
+      if (crossed.length === 0) continue;
+
+      const edge = (k) => {
+        // Canonical direction, so both cells of an edge share its point
+        const [a, b] = [corners[k], corners[(k + 1) % 4]].sort(
+          (p, q) => p[1] - q[1] || p[0] - q[0]
+        );
+        return crossing(a[0], a[1], b[0], b[1]);
+      };
+
+      let pairs;
+      if (crossed.length === 2) {
+        pairs = [[crossed[0], crossed[1]]];
+      } else {
+        // Saddle: the cell centre decides which corners are connected
+        const center = distance(
+          surface.position(uAt(i + 0.5), vAt(j + 0.5), params)
+        );
+        pairs =
+          center > 0 === signs[0]
+            ? [
+                [0, 1],
+                [2, 3],
+              ]
+            : [
+                [3, 0],
+                [1, 2],
+              ];
+      }
+      for (const [ka, kb] of pairs) {
+        const a = edge(ka);
+        const b = edge(kb);
+        if (a !== b) segments.push([a, b]);
+      }
+    }
+  }
+
+  // Chain segments into polylines, open ones from their ends first
+  const incident = points.map(() => []);
+  segments.forEach(([a, b], s) => {
+    incident[a].push(s);
+    incident[b].push(s);
+  });
+  const used = new Array(segments.length).fill(false);
+  const walk = (start) => {
+    const chain = [start];
+    let current = start;
+    for (;;) {
+      const s = incident[current].find((candidate) => !used[candidate]);
+      if (s === undefined) break;
+      used[s] = true;
+      current = segments[s][0] === current ? segments[s][1] : segments[s][0];
+      chain.push(current);
+    }
+    return chain;
+  };
+
+  const contours = [];
+  const ids = [...points.keys()];
+  const starts = [...ids.filter((id) => incident[id].length % 2 === 1), ...ids];
+  for (const start of starts) {
+    while (incident[start].some((s) => !used[s])) {
+      const chain = walk(start);
+      contours.push({
+        points: chain.flatMap((id) => points[id]),
+        closed: chain.length > 2 && chain[0] === chain[chain.length - 1],
+      });
+    }
+  }
+  return contours;
+};
+
+/*======================  PARABOLIC HUMMING-TOP  ======================*/
+
+// Parabolic Humming-Top parametric function, mapped to (x, y, z)
+// y ∈ [-h, h], beta ∈ [0, 2π]
+const parabolicHummingTopVertex = (y, beta, h, p) => {
+  const rBase = Math.abs(y) - h; // |y| - h
+  const r = (rBase * rBase) / (2 * p); // (|y| - h)^2 / (2p)
+
+  const x = r * Math.cos(beta);
+  const z = r * Math.sin(beta);
+
+  return [x, y, z];
+};
+
+// Partial derivatives of parabolicHummingTopVertex.
+// sheet: -1 (lower) or +1 (upper); picks the one-sided derivative at the
+// y = 0 crease where |y| is not differentiable. Defaults to sign(y).
+// Returns { dy: dP/dy, dbeta: dP/dbeta }
+const parabolicHummingTopDerivatives = (y, beta, h, p, sheet) => {
+  const s = sheet || Math.sign(y);
+  const rBase = Math.abs(y) - h;
+  const r = (rBase * rBase) / (2 * p);
+  const dr = (rBase * s) / p; // dr/dy
+
+  const cosB = Math.cos(beta);
+  const sinB = Math.sin(beta);
+
+  return {
+    dy: [dr * cosB, 1.0, dr * sinB],
+    dbeta: [-r * sinB, 0.0, r * cosB],
+  };
+};
+
+registerSurface("hummingTop", {
+  name: "Parabolic Humming-Top",
+  params: {
+    h: { label: "Height h", min: 0.5, max: 1.5, step: 0.05, defaultValue: 1.0 },
+    p: {
+      label: "Parabola p",
+      min: 0.25,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 0.5,
+    },
+  },
+  domain: ({ h }) => ({ u: [0, 2 * Math.PI], v: [-h, h] }),
+  position: (u, v, { h, p }) => parabolicHummingTopVertex(v, u, h, p),
+  derivatives: (u, v, { h, p }, side) => {
+    const d = parabolicHummingTopDerivatives(v, u, h, p, side);
+    return { du: d.dbeta, dv: d.dy };
+  },
+  creases: () => [0.0], // the two parabolic sheets meet at y = 0
+});
+
+/*======================  OTHER SURFACES  ======================*/
+
+registerSurface("sphere", {
+  name: "Sphere",
+  params: {
+    R: {
+      label: "Radius R",
+      min: 0.25,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 1.0,
+    },
+  },
+  domain: () => ({ u: [0, 2 * Math.PI], v: [-Math.PI / 2, Math.PI / 2] }),
+  position: (u, v, { R }) => [
+    R * Math.cos(v) * Math.cos(u),
+    R * Math.sin(v),
+    R * Math.cos(v) * Math.sin(u),
+  ],
+  derivatives: (u, v, { R }) => ({
+    du: [-R * Math.cos(v) * Math.sin(u), 0.0, R * Math.cos(v) * Math.cos(u)],
+    dv: [
+      -R * Math.sin(v) * Math.cos(u),
+      R * Math.cos(v),
+      -R * Math.sin(v) * Math.sin(u),
+    ],
+  }),
+});
+
+registerSurface("torus", {
+  name: "Torus",
+  params: {
+    R: {
+      label: "Major radius R",
+      min: 0.5,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 1.0,
+    },
+    r: {
+      label: "Minor radius r",
+      min: 0.1,
+      max: 0.8,
+      step: 0.05,
+      defaultValue: 0.35,
+    },
+  },
+  domain: () => ({ u: [0, 2 * Math.PI], v: [0, 2 * Math.PI] }),
+  position: (u, v, { R, r }) => {
+    const ring = R + r * Math.cos(v);
+    return [ring * Math.cos(u), r * Math.sin(v), ring * Math.sin(u)];
+  },
+  derivatives: (u, v, { R, r }) => {
+    const ring = R + r * Math.cos(v);
+    return {
+      du: [-ring * Math.sin(u), 0.0, ring * Math.cos(u)],
+      dv: [
+        -r * Math.sin(v) * Math.cos(u),
+        r * Math.cos(v),
+        -r * Math.sin(v) * Math.sin(u),
+      ],
+    };
+  },
+});
+
+registerSurface("mobius", {
+  name: "Möbius Strip",
+  params: {
+    R: { label: "Radius R", min: 0.5, max: 1.5, step: 0.05, defaultValue: 1.0 },
+    w: {
+      label: "Half-width w",
+      min: 0.1,
+      max: 0.6,
+      step: 0.05,
+      defaultValue: 0.4,
+    },
+  },
+  domain: ({ w }) => ({ u: [0, 2 * Math.PI], v: [-w, w] }),
+  position: (u, v, { R }) => {
+    const ring = R + v * Math.cos(u / 2);
+    return [ring * Math.cos(u), v * Math.sin(u / 2), ring * Math.sin(u)];
+  },
+  twoSided: true,
+});
+
+// Figure-8 immersion, scaled to fit the view
+registerSurface("klein", {
+  name: "Klein Bottle",
+  params: {
+    a: { label: "Radius a", min: 1.5, max: 3.0, step: 0.1, defaultValue: 2.0 },
+  },
+  domain: () => ({ u: [0, 2 * Math.PI], v: [0, 2 * Math.PI] }),
+  position: (u, v, { a }) => {
+    const scale = 0.4;
+    const ring =
+      a + Math.cos(u / 2) * Math.sin(v) - Math.sin(u / 2) * Math.sin(2 * v);
+    const height =
+      Math.sin(u / 2) * Math.sin(v) + Math.cos(u / 2) * Math.sin(2 * v);
+    return [
+      scale * ring * Math.cos(u),
+      scale * height,
+      scale * ring * Math.sin(u),
+    ];
+  },
+  twoSided: true,
+});
+
+// Pseudosphere with a helical twist; the tip (v -> 0) is cut off
+registerSurface("dini", {
+  name: "Dini's Surface",
+  params: {
+    a: {
+      label: "Radius a",
+      min: 0.25,
+      max: 1.0,
+      step: 0.05,
+      defaultValue: 0.5,
+    },
+    b: { label: "Twist b", min: 0.0, max: 0.3, step: 0.01, defaultValue: 0.1 },
+  },
+  domain: () => ({ u: [0, 4 * Math.PI], v: [0.1, 2.0] }),
+  position: (u, v, { a, b }) => [
+    a * Math.cos(u) * Math.sin(v),
+    a * (Math.cos(v) + Math.log(Math.tan(v / 2)) + 1.0) + b * (u - 2 * Math.PI),
+    a * Math.sin(u) * Math.sin(v),
+  ],
+  twoSided: true,
+});
+
+// Isometric deformation: t = 0 is the helicoid, t = 1 the catenoid
+registerSurface("catenoidHelicoid", {
+  name: "Catenoid / Helicoid",
+  params: {
+    t: { label: "Blend t", min: 0.0, max: 1.0, step: 0.05, defaultValue: 1.0 },
+  },
+  domain: () => ({ u: [-Math.PI, Math.PI], v: [-1.0, 1.0] }),
+  position: (u, v, { t }) => {
+    const scale = 0.5;
+    const theta = (t * Math.PI) / 2;
+    const cosT = Math.cos(theta);
+    const sinT = Math.sin(theta);
+    return [
+      scale *
+        (sinT * Math.cosh(v) * Math.cos(u) + cosT * Math.sinh(v) * Math.sin(u)),
+      scale * (cosT * u + sinT * v),
+      scale *
+        (sinT * Math.cosh(v) * Math.sin(u) - cosT * Math.sinh(v) * Math.cos(u)),
+    ];
+  },
+  twoSided: true,
+});
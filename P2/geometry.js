@@ -0,0 +1,237 @@
+"use strict";
+
+/*======================  SURFACE GEOMETRY  ======================*/
+
+// Surfaces come from the registry in surfaces.js
+const DEFAULT_SURFACE = "hummingTop";
+
+/**
+ * Create surface mesh data for given U/V granularity.
+ * uSeg: number of segments along U (around)
+ * vSeg: number of segments along V (along)
+ *
+ * Returns { positions, normals, indices }
+ */
+const buildGrid = (surfaceDef, params, uSeg, vSeg) => {
+  const {
+    u: [uMin, uMax],
+    v: [vMin, vMax],
+  } = surfaceDef.domain(params);
+  const positions = [];
+  for (let j = 0; j <= vSeg; j++) {
+    const v = vMin + ((vMax - vMin) * j) / vSeg;
+    for (let i = 0; i <= uSeg; i++) {
+      const u = uMin + ((uMax - uMin) * i) / uSeg;
+      positions.push(...surfaceDef.position(u, v, params));
+    }
+  }
+  return { positions };
+};
+
+const buildIndices = (uSeg, vSeg) => {
+  const indices = [];
+  const vertsPerRow = uSeg + 1;
+  for (let j = 0; j < vSeg; j++) {
+    for (let i = 0; i < uSeg; i++) {
+      const i0 = j * vertsPerRow + i;
+      const i1 = i0 + 1;
+      const i2 = i0 + vertsPerRow;
+      const i3 = i2 + 1;
+      indices.push(i0, i2, i1);
+      indices.push(i1, i2, i3);
+    }
+  }
+  return indices;
+};
+
+/**
+ * Map every vertex to a weld id; vertices at the same position
+ * (within epsilon) share an id, e.g. the beta = 0 and beta = 2π columns.
+ */
+const weldVertices = (positions, epsilon = 1e-6) => {
+  const ids = new Array(positions.length / 3);
+  const lookup = new Map();
+  for (let vi = 0; vi < ids.length; vi++) {
+    const key =
+      Math.round(positions[3 * vi] / epsilon) +
+      "," +
+      Math.round(positions[3 * vi + 1] / epsilon) +
+      "," +
+      Math.round(positions[3 * vi + 2] / epsilon);
+    if (!lookup.has(key)) lookup.set(key, lookup.size);
+    ids[vi] = lookup.get(key);
+  }
+  return ids;
+};
+
+const computeFaceNormals = (positions, indices) => {
+  const faceNormals = new Float64Array(indices.length);
+  const faceValid = new Array(indices.length / 3);
+  for (let f = 0; f < faceValid.length; f++) {
+    const i0 = indices[3 * f],
+      i1 = indices[3 * f + 1],
+      i2 = indices[3 * f + 2];
+    const ux = positions[3 * i1] - positions[3 * i0],
+      uy = positions[3 * i1 + 1] - positions[3 * i0 + 1],
+      uz = positions[3 * i1 + 2] - positions[3 * i0 + 2];
+    const vx = positions[3 * i2] - positions[3 * i0],
+      vy = positions[3 * i2 + 1] - positions[3 * i0 + 1],
+      vz = positions[3 * i2 + 2] - positions[3 * i0 + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const len = Math.hypot(nx, ny, nz);
+    faceValid[f] = len > 1e-12;
+    if (faceValid[f]) {
+      faceNormals[3 * f] = nx / len;
+      faceNormals[3 * f + 1] = ny / len;
+      faceNormals[3 * f + 2] = nz / len;
+    }
+  }
+  return { faceNormals, faceValid };
+};
+
+/**
+ * Facet-average normals where coincident vertices are smoothed as one.
+ * A face contributes to a corner only if it is within smoothAngle
+ * (degrees) of the corner's own face, so steeper edges stay sharp.
+ * Vertices whose corners end up with different normals are split.
+ *
+ * Returns { positions, normals, indices } (may hold more vertices)
+ */
+const smoothNormalsWelded = (positions, indices, smoothAngle = 60) => {
+  const cosLimit = Math.cos((Math.min(smoothAngle, 180) * Math.PI) / 180);
+  const vertexCount = positions.length / 3;
+  const weld = weldVertices(positions);
+  const { faceNormals, faceValid } = computeFaceNormals(positions, indices);
+
+  const groupFaces = new Map();
+  for (let t = 0; t < indices.length; t++) {
+    const g = weld[indices[t]];
+    if (!groupFaces.has(g)) groupFaces.set(g, []);
+    groupFaces.get(g).push(Math.floor(t / 3));
+  }
+
+  const outPositions = positions.slice();
+  const outIndices = indices.slice();
+  const normals = new Array(positions.length).fill(0.0);
+  const clusters = new Array(vertexCount);
+
+  for (let f = 0; f < faceValid.length; f++) {
+    if (!faceValid[f]) continue;
+    for (let k = 0; k < 3; k++) {
+      const vi = indices[3 * f + k];
+
+      let nx = 0.0,
+        ny = 0.0,
+        nz = 0.0;
+      for (const g of groupFaces.get(weld[vi])) {
+        if (!faceValid[g]) continue;
+        const d =
+          faceNormals[3 * g] * faceNormals[3 * f] +
+          faceNormals[3 * g + 1] * faceNormals[3 * f + 1] +
+          faceNormals[3 * g + 2] * faceNormals[3 * f + 2];
+        if (d < cosLimit) continue;
+        nx += faceNormals[3 * g];
+        ny += faceNormals[3 * g + 1];
+        nz += faceNormals[3 * g + 2];
+      }
+      const len = Math.hypot(nx, ny, nz);
+      if (len > 1e-6) {
+        nx /= len;
+        ny /= len;
+        nz /= len;
+      } else {
+        nx = 0.0;
+        ny = 1.0;
+        nz = 0.0;
+      }
+
+      clusters[vi] = clusters[vi] || [];
+      let target = clusters[vi].find(
+        (t) =>
+          normals[3 * t] * nx +
+            normals[3 * t + 1] * ny +
+            normals[3 * t + 2] * nz >
+          1.0 - 1e-6
+      );
+      if (target === undefined) {
+        // First cluster reuses vi, further ones duplicate the vertex
+        target = clusters[vi].length === 0 ? vi : outPositions.length / 3;
+        if (target !== vi) {
+          outPositions.push(
+            positions[3 * vi],
+            positions[3 * vi + 1],
+            positions[3 * vi + 2]
+          );
+        }
+        normals[3 * target] = nx;
+        normals[3 * target + 1] = ny;
+        normals[3 * target + 2] = nz;
+        clusters[vi].push(target);
+      }
+      outIndices[3 * f + k] = target;
+    }
+  }
+
+  // Unreferenced vertices: same fallback as before
+  for (let vi = 0; vi < vertexCount; vi++) {
+    if (!clusters[vi]) normals[3 * vi + 1] = 1.0;
+  }
+
+  return { positions: outPositions, normals, indices: outIndices };
+};
+
+const CreateSurfaceData = (
+  uSeg = 40,
+  vSeg = 40,
+  { surface = DEFAULT_SURFACE, params, smoothAngle = 60 } = {}
+) => {
+  const surfaceDef = getSurface(surface);
+  params = resolveSurfaceParams(surfaceDef, params);
+  const { positions } = buildGrid(surfaceDef, params, uSeg, vSeg);
+  const indices = buildIndices(uSeg, vSeg);
+  return smoothNormalsWelded(positions, indices, smoothAngle);
+};
+
+/*======================  IMPORTED MESHES  ======================*/
+
+/**
+ * Imported mesh (importers.js) -> { positions, normals, indices }.
+ * Without normals in the file they are facet-averaged like the
+ * surfaces, with the same welding and smoothAngle.
+ */
+const completeImportedMesh = (
+  { positions, normals, indices },
+  smoothAngle = 60
+) => {
+  if (!normals) {
+    return smoothNormalsWelded(positions, indices, smoothAngle);
+  }
+  // Files may store unnormalized normals
+  const unit = normals.slice();
+  for (let k = 0; k < unit.length; k += 3) {
+    const len = Math.hypot(unit[k], unit[k + 1], unit[k + 2]) || 1.0;
+    unit[k] /= len;
+    unit[k + 1] /= len;
+    unit[k + 2] /= len;
+  }
+  return { positions, normals: unit, indices };
+};
+
+/*======================  TRANSFERABLE MESH  ======================*/
+
+/**
+ * Convert CreateSurfaceData output to typed arrays so it can be posted
+ * from the mesh worker without copying.
+ *
+ * Returns { mesh, transfer } where transfer lists the ArrayBuffers
+ */
+const toTransferableMesh = ({ positions, normals, indices }) => {
+  const mesh = {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+    indices: new Uint32Array(indices),
+  };
+  return { mesh, transfer: Object.values(mesh).map((a) => a.buffer) };
+};
@@ -0,0 +1,487 @@
+"use strict";
+
+/*======================  MESH IMPORT  ======================*/
+
+// Parsers for external meshes. Every parser returns plain arrays:
+//   { positions, normals, indices, twoSided }
+// where normals is null when the file has none; the renderer fills
+// them in (see completeImportedMesh in geometry.js).
+
+const MESH_IMPORT_EXTENSIONS = [".obj", ".ply", ".gltf", ".glb"];
+
+const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Center the bounding box at the origin and scale to a bounding radius
+ * of 1, the size of the built-in surfaces, so any model fits the camera.
+ */
+const fitMeshToView = (positions) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let k = 0; k < positions.length; k += 3) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], positions[k + c]);
+      max[c] = Math.max(max[c], positions[k + c]);
+    }
+  }
+  const center = min.map((lo, c) => 0.5 * (lo + max[c]));
+
+  let radius = 0.0;
+  for (let k = 0; k < positions.length; k += 3) {
+    radius = Math.max(
+      radius,
+      Math.hypot(
+        positions[k] - center[0],
+        positions[k + 1] - center[1],
+        positions[k + 2] - center[2]
+      )
+    );
+  }
+  const scale = radius > 0 ? 1.0 / radius : 1.0;
+  for (let k = 0; k < positions.length; k += 3) {
+    for (let c = 0; c < 3; c++) {
+      positions[k + c] = (positions[k + c] - center[c]) * scale;
+    }
+  }
+};
+
+/*======================  WAVEFRONT OBJ  ======================*/
+
+/**
+ * Positions, optional vn and polygon faces (fan-triangulated).
+ * Each distinct v/vn corner becomes one vertex. Normals are kept only
+ * if every corner has one.
+ */
+const parseOBJ = (text) => {
+  const v = [];
+  const vn = [];
+  const mesh = {
+    positions: [],
+    normals: [],
+    indices: [],
+    twoSided: true, // winding of arbitrary files is unknown
+  };
+  const corners = new Map();
+  let missingNormals = false;
+
+  // 1-based, negative = relative to the end of the list so far
+  const resolve = (token, list, lineNumber) => {
+    const index = parseInt(token, 10);
+    const resolved = index < 0 ? list.length + index : index - 1;
+    if (!(resolved >= 0 && resolved < list.length)) {
+      throw new Error("OBJ line " + lineNumber + ": index out of range.");
+    }
+    return resolved;
+  };
+
+  const corner = (token, lineNumber) => {
+    const [vRef, , nRef] = token.split("/");
+    const key = vRef + "/" + (nRef || "");
+    if (corners.has(key)) return corners.get(key);
+
+    const p = v[resolve(vRef, v, lineNumber)];
+    const n = nRef ? vn[resolve(nRef, vn, lineNumber)] : [0.0, 0.0, 0.0];
+    if (!nRef) missingNormals = true;
+    mesh.positions.push(...p);
+    mesh.normals.push(...n);
+
+    const index = corners.size;
+    corners.set(key, index);
+    return index;
+  };
+
+  text.split(/\r?\n/).forEach((line, l) => {
+    const [keyword, ...args] = line.replace(/#.*/, "").trim().split(/\s+/);
+    if (keyword === "v") {
+      v.push(args.slice(0, 3).map(parseFloat));
+    } else if (keyword === "vn") {
+      vn.push(args.slice(0, 3).map(parseFloat));
+    } else if (keyword === "f") {
+      const face = args.map((token) => corner(token, l + 1));
+      for (let k = 1; k + 1 < face.length; k++) {
+        mesh.indices.push(face[0], face[k], face[k + 1]);
+      }
+    }
+    // groups, materials, texture coordinates, lines: ignored
+  });
+
+  if (missingNormals) mesh.normals = null;
+  return mesh;
+};
+
+/*======================  PLY  ======================*/
+
+// PLY scalar types: byte size and DataView getter
+const PLY_TYPES = {
+  char: { bytes: 1, get: "getInt8" },
+  int8: { bytes: 1, get: "getInt8" },
+  uchar: { bytes: 1, get: "getUint8" },
+  uint8: { bytes: 1, get: "getUint8" },
+  short: { bytes: 2, get: "getInt16" },
+  int16: { bytes: 2, get: "getInt16" },
+  ushort: { bytes: 2, get: "getUint16" },
+  uint16: { bytes: 2, get: "getUint16" },
+  int: { bytes: 4, get: "getInt32" },
+  int32: { bytes: 4, get: "getInt32" },
+  uint: { bytes: 4, get: "getUint32" },
+  uint32: { bytes: 4, get: "getUint32" },
+  float: { bytes: 4, get: "getFloat32" },
+  float32: { bytes: 4, get: "getFloat32" },
+  double: { bytes: 8, get: "getFloat64" },
+  float64: { bytes: 8, get: "getFloat64" },
+};
+
+const parsePLYHeader = (headerText) => {
+  let format = null;
+  const elements = [];
+  headerText.split(/\r?\n/).forEach((line) => {
+    const tokens = line.trim().split(/\s+/);
+    if (tokens[0] === "format") {
+      format = tokens[1];
+    } else if (tokens[0] === "element") {
+      elements.push({
+        name: tokens[1],
+        count: parseInt(tokens[2], 10),
+        properties: [],
+      });
+    } else if (tokens[0] === "property") {
+      const property =
+        tokens[1] === "list"
+          ? { name: tokens[4], countType: tokens[2], type: tokens[3] }
+          : { name: tokens[2], type: tokens[1] };
+      if (
+        !PLY_TYPES[property.type] ||
+        (property.countType && !PLY_TYPES[property.countType])
+      ) {
+        throw new Error("PLY: unknown property type in '" + line + "'.");
+      }
+      elements[elements.length - 1].properties.push(property);
+    }
+  });
+  return { format, elements };
+};
+
+// Reader returning the next scalar of a given type
+const plyReader = (format, buffer, bodyStart) => {
+  if (format === "ascii") {
+    const tokens = decodeText(new Uint8Array(buffer, bodyStart))
+      .trim()
+      .split(/\s+/);
+    let position = 0;
+    return () => parseFloat(tokens[position++]);
+  }
+  if (format === "binary_little_endian" || format === "binary_big_endian") {
+    const view = new DataView(buffer);
+    const littleEndian = format === "binary_little_endian";
+    let offset = bodyStart;
+    return (type) => {
+      const { bytes, get } = PLY_TYPES[type];
+      const value = view[get](offset, littleEndian);
+      offset += bytes;
+      return value;
+    };
+  }
+  throw new Error("PLY: unsupported format '" + format + "'.");
+};
+
+/**
+ * ASCII and binary (little/big endian) PLY with a vertex element and a
+ * face element of vertex_indices lists; other elements are skipped.
+ */
+const parsePLY = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+
+  // The header is ASCII and ends with "end_header" and a newline
+  const headerText = decodeText(
+    bytes.subarray(0, Math.min(bytes.length, 64 * 1024))
+  );
+  const headerEnd = headerText.search(/end_header\r?\n/);
+  if (!headerText.startsWith("ply") || headerEnd < 0) {
+    throw new Error("Not a PLY file (missing 'ply' or 'end_header').");
+  }
+  const bodyStart = headerEnd + headerText.slice(headerEnd).indexOf("\n") + 1;
+  const { format, elements } = parsePLYHeader(headerText.slice(0, headerEnd));
+  const next = plyReader(format, buffer, bodyStart);
+
+  const mesh = { positions: [], normals: null, indices: [], twoSided: true };
+
+  elements.forEach(({ name, count, properties }) => {
+    const names = properties.map((property) => property.name);
+    // Columns of the given components, or null if any is absent
+    const columns = (components) => {
+      const found = components.map((component) => names.indexOf(component));
+      return found.includes(-1) ? null : found;
+    };
+
+    const isVertex = name === "vertex";
+    const position = isVertex ? columns(["x", "y", "z"]) : null;
+    const normal = isVertex ? columns(["nx", "ny", "nz"]) : null;
+    if (isVertex) {
+      if (!position) throw new Error("PLY: vertices without x, y, z.");
+      if (normal) mesh.normals = [];
+    }
+    const faceList =
+      name === "face"
+        ? Math.max(
+            names.indexOf("vertex_indices"),
+            names.indexOf("vertex_index")
+          )
+        : -1;
+
+    for (let e = 0; e < count; e++) {
+      const row = properties.map(({ countType, type }) => {
+        if (!countType) return next(type);
+        const length = next(countType);
+        const list = [];
+        for (let k = 0; k < length; k++) list.push(next(type));
+        return list;
+      });
+
+      if (isVertex) {
+        mesh.positions.push(...position.map((c) => row[c]));
+        if (normal) mesh.normals.push(...normal.map((c) => row[c]));
+      } else if (faceList >= 0) {
+        const face = row[faceList];
+        for (let k = 1; k + 1 < face.length; k++) {
+          mesh.indices.push(face[0], face[k], face[k + 1]);
+        }
+      }
+    }
+  });
+
+  const vertexCount = mesh.positions.length / 3;
+  mesh.indices.forEach((index) => {
+    if (!(index >= 0 && index < vertexCount)) {
+      throw new Error("PLY: face index " + index + " out of range.");
+    }
+  });
+  return mesh;
+};
+
+/*======================  glTF 2.0 / GLB  ======================*/
+
+const GLTF_COMPONENT_TYPES = {
+  5120: { get: "getInt8", bytes: 1, max: 127 },
+  5121: { get: "getUint8", bytes: 1, max: 255 },
+  5122: { get: "getInt16", bytes: 2, max: 32767 },
+  5123: { get: "getUint16", bytes: 2, max: 65535 },
+  5125: { get: "getUint32", bytes: 4, max: 1 },
+  5126: { get: "getFloat32", bytes: 4, max: 1 },
+};
+
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+const BASE64_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+const decodeBase64 = (text) => {
+  const clean = text.replace(/[^A-Za-z0-9+/]/g, "");
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let bits = 0;
+  let value = 0;
+  let out = 0;
+  for (const char of clean) {
+    value = (value << 6) | BASE64_ALPHABET.indexOf(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[out++] = (value >> bits) & 0xff;
+    }
+  }
+  return bytes;
+};
+
+/**
+ * All triangle primitives of the default scene, in world space.
+ * bin: the GLB binary chunk (buffer 0 without uri), or null.
+ * Buffers must be embedded; external .bin files cannot be resolved
+ * from a single dropped file.
+ */
+const parseGLTF = (json, bin) => {
+  if (!json.asset || String(json.asset.version).charAt(0) !== "2") {
+    throw new Error("glTF: only version 2.0 is supported.");
+  }
+
+  const buffers = (json.buffers || []).map(({ uri }, b) => {
+    if (uri === undefined) {
+      if (!bin) throw new Error("glTF: buffer " + b + " has no data.");
+      return bin;
+    }
+    const match = /^data:[^,]*;base64,(.*)$/.exec(uri);
+    if (!match) {
+      throw new Error(
+        "glTF: external buffer '" +
+          uri +
+          "' is not supported; use .glb or embedded buffers."
+      );
+    }
+    return decodeBase64(match[1]);
+  });
+
+  // Accessor as a plain array of numbers (normalized ints -> [0,1]/[-1,1])
+  const readAccessor = (index) => {
+    const accessor = json.accessors[index];
+    if (accessor.sparse) {
+      throw new Error("glTF: sparse accessors are not supported.");
+    }
+    const size = GLTF_TYPE_SIZES[accessor.type];
+    const { get, bytes, max } = GLTF_COMPONENT_TYPES[accessor.componentType];
+    const values = new Array(accessor.count * size).fill(0);
+    if (accessor.bufferView === undefined) return values; // all zeros
+
+    const bufferView = json.bufferViews[accessor.bufferView];
+    const data = buffers[bufferView.buffer];
+    const view = new DataView(
+      data.buffer,
+      data.byteOffset + (bufferView.byteOffset || 0),
+      bufferView.byteLength
+    );
+    const stride = bufferView.byteStride || size * bytes;
+
+    for (let i = 0; i < accessor.count; i++) {
+      const base = (accessor.byteOffset || 0) + i * stride;
+      for (let c = 0; c < size; c++) {
+        const x = view[get](base + c * bytes, true);
+        values[i * size + c] = accessor.normalized ? Math.max(x / max, -1) : x;
+      }
+    }
+    return values;
+  };
+
+  const mesh = { positions: [], normals: [], indices: [], twoSided: false };
+  let hasNormals = true;
+
+  const addPrimitive = ({ mode = 4, attributes, indices, material }, world) => {
+    if (mode !== 4 || attributes.POSITION === undefined) {
+      return; // points, lines, strips and fans are not imported
+    }
+    const normalMatrix = m4.transpose(m4.inverse(world));
+    const base = mesh.positions.length / 3;
+
+    const positions = readAccessor(attributes.POSITION);
+    const count = positions.length / 3;
+    for (let i = 0; i < count; i++) {
+      const p = positions.slice(3 * i, 3 * i + 3);
+      mesh.positions.push(...m4.transformPoint(world, p));
+    }
+
+    if (attributes.NORMAL !== undefined) {
+      const normals = readAccessor(attributes.NORMAL);
+      for (let i = 0; i < count; i++) {
+        const n = normals.slice(3 * i, 3 * i + 3);
+        mesh.normals.push(...m4.transformDirection(normalMatrix, n));
+      }
+    } else {
+      hasNormals = false;
+    }
+
+    if (indices !== undefined) {
+      readAccessor(indices).forEach((index) => {
+        if (!(index < count)) {
+          throw new Error("glTF: index " + index + " out of range.");
+        }
+        mesh.indices.push(base + index);
+      });
+    } else {
+      for (let i = 0; i < count; i++) mesh.indices.push(base + i);
+    }
+
+    if (material !== undefined && json.materials[material].doubleSided) {
+      mesh.twoSided = true;
+    }
+  };
+
+  const addNode = (index, parent) => {
+    const {
+      matrix,
+      translation = [0, 0, 0],
+      rotation = [0, 0, 0, 1],
+      scale = [1, 1, 1],
+      mesh: meshIndex,
+      children = [],
+    } = json.nodes[index];
+    const local = matrix
+      ? matrix.slice()
+      : m4.compose(translation, rotation, scale);
+    const world = m4.multiply(parent, local);
+    if (meshIndex !== undefined) {
+      json.meshes[meshIndex].primitives.forEach((primitive) =>
+        addPrimitive(primitive, world)
+      );
+    }
+    children.forEach((child) => addNode(child, world));
+  };
+
+  const scene = (json.scenes || [])[json.scene || 0];
+  if (scene) {
+    (scene.nodes || []).forEach((index) => addNode(index, m4.identity()));
+  } else {
+    // No scene: every mesh as is
+    (json.meshes || []).forEach(({ primitives }) =>
+      primitives.forEach((primitive) => addPrimitive(primitive, m4.identity()))
+    );
+  }
+
+  if (!hasNormals) mesh.normals = null;
+  return mesh;
+};
+
+// Binary glTF: JSON chunk followed by an optional BIN chunk
+const parseGLB = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.getUint32(0, true) !== 0x46546c67) {
+    throw new Error("Not a GLB file (bad magic).");
+  }
+  if (view.getUint32(4, true) !== 2) {
+    throw new Error("GLB: only glTF 2.0 is supported.");
+  }
+
+  let json = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= buffer.byteLength; ) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const chunk = new Uint8Array(buffer, offset + 8, length);
+    if (type === 0x4e4f534a) {
+      json = JSON.parse(decodeText(chunk));
+    } else if (type === 0x004e4942) {
+      bin = chunk;
+    }
+    offset += 8 + length;
+  }
+  if (!json) throw new Error("GLB: missing JSON chunk.");
+  return parseGLTF(json, bin);
+};
+
+// Parsers by lower-case file extension; the argument is an ArrayBuffer
+const MESH_PARSERS = {
+  ".obj": (buffer) => parseOBJ(decodeText(buffer)),
+  ".ply": parsePLY,
+  ".gltf": (buffer) => parseGLTF(JSON.parse(decodeText(buffer)), null),
+  ".glb": parseGLB,
+};
+
+/**
+ * Parse a mesh file by its extension and fit it into the view.
+ * buffer: ArrayBuffer with the file contents
+ */
+const importMeshFile = (fileName, buffer) => {
+  const dot = fileName.lastIndexOf(".");
+  const extension = dot < 0 ? "" : fileName.slice(dot).toLowerCase();
+  if (!MESH_IMPORT_EXTENSIONS.includes(extension)) {
+    throw new Error(
+      "Unsupported mesh format '" +
+        extension +
+        "' (expected " +
+        MESH_IMPORT_EXTENSIONS.join(", ") +
+        ")."
+    );
+  }
+
+  const mesh = MESH_PARSERS[extension](buffer);
+  if (mesh.indices.length === 0) {
+    throw new Error("'" + fileName + "' contains no triangles.");
+  }
+  fitMeshToView(mesh.positions);
+  return mesh;
+};
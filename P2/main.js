@@ -1,7 +1,7 @@
 "use strict";
 
 let gl; // WebGL context
-let surface; // Surface model (parabolic humming-top)
+let surface; // Surface model (any registered surface)
 let shProgram; // Shader program
 let spaceball; // Trackball rotator
 let currentTime = 0.0; // For rotating light
@@ -20,53 +20,137 @@ const transformPoint = (m, p) => {
   ];
 };
 
+// Clip planes the shader takes (MAX_CLIP_PLANES in shader.gpu)
+const MAX_CLIP_PLANES = 4;
+
+// Largest vertex count addressable with 16-bit indices
+const MAX_UINT16_VERTICES = 65536;
+
+/**
+ * Split an indexed triangle mesh into batches of at most maxVertices
+ * vertices each, remapping indices per batch.
+ * arrays: [{ data, size }, ...] per-vertex attributes
+ *
+ * Returns [{ arrays: [Float32Array, ...], indices: [...] }]
+ */
+const splitIndexedMesh = (arrays, indices, maxVertices) => {
+  const batches = [];
+  let remap = null;
+  let batch = null;
+
+  const startBatch = () => {
+    remap = new Map();
+    batch = { arrays: arrays.map(() => []), indices: [] };
+    batches.push(batch);
+  };
+
+  startBatch();
+  for (let t = 0; t < indices.length; t += 3) {
+    // Start a new batch if this triangle's new vertices would not fit
+    const tri = [indices[t], indices[t + 1], indices[t + 2]];
+    const missing = tri.filter((vi) => !remap.has(vi)).length;
+    if (remap.size + missing > maxVertices) startBatch();
+
+    for (const vi of tri) {
+      if (!remap.has(vi)) {
+        remap.set(vi, remap.size);
+        arrays.forEach(({ data, size }, a) => {
+          for (let c = 0; c < size; c++) {
+            batch.arrays[a].push(data[size * vi + c]);
+          }
+        });
+      }
+      batch.indices.push(remap.get(vi));
+    }
+  }
+
+  for (const b of batches) {
+    b.arrays = b.arrays.map((data) => new Float32Array(data));
+  }
+  return batches;
+};
+
 function Model(name) {
   this.name = name;
 
-  this.vbo = gl.createBuffer(); // vertex positions
-  this.nbo = gl.createBuffer(); // vertex normals
-  this.ibo = gl.createBuffer(); // indices
-  this.indexCount = 0;
+  // One entry per draw call: { vbo, nbo, ibo, indexCount }
+  // Meshes over 65,536 vertices use 32-bit indices when
+  // OES_element_index_uint is available and several batches otherwise.
+  this.batches = [];
+  this.indexType = gl.UNSIGNED_SHORT;
+  this.uintIndices = !!gl.getExtension("OES_element_index_uint");
+  this.twoSided = false; // open / non-orientable surfaces: no culling
+  this.clipped = false; // cut open by clip planes: no culling either
+
+  const uploadArray = (target, data) => {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(target, buffer);
+    gl.bufferData(target, data, gl.STATIC_DRAW);
+    return buffer;
+  };
 
   /**
    * vertices: flat [x,y,z,...]
    * normals:  flat [nx,ny,nz,...]
-   * indices:  flat [i0,i1,i2,...] (Uint16)
+   * indices:  flat [i0,i1,i2,...]
    */
   this.BufferData = (vertices, normals, indices) => {
-    this.indexCount = indices.length;
-
-    // Positions
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
-
-    // Normals
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.nbo);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
-
-    // Indices
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
-    gl.bufferData(
-      gl.ELEMENT_ARRAY_BUFFER,
-      new Uint16Array(indices),
-      gl.STATIC_DRAW
-    );
+    // Release buffers of the previous mesh
+    for (const batch of this.batches) {
+      gl.deleteBuffer(batch.vbo);
+      gl.deleteBuffer(batch.nbo);
+      gl.deleteBuffer(batch.ibo);
+    }
+
+    const vertexCount = vertices.length / 3;
+    let parts = [{ arrays: [vertices, normals], indices }];
+    let IndexArray = Uint16Array;
+    this.indexType = gl.UNSIGNED_SHORT;
+
+    if (vertexCount > MAX_UINT16_VERTICES && this.uintIndices) {
+      IndexArray = Uint32Array;
+      this.indexType = gl.UNSIGNED_INT;
+    } else if (vertexCount > MAX_UINT16_VERTICES) {
+      parts = splitIndexedMesh(
+        [
+          { data: vertices, size: 3 },
+          { data: normals, size: 3 },
+        ],
+        indices,
+        MAX_UINT16_VERTICES
+      );
+    }
+
+    this.batches = parts.map(({ arrays, indices }) => ({
+      vbo: uploadArray(gl.ARRAY_BUFFER, new Float32Array(arrays[0])),
+      nbo: uploadArray(gl.ARRAY_BUFFER, new Float32Array(arrays[1])),
+      ibo: uploadArray(gl.ELEMENT_ARRAY_BUFFER, new IndexArray(indices)),
+      indexCount: indices.length,
+    }));
   };
 
   this.Draw = () => {
-    // Bind positions
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
-    gl.vertexAttribPointer(shProgram.iAttribVertex, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(shProgram.iAttribVertex);
-
-    // Bind normals
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.nbo);
-    gl.vertexAttribPointer(shProgram.iAttribNormal, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(shProgram.iAttribNormal);
-
-    // Bind indices and draw
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
-    gl.drawElements(gl.TRIANGLES, this.indexCount, gl.UNSIGNED_SHORT, 0);
+    if (this.twoSided || this.clipped) {
+      gl.disable(gl.CULL_FACE);
+    } else {
+      gl.enable(gl.CULL_FACE);
+    }
+
+    for (const batch of this.batches) {
+      // Bind positions
+      gl.bindBuffer(gl.ARRAY_BUFFER, batch.vbo);
+      gl.vertexAttribPointer(shProgram.iAttribVertex, 3, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(shProgram.iAttribVertex);
+
+      // Bind normals
+      gl.bindBuffer(gl.ARRAY_BUFFER, batch.nbo);
+      gl.vertexAttribPointer(shProgram.iAttribNormal, 3, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(shProgram.iAttribNormal);
+
+      // Bind indices and draw
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.ibo);
+      gl.drawElements(gl.TRIANGLES, batch.indexCount, this.indexType, 0);
+    }
   };
 }
 
@@ -86,134 +170,16 @@ function ShaderProgram(name, program) {
   this.iSpecularColor = -1;
   this.iShininess = -1;
 
+  this.iClipPlanes = -1;
+  this.iClipPlaneCount = -1;
+  this.iBackFaceColor = -1;
+  this.iTwoSided = -1;
+
   this.Use = () => {
     gl.useProgram(this.prog);
   };
 }
 
-/*======================  PARABOLIC HUMMING-TOP GEOMETRY  ======================*/
-
-// parametric surface: (y is vertical axis)
-// y ∈ [-h, h],  beta ∈ [0, 2π]
-const parabolicHummingTopVertex = (y, beta, h, p) => {
-  const rBase = Math.abs(y) - h; // |y| - h
-  const r = (rBase * rBase) / (2 * p); // (|y| - h)^2 / (2p)
-
-  const x = r * Math.cos(beta);
-  const z = r * Math.sin(beta);
-
-  return [x, y, z];
-};
-
-/**
- * Create surface mesh data for given U/V granularity.
- * uSeg: number of segments along angle (U)
- * vSeg: number of segments along vertical (V)
- *
- * Returns { positions, normals, indices }
- */
-const buildGrid = (uSeg, vSeg, h, p) => {
-  const positions = [];
-  const normals = [];
-  for (let j = 0; j <= vSeg; j++) {
-    const v = j / vSeg;
-    const y = -h + 2.0 * h * v; // from -h to h
-    for (let i = 0; i <= uSeg; i++) {
-      const u = i / uSeg;
-      const beta = 2.0 * Math.PI * u;
-      const [x, yy, z] = parabolicHummingTopVertex(y, beta, h, p);
-      positions.push(x, yy, z);
-      normals.push(0.0, 0.0, 0.0);
-    }
-  }
-  return { positions, normals };
-};
-
-const buildIndices = (uSeg, vSeg) => {
-  const indices = [];
-  const vertsPerRow = uSeg + 1;
-  for (let j = 0; j < vSeg; j++) {
-    for (let i = 0; i < uSeg; i++) {
-      const i0 = j * vertsPerRow + i;
-      const i1 = i0 + 1;
-      const i2 = i0 + vertsPerRow;
-      const i3 = i2 + 1;
-      indices.push(i0, i2, i1);
-      indices.push(i1, i2, i3);
-    }
-  }
-  return indices;
-};
-
-const accumulateNormalsFromIndices = (positions, normals, indices) => {
-  for (let t = 0; t < indices.length; t += 3) {
-    const i0 = indices[t],
-      i1 = indices[t + 1],
-      i2 = indices[t + 2];
-    const ax = positions[3 * i0],
-      ay = positions[3 * i0 + 1],
-      az = positions[3 * i0 + 2];
-    const bx = positions[3 * i1],
-      by = positions[3 * i1 + 1],
-      bz = positions[3 * i1 + 2];
-    const cx = positions[3 * i2],
-      cy = positions[3 * i2 + 1],
-      cz = positions[3 * i2 + 2];
-    const ux = bx - ax,
-      uy = by - ay,
-      uz = bz - az;
-    const vx = cx - ax,
-      vy = cy - ay,
-      vz = cz - az;
-    let nx = uy * vz - uz * vy;
-    let ny = uz * vx - ux * vz;
-    let nz = ux * vy - uy * vx;
-    let len = Math.hypot(nx, ny, nz);
-    if (len > 1e-6) {
-      nx /= len;
-      ny /= len;
-      nz /= len;
-    }
-    normals[3 * i0] += nx;
-    normals[3 * i0 + 1] += ny;
-    normals[3 * i0 + 2] += nz;
-    normals[3 * i1] += nx;
-    normals[3 * i1 + 1] += ny;
-    normals[3 * i1 + 2] += nz;
-    normals[3 * i2] += nx;
-    normals[3 * i2 + 1] += ny;
-    normals[3 * i2 + 2] += nz;
-  }
-};
-
-const normalizeNormals = (normals) => {
-  for (let k = 0; k < normals.length; k += 3) {
-    const nx = normals[k];
-    const ny = normals[k + 1];
-    const nz = normals[k + 2];
-    const len = Math.hypot(nx, ny, nz);
-    if (len > 1e-6) {
-      normals[k] = nx / len;
-      normals[k + 1] = ny / len;
-      normals[k + 2] = nz / len;
-    } else {
-      normals[k] = 0.0;
-      normals[k + 1] = 1.0;
-      normals[k + 2] = 0.0;
-    }
-  }
-};
-
-const CreateSurfaceData = (uSeg = 40, vSeg = 40) => {
-  const h = 1.0;
-  const p = 0.5;
-  const { positions, normals } = buildGrid(uSeg, vSeg, h, p);
-  const indices = buildIndices(uSeg, vSeg);
-  accumulateNormalsFromIndices(positions, normals, indices);
-  normalizeNormals(normals);
-  return { positions, normals, indices };
-};
-
 const computeProjection = () => m4.perspective(Math.PI / 8, 1, 2, 20);
 
 const computeModelView = () => {
@@ -246,6 +212,8 @@ const draw = () => {
   gl.uniformMatrix4fv(shProgram.iModelViewMatrix, false, modelViewMatrix);
   gl.uniformMatrix4fv(shProgram.iProjectionMatrix, false, projection);
   updateLightUniform(modelViewMatrix);
+  // Only closed surfaces show the cut colour on their back faces
+  gl.uniform1i(shProgram.iTwoSided, surface.twoSided ? 1 : 0);
   surface.Draw();
 };
 
@@ -268,6 +236,10 @@ const validateGLResources = (prog) => {
   shProgram.iDiffuseColor = gl.getUniformLocation(prog, "uDiffuseColor");
   shProgram.iSpecularColor = gl.getUniformLocation(prog, "uSpecularColor");
   shProgram.iShininess = gl.getUniformLocation(prog, "uShininess");
+  shProgram.iClipPlanes = gl.getUniformLocation(prog, "uClipPlanes");
+  shProgram.iClipPlaneCount = gl.getUniformLocation(prog, "uClipPlaneCount");
+  shProgram.iBackFaceColor = gl.getUniformLocation(prog, "uBackFaceColor");
+  shProgram.iTwoSided = gl.getUniformLocation(prog, "uTwoSided");
   if (
     !shProgram.iModelViewMatrix ||
     !shProgram.iProjectionMatrix ||
@@ -287,7 +259,9 @@ const initGL = () => {
   gl.uniform3fv(shProgram.iDiffuseColor, new Float32Array([0.95, 0.55, 0.2]));
   gl.uniform3fv(shProgram.iSpecularColor, new Float32Array([0.95, 0.9, 0.8]));
   gl.uniform1f(shProgram.iShininess, 32.0);
-  surface = new Model("ParabolicHummingTop");
+  gl.uniform1i(shProgram.iClipPlaneCount, 0);
+  gl.uniform3fv(shProgram.iBackFaceColor, new Float32Array([0.8, 0.2, 0.2]));
+  surface = new Model(DEFAULT_SURFACE);
   gl.enable(gl.DEPTH_TEST);
   gl.enable(gl.CULL_FACE);
   gl.cullFace(gl.BACK);
@@ -326,6 +300,282 @@ const createProgram = (gl, vShader, fShader) => {
   return prog;
 };
 
+/*======================  MESH GENERATION  ======================*/
+
+/**
+ * Runs CreateSurfaceData in mesh-worker.js and hands the typed-array
+ * mesh to onMesh(mesh, request). Only the newest request matters: while
+ * one is being built, later ones replace each other in a single pending
+ * slot and results of older ones are dropped, so dragging a slider never
+ * queues stale meshes. Falls back to the main thread when workers are
+ * unavailable (e.g. a page opened from file://).
+ */
+function MeshBuilder(onMesh) {
+  let worker = null;
+  let nextId = 0;
+  let latest = null; // newest request
+  let pending = null; // waiting for the worker to become free
+  let busy = false;
+
+  const buildHere = (request) => {
+    const data = CreateSurfaceData(request.uSeg, request.vSeg, request.options);
+    onMesh(toTransferableMesh(data).mesh, request);
+  };
+
+  const send = (request) => {
+    busy = true;
+    worker.postMessage(request);
+  };
+
+  try {
+    worker = new Worker("./mesh-worker.js");
+  } catch (e) {
+    worker = null;
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data: result }) => {
+      if (result.error) {
+        console.error("Mesh generation failed:", result.error);
+      } else if (latest && result.id === latest.id) {
+        onMesh(result.mesh, latest);
+      }
+
+      busy = false;
+      if (pending) {
+        const next = pending;
+        pending = null;
+        send(next);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      console.warn("Mesh worker unavailable, building on the main thread.");
+      worker.terminate();
+      worker = null;
+      pending = null;
+      busy = false;
+      if (latest) buildHere(latest);
+    };
+  }
+
+  // options: as for CreateSurfaceData
+  // Drop the requests in flight, e.g. when an imported mesh replaces them
+  this.Cancel = () => {
+    latest = null;
+    pending = null;
+  };
+
+  this.Request = (uSeg, vSeg, options) => {
+    latest = { id: nextId++, uSeg, vSeg, options };
+
+    if (!worker) {
+      buildHere(latest);
+    } else if (busy) {
+      pending = latest; // replaces any older pending request
+    } else {
+      send(latest);
+    }
+  };
+}
+
+/*======================  SURFACE CONTROLS  ======================*/
+
+/**
+ * Fill the surface dropdown from the registry and build one slider per
+ * parameter of the selected surface. onChange runs on every edit.
+ *
+ * Returns { getSurfaceId(), getParams() }
+ */
+const initSurfaceControls = (select, paramsHolder, onChange) => {
+  let sliders = {};
+
+  for (const def of listSurfaces()) {
+    const option = document.createElement("option");
+    option.value = def.id;
+    option.textContent = def.name;
+    select.appendChild(option);
+  }
+  select.value = DEFAULT_SURFACE;
+
+  const buildSliders = () => {
+    const def = getSurface(select.value);
+    paramsHolder.innerHTML = "";
+    sliders = {};
+
+    for (const [key, range] of Object.entries(def.params)) {
+      const row = document.createElement("div");
+      const label = document.createElement("label");
+      const slider = document.createElement("input");
+      const value = document.createElement("span");
+
+      label.textContent = `${range.label}:`;
+      slider.type = "range";
+      slider.min = range.min;
+      slider.max = range.max;
+      slider.step = range.step;
+      slider.value = range.defaultValue;
+      value.textContent = range.defaultValue.toFixed(2);
+
+      slider.oninput = () => {
+        value.textContent = parseFloat(slider.value).toFixed(2);
+        onChange();
+      };
+
+      row.append(label, slider, value);
+      paramsHolder.appendChild(row);
+      sliders[key] = slider;
+    }
+  };
+
+  select.onchange = () => {
+    buildSliders();
+    onChange();
+  };
+  buildSliders();
+
+  return {
+    getSurfaceId: () => select.value,
+    getParams: () => {
+      const values = {};
+      for (const [key, slider] of Object.entries(sliders)) {
+        values[key] = parseFloat(slider.value);
+      }
+      return resolveSurfaceParams(getSurface(select.value), values);
+    },
+  };
+};
+
+/*======================  CLIP PLANES  ======================*/
+
+// Parse "#rrggbb" into [r, g, b] in [0, 1]
+const hexToColor = (hex) => [
+  parseInt(hex.slice(1, 3), 16) / 255,
+  parseInt(hex.slice(3, 5), 16) / 255,
+  parseInt(hex.slice(5, 7), 16) / 255,
+];
+
+/**
+ * One row per clip plane (checkbox, model-space normal, offset) in
+ * holder. Planes live in model space, so they turn with the trackball.
+ * onChange runs on every edit.
+ *
+ * Returns { getPlanes() } – the enabled planes as { normal (unit),
+ * offset }; the kept side is dot(normal, P) <= offset
+ */
+const initClipPlaneControls = (holder, count, onChange) => {
+  const axes = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+  ];
+  const rows = [];
+
+  for (let k = 0; k < count; k++) {
+    const row = document.createElement("div");
+    const checkbox = document.createElement("input");
+    const label = document.createElement("label");
+    const offset = document.createElement("input");
+    const offsetValue = document.createElement("span");
+
+    checkbox.type = "checkbox";
+    checkbox.id = `clipPlane${k}`;
+    label.htmlFor = checkbox.id;
+    label.textContent = `Clip plane ${k + 1}:`;
+    const normal = axes[k % 3].map((c) => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "0.1";
+      input.value = c;
+      input.className = "clipNormal";
+      return input;
+    });
+    offset.type = "range";
+    offset.min = -2;
+    offset.max = 2;
+    offset.step = 0.01;
+    offset.value = 0;
+    offsetValue.textContent = "0.00";
+
+    for (const input of [checkbox, ...normal, offset]) {
+      input.oninput = () => {
+        offsetValue.textContent = parseFloat(offset.value).toFixed(2);
+        onChange();
+      };
+    }
+
+    row.append(checkbox, label, ...normal, offset, offsetValue);
+    holder.appendChild(row);
+    rows.push({ checkbox, normal, offset });
+  }
+
+  return {
+    getPlanes: () =>
+      rows
+        .filter(({ checkbox }) => checkbox.checked)
+        .map(({ normal, offset }) => ({
+          normal: normal.map((input) => parseFloat(input.value) || 0),
+          offset: parseFloat(offset.value),
+        }))
+        .filter(({ normal }) => normal.some((c) => c !== 0))
+        .map(({ normal, offset }) => normalizePlane(normal, offset)),
+  };
+};
+
+// Upload planes ({ normal, offset }, at most MAX_CLIP_PLANES)
+const setClipPlanes = (planes) => {
+  const data = new Float32Array(4 * MAX_CLIP_PLANES);
+  planes.forEach(({ normal, offset }, k) => {
+    data.set([...normal, offset], 4 * k);
+  });
+  gl.uniform4fv(shProgram.iClipPlanes, data);
+  gl.uniform1i(shProgram.iClipPlaneCount, planes.length);
+  surface.clipped = planes.length > 0;
+};
+
+/*======================  IMPORT CONTROLS  ======================*/
+
+/**
+ * Load a mesh file picked in the file input or dropped on the canvas.
+ * onImport(fileName, mesh) gets the parsed mesh (see importers.js);
+ * parse errors are shown in errorLabel.
+ */
+const initImportControls = (input, canvas, errorLabel, onImport) => {
+  const load = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let mesh;
+      try {
+        mesh = importMeshFile(file.name, reader.result);
+      } catch (e) {
+        errorLabel.textContent = e.message;
+        return;
+      }
+      errorLabel.textContent = "";
+      onImport(file.name, mesh);
+    };
+    reader.onerror = () => {
+      errorLabel.textContent = `Could not read '${file.name}'.`;
+    };
+    reader.readAsArrayBuffer(file);
+  };
+
+  input.accept = MESH_IMPORT_EXTENSIONS.join(",");
+  input.onchange = () => {
+    if (input.files.length) load(input.files[0]);
+    input.value = ""; // picking the same file again reloads it
+  };
+
+  canvas.addEventListener("dragover", (event) => {
+    event.preventDefault(); // allow dropping
+  });
+  canvas.addEventListener("drop", (event) => {
+    event.preventDefault();
+    if (event.dataTransfer.files.length) load(event.dataTransfer.files[0]);
+  });
+};
+
 const init = () => {
   let canvas;
   try {
@@ -359,19 +609,76 @@ const init = () => {
   const vSlider = document.getElementById("vResolution");
   const uVal = document.getElementById("uVal");
   const vVal = document.getElementById("vVal");
+  const smoothAngleSlider = document.getElementById("smoothAngle");
+  const smoothAngleVal = document.getElementById("smoothAngleVal");
 
   const updateSurfaceFromSliders = () => {
     const uSeg = parseInt(uSlider.value);
     const vSeg = parseInt(vSlider.value);
+    const smoothAngle = parseFloat(smoothAngleSlider.value);
     uVal.textContent = uSeg.toString();
     vVal.textContent = vSeg.toString();
-    const data = CreateSurfaceData(uSeg, vSeg);
-    surface.BufferData(data.positions, data.normals, data.indices);
+    smoothAngleVal.textContent = smoothAngle.toString();
+    // Built in the mesh worker; the current mesh stays until it arrives
+    meshBuilder.Request(uSeg, vSeg, {
+      surface: surfaceControls.getSurfaceId(),
+      params: surfaceControls.getParams(),
+      smoothAngle,
+    });
+  };
+
+  const showMesh = ({ positions, normals, indices }, name, twoSided) => {
+    surface.name = name;
+    surface.twoSided = twoSided;
+    surface.BufferData(positions, normals, indices);
     draw();
   };
 
+  const meshBuilder = new MeshBuilder((data, { options }) => {
+    showMesh(data, options.surface, getSurface(options.surface).twoSided);
+  });
+
+  // Imported meshes stay until a surface control is touched
+  initImportControls(
+    document.getElementById("importFile"),
+    canvas,
+    document.getElementById("importError"),
+    (fileName, imported) => {
+      meshBuilder.Cancel();
+      const data = completeImportedMesh(
+        imported,
+        parseFloat(smoothAngleSlider.value)
+      );
+      showMesh(data, fileName.replace(/\.[^.]*$/, ""), imported.twoSided);
+    }
+  );
+
   uSlider.oninput = updateSurfaceFromSliders;
   vSlider.oninput = updateSurfaceFromSliders;
+  smoothAngleSlider.oninput = updateSurfaceFromSliders;
+
+  const backFaceColorInput = document.getElementById("backFaceColor");
+  const clipControls = initClipPlaneControls(
+    document.getElementById("clipPlanes"),
+    MAX_CLIP_PLANES,
+    () => {
+      setClipPlanes(clipControls.getPlanes());
+      draw();
+    }
+  );
+  backFaceColorInput.oninput = () => {
+    gl.uniform3fv(
+      shProgram.iBackFaceColor,
+      new Float32Array(hexToColor(backFaceColorInput.value))
+    );
+    draw();
+  };
+  backFaceColorInput.oninput();
+  const surfaceControls = initSurfaceControls(
+    document.getElementById("surfaceSelect"),
+    document.getElementById("surfaceParams"),
+    updateSurfaceFromSliders
+  );
   updateSurfaceFromSliders();
   requestAnimationFrame(animate);
 };
@@ -0,0 +1,17 @@
+"use strict";
+
+// Builds surface meshes off the main thread. Messages:
+//   in:  { id, uSeg, vSeg, options }
+//   out: { id, mesh } with typed arrays (transferred), or { id, error }
+importScripts("./surfaces.js", "./geometry.js");
+
+self.onmessage = (event) => {
+  const request = event.data;
+  try {
+    const data = CreateSurfaceData(request.uSeg, request.vSeg, request.options);
+    const packed = toTransferableMesh(data);
+    self.postMessage({ id: request.id, mesh: packed.mesh }, packed.transfer);
+  } catch (e) {
+    self.postMessage({ id: request.id, error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,277 @@
+"use strict";
+
+/*======================  PARAMETRIC SURFACE REGISTRY  ======================*/
+
+// Every surface is P(u, v) with the y axis vertical:
+//   u – "around" direction (columns of the grid, texture s)
+//   v – "along" direction (rows of the grid, texture t)
+// dP/dv x dP/du must point to the outside so that the triangle winding used
+// by the generators matches the normals and back-face culling.
+//
+// A definition holds:
+//   name:        label for the surface dropdown
+//   params:      { key: { label, min, max, step, defaultValue } }
+//   domain:      (params) => ({ u: [min, max], v: [min, max] })
+//   position:    (u, v, params) => [x, y, z]
+//   derivatives: optional (u, v, params, side) => { du, dv }; side (-1/+1)
+//                picks the one-sided dP/dv on a crease
+//   creases:     optional (params) => [v, ...] rows kept as hard edges
+//   twoSided:    true for open or non-orientable surfaces (no culling)
+const SURFACE_REGISTRY = new Map();
+
+const registerSurface = (id, definition) => {
+  if (typeof definition.position !== "function") {
+    throw new Error(`Surface '${id}' needs a position function.`);
+  }
+  if (typeof definition.domain !== "function") {
+    throw new Error(`Surface '${id}' needs a domain function.`);
+  }
+  SURFACE_REGISTRY.set(id, {
+    id,
+    name: id,
+    params: {},
+    creases: () => [],
+    twoSided: false,
+    ...definition,
+  });
+};
+
+const getSurface = (id) => {
+  const surface = SURFACE_REGISTRY.get(id);
+  if (!surface) {
+    throw new Error(`Unknown surface '${id}'.`);
+  }
+  return surface;
+};
+
+const listSurfaces = () => [...SURFACE_REGISTRY.values()];
+
+// Clamp parameters into their ranges (missing or non-numbers -> default)
+const resolveSurfaceParams = (surface, values = {}) => {
+  const params = {};
+  for (const key of Object.keys(surface.params)) {
+    const range = surface.params[key];
+    const value = values[key];
+    params[key] = Number.isFinite(value)
+      ? Math.min(Math.max(value, range.min), range.max)
+      : range.defaultValue;
+  }
+  return params;
+};
+
+/*======================  PLANES  ======================*/
+
+// Unit normal and offset (signed distance from the origin) of a plane
+const normalizePlane = (normal, offset) => {
+  const len = Math.hypot(normal[0], normal[1], normal[2]);
+  if (!(len > 0)) {
+    throw new Error("Plane normal must not be zero.");
+  }
+  return { normal: normal.map((c) => c / len), offset };
+};
+
+/*======================  PARABOLIC HUMMING-TOP  ======================*/
+
+// Parabolic Humming-Top parametric function, mapped to (x, y, z)
+// y ∈ [-h, h], beta ∈ [0, 2π]
+const parabolicHummingTopVertex = (y, beta, h, p) => {
+  const rBase = Math.abs(y) - h; // |y| - h
+  const r = (rBase * rBase) / (2 * p); // (|y| - h)^2 / (2p)
+
+  const x = r * Math.cos(beta);
+  const z = r * Math.sin(beta);
+
+  return [x, y, z];
+};
+
+// Partial derivatives of parabolicHummingTopVertex.
+// sheet: -1 (lower) or +1 (upper); picks the one-sided derivative at the
+// y = 0 crease where |y| is not differentiable. Defaults to sign(y).
+// Returns { dy: dP/dy, dbeta: dP/dbeta }
+const parabolicHummingTopDerivatives = (y, beta, h, p, sheet) => {
+  const s = sheet || Math.sign(y);
+  const rBase = Math.abs(y) - h;
+  const r = (rBase * rBase) / (2 * p);
+  const dr = (rBase * s) / p; // dr/dy
+
+  const cosB = Math.cos(beta);
+  const sinB = Math.sin(beta);
+
+  return {
+    dy: [dr * cosB, 1.0, dr * sinB],
+    dbeta: [-r * sinB, 0.0, r * cosB],
+  };
+};
+
+registerSurface("hummingTop", {
+  name: "Parabolic Humming-Top",
+  params: {
+    h: { label: "Height h", min: 0.5, max: 1.5, step: 0.05, defaultValue: 1.0 },
+    p: {
+      label: "Parabola p",
+      min: 0.25,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 0.5,
+    },
+  },
+  domain: ({ h }) => ({ u: [0, 2 * Math.PI], v: [-h, h] }),
+  position: (u, v, { h, p }) => parabolicHummingTopVertex(v, u, h, p),
+  derivatives: (u, v, { h, p }, side) => {
+    const d = parabolicHummingTopDerivatives(v, u, h, p, side);
+    return { du: d.dbeta, dv: d.dy };
+  },
+  creases: () => [0.0], // the two parabolic sheets meet at y = 0
+});
+
+/*======================  OTHER SURFACES  ======================*/
+
+registerSurface("sphere", {
+  name: "Sphere",
+  params: {
+    R: {
+      label: "Radius R",
+      min: 0.25,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 1.0,
+    },
+  },
+  domain: () => ({ u: [0, 2 * Math.PI], v: [-Math.PI / 2, Math.PI / 2] }),
+  position: (u, v, { R }) => [
+    R * Math.cos(v) * Math.cos(u),
+    R * Math.sin(v),
+    R * Math.cos(v) * Math.sin(u),
+  ],
+  derivatives: (u, v, { R }) => ({
+    du: [-R * Math.cos(v) * Math.sin(u), 0.0, R * Math.cos(v) * Math.cos(u)],
+    dv: [
+      -R * Math.sin(v) * Math.cos(u),
+      R * Math.cos(v),
+      -R * Math.sin(v) * Math.sin(u),
+    ],
+  }),
+});
+
+registerSurface("torus", {
+  name: "Torus",
+  params: {
+    R: {
+      label: "Major radius R",
+      min: 0.5,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 1.0,
+    },
+    r: {
+      label: "Minor radius r",
+      min: 0.1,
+      max: 0.8,
+      step: 0.05,
+      defaultValue: 0.35,
+    },
+  },
+  domain: () => ({ u: [0, 2 * Math.PI], v: [0, 2 * Math.PI] }),
+  position: (u, v, { R, r }) => {
+    const ring = R + r * Math.cos(v);
+    return [ring * Math.cos(u), r * Math.sin(v), ring * Math.sin(u)];
+  },
+  derivatives: (u, v, { R, r }) => {
+    const ring = R + r * Math.cos(v);
+    return {
+      du: [-ring * Math.sin(u), 0.0, ring * Math.cos(u)],
+      dv: [
+        -r * Math.sin(v) * Math.cos(u),
+        r * Math.cos(v),
+        -r * Math.sin(v) * Math.sin(u),
+      ],
+    };
+  },
+});
+
+registerSurface("mobius", {
+  name: "Möbius Strip",
+  params: {
+    R: { label: "Radius R", min: 0.5, max: 1.5, step: 0.05, defaultValue: 1.0 },
+    w: {
+      label: "Half-width w",
+      min: 0.1,
+      max: 0.6,
+      step: 0.05,
+      defaultValue: 0.4,
+    },
+  },
+  domain: ({ w }) => ({ u: [0, 2 * Math.PI], v: [-w, w] }),
+  position: (u, v, { R }) => {
+    const ring = R + v * Math.cos(u / 2);
+    return [ring * Math.cos(u), v * Math.sin(u / 2), ring * Math.sin(u)];
+  },
+  twoSided: true,
+});
+
+// Figure-8 immersion, scaled to fit the view
+registerSurface("klein", {
+  name: "Klein Bottle",
+  params: {
+    a: { label: "Radius a", min: 1.5, max: 3.0, step: 0.1, defaultValue: 2.0 },
+  },
+  domain: () => ({ u: [0, 2 * Math.PI], v: [0, 2 * Math.PI] }),
+  position: (u, v, { a }) => {
+    const scale = 0.4;
+    const ring =
+      a + Math.cos(u / 2) * Math.sin(v) - Math.sin(u / 2) * Math.sin(2 * v);
+    const height =
+      Math.sin(u / 2) * Math.sin(v) + Math.cos(u / 2) * Math.sin(2 * v);
+    return [
+      scale * ring * Math.cos(u),
+      scale * height,
+      scale * ring * Math.sin(u),
+    ];
+  },
+  twoSided: true,
+});
+
+// Pseudosphere with a helical twist; the tip (v -> 0) is cut off
+registerSurface("dini", {
+  name: "Dini's Surface",
+  params: {
+    a: {
+      label: "Radius a",
+      min: 0.25,
+      max: 1.0,
+      step: 0.05,
+      defaultValue: 0.5,
+    },
+    b: { label: "Twist b", min: 0.0, max: 0.3, step: 0.01, defaultValue: 0.1 },
+  },
+  domain: () => ({ u: [0, 4 * Math.PI], v: [0.1, 2.0] }),
+  position: (u, v, { a, b }) => [
+    a * Math.cos(u) * Math.sin(v),
+    a * (Math.cos(v) + Math.log(Math.tan(v / 2)) + 1.0) + b * (u - 2 * Math.PI),
+    a * Math.sin(u) * Math.sin(v),
+  ],
+  twoSided: true,
+});
+
+// Isometric deformation: t = 0 is the helicoid, t = 1 the catenoid
+registerSurface("catenoidHelicoid", {
+  name: "Catenoid / Helicoid",
+  params: {
+    t: { label: "Blend t", min: 0.0, max: 1.0, step: 0.05, defaultValue: 1.0 },
+  },
+  domain: () => ({ u: [-Math.PI, Math.PI], v: [-1.0, 1.0] }),
+  position: (u, v, { t }) => {
+    const scale = 0.5;
+    const theta = (t * Math.PI) / 2;
+    const cosT = Math.cos(theta);
+    const sinT = Math.sin(theta);
+    return [
+      scale *
+        (sinT * Math.cosh(v) * Math.cos(u) + cosT * Math.sinh(v) * Math.sin(u)),
+      scale * (cosT * u + sinT * v),
+      scale *
+        (sinT * Math.cosh(v) * Math.sin(u) - cosT * Math.sinh(v) * Math.cos(u)),
+    ];
+  },
+  twoSided: true,
+});
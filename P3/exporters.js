@@ -0,0 +1,805 @@
+"use strict";
+
+/*======================  MESH EXPORT  ======================*/
+
+// Serialisers for the mesh returned by CreateSurfaceData (plain arrays or
+// typed arrays): { positions, normals, tangents, texCoords, indices } and
+// optionally curvatures ([K, H] per vertex), written by PLY and glTF.
+// They only build strings / ArrayBuffers, so they run in the page, in a
+// worker and headlessly in Node:
+//   const { exportMesh } = require("./exporters.js");
+//   exportMesh("glb", mesh, { name: "hummingTop" }); // -> [{ name, data, type }]
+
+// Textures of the P3 material, relative to the exported file
+const EXPORT_TEXTURES = {
+  diffuse: "textures/diffuse.png",
+  normal: "textures/normal.png",
+  specular: "textures/specular.png",
+};
+
+function formatNumber(x) {
+  return x.toFixed(6);
+}
+
+// Unit facet normal of triangle t, [0, 0, 0] if degenerate
+function triangleNormal(positions, indices, t) {
+  const a = 3 * indices[t];
+  const b = 3 * indices[t + 1];
+  const c = 3 * indices[t + 2];
+  const e1 = [
+    positions[b] - positions[a],
+    positions[b + 1] - positions[a + 1],
+    positions[b + 2] - positions[a + 2],
+  ];
+  const e2 = [
+    positions[c] - positions[a],
+    positions[c + 1] - positions[a + 1],
+    positions[c + 2] - positions[a + 2],
+  ];
+  const n = [
+    e1[1] * e2[2] - e1[2] * e2[1],
+    e1[2] * e2[0] - e1[0] * e2[2],
+    e1[0] * e2[1] - e1[1] * e2[0],
+  ];
+  const len = Math.hypot(n[0], n[1], n[2]);
+  return len > 0 ? [n[0] / len, n[1] / len, n[2] / len] : [0, 0, 0];
+}
+
+/*======================  WAVEFRONT OBJ / MTL  ======================*/
+
+/**
+ * OBJ with positions, UVs and normals; options.mtlFile names the
+ * material library written by exportMTL.
+ */
+function exportOBJ(mesh, options) {
+  options = options || {};
+  const name = options.name || "surface";
+  let lines = ["# " + name];
+
+  if (options.mtlFile) {
+    lines.push("mtllib " + options.mtlFile);
+  }
+  lines.push("o " + name);
+
+  const vertexCount = mesh.positions.length / 3;
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push(
+      "v " +
+        formatNumber(mesh.positions[3 * i]) +
+        " " +
+        formatNumber(mesh.positions[3 * i + 1]) +
+        " " +
+        formatNumber(mesh.positions[3 * i + 2])
+    );
+  }
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push(
+      "vt " +
+        formatNumber(mesh.texCoords[2 * i]) +
+        " " +
+        formatNumber(mesh.texCoords[2 * i + 1])
+    );
+  }
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push(
+      "vn " +
+        formatNumber(mesh.normals[3 * i]) +
+        " " +
+        formatNumber(mesh.normals[3 * i + 1]) +
+        " " +
+        formatNumber(mesh.normals[3 * i + 2])
+    );
+  }
+
+  if (options.mtlFile) {
+    lines.push("usemtl " + name);
+  }
+  // OBJ indices are 1-based; v/vt/vn share one index per vertex
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    let face = "f";
+    for (let k = 0; k < 3; k++) {
+      const i = mesh.indices[t + k] + 1;
+      face += " " + i + "/" + i + "/" + i;
+    }
+    lines.push(face);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Material matching the P3 shader: diffuse, specular and normal maps
+function exportMTL(options) {
+  options = options || {};
+  const name = options.name || "surface";
+  return (
+    [
+      "newmtl " + name,
+      "Ka 0.2 0.2 0.2",
+      "Kd 1.0 1.0 1.0",
+      "Ks 1.0 1.0 1.0",
+      "Ns 32",
+      "map_Kd " + EXPORT_TEXTURES.diffuse,
+      "map_Ks " + EXPORT_TEXTURES.specular,
+      "norm " + EXPORT_TEXTURES.normal,
+      "map_Bump " + EXPORT_TEXTURES.normal,
+    ].join("\n") + "\n"
+  );
+}
+
+/*======================  STL  ======================*/
+
+function exportSTLAscii(mesh, options) {
+  options = options || {};
+  const name = options.name || "surface";
+  const p = mesh.positions;
+  let lines = ["solid " + name];
+
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    const n = triangleNormal(p, mesh.indices, t);
+    lines.push(
+      "  facet normal " + n.map(formatNumber).join(" "),
+      "    outer loop"
+    );
+    for (let k = 0; k < 3; k++) {
+      const i = 3 * mesh.indices[t + k];
+      lines.push(
+        "      vertex " +
+          formatNumber(p[i]) +
+          " " +
+          formatNumber(p[i + 1]) +
+          " " +
+          formatNumber(p[i + 2])
+      );
+    }
+    lines.push("    endloop", "  endfacet");
+  }
+  lines.push("endsolid " + name);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Binary STL: 80-byte header, triangle count, then per triangle the
+ * facet normal, three vertices and a zero attribute word (50 bytes).
+ */
+function exportSTLBinary(mesh, options) {
+  options = options || {};
+  const name = options.name || "surface";
+  const p = mesh.positions;
+  const triangleCount = mesh.indices.length / 3;
+  const buffer = new ArrayBuffer(84 + 50 * triangleCount);
+  const view = new DataView(buffer);
+
+  // Header must not start with "solid", readers take that as ASCII
+  const header = ("binary STL " + name).slice(0, 80);
+  for (let c = 0; c < header.length; c++) {
+    view.setUint8(c, header.charCodeAt(c) & 0x7f);
+  }
+  view.setUint32(80, triangleCount, true);
+
+  let offset = 84;
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    const n = triangleNormal(p, mesh.indices, t);
+    for (let c = 0; c < 3; c++) {
+      view.setFloat32(offset, n[c], true);
+      offset += 4;
+    }
+    for (let k = 0; k < 3; k++) {
+      const i = 3 * mesh.indices[t + k];
+      for (let c = 0; c < 3; c++) {
+        view.setFloat32(offset, p[i + c], true);
+        offset += 4;
+      }
+    }
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  }
+  return buffer;
+}
+
+/*======================  PLY  ======================*/
+
+// ASCII PLY with per-vertex normals, texture coordinates and curvature
+function exportPLY(mesh, options) {
+  options = options || {};
+  const name = options.name || "surface";
+  const vertexCount = mesh.positions.length / 3;
+  const faceCount = mesh.indices.length / 3;
+  let lines = [
+    "ply",
+    "format ascii 1.0",
+    "comment " + name,
+    "element vertex " + vertexCount,
+    "property float x",
+    "property float y",
+    "property float z",
+    "property float nx",
+    "property float ny",
+    "property float nz",
+    "property float s",
+    "property float t",
+  ];
+  if (mesh.curvatures) {
+    lines.push(
+      "property float gaussian_curvature",
+      "property float mean_curvature"
+    );
+  }
+  lines.push(
+    "element face " + faceCount,
+    "property list uchar uint vertex_indices",
+    "end_header"
+  );
+
+  for (let i = 0; i < vertexCount; i++) {
+    let values = [];
+    for (let c = 0; c < 3; c++) values.push(mesh.positions[3 * i + c]);
+    for (let c = 0; c < 3; c++) values.push(mesh.normals[3 * i + c]);
+    for (let c = 0; c < 2; c++) values.push(mesh.texCoords[2 * i + c]);
+    if (mesh.curvatures) {
+      for (let c = 0; c < 2; c++) values.push(mesh.curvatures[2 * i + c]);
+    }
+    lines.push(values.map(formatNumber).join(" "));
+  }
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    lines.push(
+      "3 " +
+        mesh.indices[t] +
+        " " +
+        mesh.indices[t + 1] +
+        " " +
+        mesh.indices[t + 2]
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/*======================  glTF 2.0 / GLB  ======================*/
+
+// glTF constants
+const GLTF_FLOAT = 5126;
+const GLTF_UNSIGNED_INT = 5125;
+const GLTF_ARRAY_BUFFER = 34962;
+const GLTF_ELEMENT_ARRAY_BUFFER = 34963;
+const GLTF_TRIANGLES = 4;
+
+/**
+ * Handedness of the tangent frame per vertex, the w of glTF tangents:
+ * +1 where cross(N, T) points up the texture image, i.e. along dP/dt
+ * accumulated over the adjacent triangles like computeTangentsFromUVs,
+ * and -1 where the UV mapping is mirrored.
+ *
+ * Returns [w0, w1, ...]
+ */
+function tangentHandedness(mesh) {
+  const positions = mesh.positions;
+  const texCoords = mesh.texCoords;
+  const indices = mesh.indices;
+  let bitangents = new Array(positions.length).fill(0.0);
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t],
+      b = indices[t + 1],
+      c = indices[t + 2];
+    const ds1 = texCoords[2 * b] - texCoords[2 * a];
+    const dt1 = texCoords[2 * b + 1] - texCoords[2 * a + 1];
+    const ds2 = texCoords[2 * c] - texCoords[2 * a];
+    const dt2 = texCoords[2 * c + 1] - texCoords[2 * a + 1];
+    const det = ds1 * dt2 - ds2 * dt1;
+    if (Math.abs(det) < 1e-12) continue; // degenerate UV triangle
+    for (let k = 0; k < 3; k++) {
+      const e1 = positions[3 * b + k] - positions[3 * a + k];
+      const e2 = positions[3 * c + k] - positions[3 * a + k];
+      const dPdt = (e2 * ds1 - e1 * ds2) / det;
+      bitangents[3 * a + k] += dPdt;
+      bitangents[3 * b + k] += dPdt;
+      bitangents[3 * c + k] += dPdt;
+    }
+  }
+
+  const n = mesh.normals;
+  const tg = mesh.tangents;
+  let handedness = [];
+  for (let k = 0; k < positions.length; k += 3) {
+    const cross = [
+      n[k + 1] * tg[k + 2] - n[k + 2] * tg[k + 1],
+      n[k + 2] * tg[k] - n[k] * tg[k + 2],
+      n[k] * tg[k + 1] - n[k + 1] * tg[k],
+    ];
+    const d =
+      cross[0] * bitangents[k] +
+      cross[1] * bitangents[k + 1] +
+      cross[2] * bitangents[k + 2];
+    handedness.push(d < 0 ? -1.0 : 1.0);
+  }
+  return handedness;
+}
+
+/**
+ * glTF document and its binary buffer for one mesh.
+ * UVs are flipped to glTF's top-left origin (the page uploads textures
+ * with UNPACK_FLIP_Y); tangent w is from tangentHandedness.
+ * Curvature goes into the application-specific attributes
+ * _GAUSSIAN_CURVATURE and _MEAN_CURVATURE.
+ *
+ * Returns { json, bin: Uint8Array }
+ */
+function buildGLTF(mesh, options) {
+  options = options || {};
+  const name = options.name || "surface";
+  const vertexCount = mesh.positions.length / 3;
+
+  const positions = new Float32Array(mesh.positions);
+  const normals = new Float32Array(vertexCount * 3);
+  const tangents = new Float32Array(vertexCount * 4);
+  const texCoords = new Float32Array(vertexCount * 2);
+  const indices = new Uint32Array(mesh.indices);
+  const handedness = tangentHandedness(mesh);
+
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < vertexCount; i++) {
+    for (let c = 0; c < 3; c++) {
+      const x = positions[3 * i + c];
+      min[c] = Math.min(min[c], x);
+      max[c] = Math.max(max[c], x);
+    }
+
+    // glTF requires unit normals and tangents
+    const n = [
+      mesh.normals[3 * i],
+      mesh.normals[3 * i + 1],
+      mesh.normals[3 * i + 2],
+    ];
+    const nLen = Math.hypot(n[0], n[1], n[2]) || 1;
+    const tg = [
+      mesh.tangents[3 * i],
+      mesh.tangents[3 * i + 1],
+      mesh.tangents[3 * i + 2],
+    ];
+    const tLen = Math.hypot(tg[0], tg[1], tg[2]) || 1;
+    for (let c = 0; c < 3; c++) {
+      normals[3 * i + c] = n[c] / nLen;
+      tangents[4 * i + c] = tg[c] / tLen;
+    }
+    tangents[4 * i + 3] = handedness[i];
+
+    texCoords[2 * i] = mesh.texCoords[2 * i];
+    texCoords[2 * i + 1] = 1.0 - mesh.texCoords[2 * i + 1];
+  }
+
+  // One buffer, one tightly packed view per array (all 4-byte aligned)
+  const parts = [
+    { data: positions, target: GLTF_ARRAY_BUFFER },
+    { data: normals, target: GLTF_ARRAY_BUFFER },
+    { data: tangents, target: GLTF_ARRAY_BUFFER },
+    { data: texCoords, target: GLTF_ARRAY_BUFFER },
+    { data: indices, target: GLTF_ELEMENT_ARRAY_BUFFER },
+  ];
+  let attributes = { POSITION: 0, NORMAL: 1, TANGENT: 2, TEXCOORD_0: 3 };
+  if (mesh.curvatures) {
+    const gaussian = new Float32Array(vertexCount);
+    const mean = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+      gaussian[i] = mesh.curvatures[2 * i];
+      mean[i] = mesh.curvatures[2 * i + 1];
+    }
+    attributes._GAUSSIAN_CURVATURE = parts.length;
+    parts.push({ data: gaussian, target: GLTF_ARRAY_BUFFER });
+    attributes._MEAN_CURVATURE = parts.length;
+    parts.push({ data: mean, target: GLTF_ARRAY_BUFFER });
+  }
+  let byteLength = 0;
+  const bufferViews = parts.map(function (part) {
+    const view = {
+      buffer: 0,
+      byteOffset: byteLength,
+      byteLength: part.data.byteLength,
+      target: part.target,
+    };
+    byteLength += part.data.byteLength;
+    return view;
+  });
+
+  const bin = new Uint8Array(byteLength);
+  parts.forEach(function (part, k) {
+    bin.set(
+      new Uint8Array(
+        part.data.buffer,
+        part.data.byteOffset,
+        part.data.byteLength
+      ),
+      bufferViews[k].byteOffset
+    );
+  });
+
+  const json = {
+    asset: { version: "2.0", generator: "Parabolic Humming-Top exporter" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name: name }],
+    meshes: [
+      {
+        name: name,
+        primitives: [
+          {
+            attributes: attributes,
+            indices: 4,
+            material: 0,
+            mode: GLTF_TRIANGLES,
+          },
+        ],
+      },
+    ],
+    materials: [
+      {
+        name: name,
+        pbrMetallicRoughness: {
+          baseColorTexture: { index: 0 },
+          metallicFactor: 0.0,
+          roughnessFactor: 0.5,
+        },
+        normalTexture: { index: 1 },
+        doubleSided: !!options.twoSided,
+      },
+    ],
+    textures: [
+      { source: 0, sampler: 0 },
+      { source: 1, sampler: 0 },
+    ],
+    images: [{ uri: EXPORT_TEXTURES.diffuse }, { uri: EXPORT_TEXTURES.normal }],
+    samplers: [{}], // defaults: linear filtering, repeat
+    accessors: [
+      {
+        bufferView: 0,
+        componentType: GLTF_FLOAT,
+        count: vertexCount,
+        type: "VEC3",
+        min: min,
+        max: max,
+      },
+      {
+        bufferView: 1,
+        componentType: GLTF_FLOAT,
+        count: vertexCount,
+        type: "VEC3",
+      },
+      {
+        bufferView: 2,
+        componentType: GLTF_FLOAT,
+        count: vertexCount,
+        type: "VEC4",
+      },
+      {
+        bufferView: 3,
+        componentType: GLTF_FLOAT,
+        count: vertexCount,
+        type: "VEC2",
+      },
+      {
+        bufferView: 4,
+        componentType: GLTF_UNSIGNED_INT,
+        count: indices.length,
+        type: "SCALAR",
+      },
+    ].concat(
+      parts.slice(5).map(function (part, k) {
+        return {
+          bufferView: 5 + k,
+          componentType: GLTF_FLOAT,
+          count: vertexCount,
+          type: "SCALAR",
+        };
+      })
+    ),
+    bufferViews: bufferViews,
+    buffers: [{ byteLength: byteLength }],
+  };
+
+  return { json: json, bin: bin };
+}
+
+const BASE64_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function encodeBase64(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 3) {
+    const b0 = bytes[i];
+    const b1 = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const b2 = i + 2 < bytes.length ? bytes[i + 2] : 0;
+    const triple = (b0 << 16) | (b1 << 8) | b2;
+    out += BASE64_ALPHABET[(triple >> 18) & 63];
+    out += BASE64_ALPHABET[(triple >> 12) & 63];
+    out += i + 1 < bytes.length ? BASE64_ALPHABET[(triple >> 6) & 63] : "=";
+    out += i + 2 < bytes.length ? BASE64_ALPHABET[triple & 63] : "=";
+  }
+  return out;
+}
+
+// Self-contained .gltf: the buffer is embedded as a base64 data URI
+function exportGLTF(mesh, options) {
+  const gltf = buildGLTF(mesh, options);
+  gltf.json.buffers[0].uri =
+    "data:application/octet-stream;base64," + encodeBase64(gltf.bin);
+  return JSON.stringify(gltf.json);
+}
+
+/**
+ * Binary glTF: 12-byte header, JSON chunk padded with spaces and BIN
+ * chunk padded with zeros, both to 4 bytes.
+ */
+function exportGLB(mesh, options) {
+  const gltf = buildGLTF(mesh, options);
+
+  // Chunk lengths are in bytes, so measure the UTF-8 encoding
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(gltf.json));
+  const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+  const binLength = Math.ceil(gltf.bin.length / 4) * 4;
+
+  const totalLength = 12 + 8 + jsonLength + 8 + binLength;
+  const buffer = new ArrayBuffer(totalLength);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint32(0, 0x46546c67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4e4f534a, true); // "JSON"
+  bytes.fill(0x20, 20, 20 + jsonLength);
+  bytes.set(jsonBytes, 20);
+
+  const binStart = 20 + jsonLength;
+  view.setUint32(binStart, binLength, true);
+  view.setUint32(binStart + 4, 0x004e4942, true); // "BIN\0"
+  bytes.set(gltf.bin, binStart + 8);
+
+  return buffer;
+}
+
+/*======================  FORMAT TABLE  ======================*/
+
+// label: Export menu entry; write(mesh, options) -> [{ name, data, type }]
+const MESH_EXPORT_FORMATS = {
+  obj: {
+    label: "Wavefront OBJ + MTL",
+    write: function (mesh, options) {
+      const name = options.name;
+      const mtlFile = name + ".mtl";
+      const objOptions = Object.assign({}, options, { mtlFile: mtlFile });
+      return [
+        {
+          name: name + ".obj",
+          data: exportOBJ(mesh, objOptions),
+          type: "text/plain",
+        },
+        { name: mtlFile, data: exportMTL(options), type: "text/plain" },
+      ];
+    },
+  },
+  stl: {
+    label: "STL (binary)",
+    write: function (mesh, options) {
+      return [
+        {
+          name: options.name + ".stl",
+          data: exportSTLBinary(mesh, options),
+          type: "model/stl",
+        },
+      ];
+    },
+  },
+  stlAscii: {
+    label: "STL (ASCII)",
+    write: function (mesh, options) {
+      return [
+        {
+          name: options.name + ".stl",
+          data: exportSTLAscii(mesh, options),
+          type: "model/stl",
+        },
+      ];
+    },
+  },
+  ply: {
+    label: "PLY",
+    write: function (mesh, options) {
+      return [
+        {
+          name: options.name + ".ply",
+          data: exportPLY(mesh, options),
+          type: "text/plain",
+        },
+      ];
+    },
+  },
+  gltf: {
+    label: "glTF 2.0",
+    write: function (mesh, options) {
+      return [
+        {
+          name: options.name + ".gltf",
+          data: exportGLTF(mesh, options),
+          type: "model/gltf+json",
+        },
+      ];
+    },
+  },
+  glb: {
+    label: "GLB",
+    write: function (mesh, options) {
+      return [
+        {
+          name: options.name + ".glb",
+          data: exportGLB(mesh, options),
+          type: "model/gltf-binary",
+        },
+      ];
+    },
+  },
+};
+
+/**
+ * Serialise mesh to one of MESH_EXPORT_FORMATS.
+ * options: { name (file base name), twoSided }
+ *
+ * Returns [{ name, data: string | ArrayBuffer, type }]
+ */
+function exportMesh(format, mesh, options) {
+  const entry = MESH_EXPORT_FORMATS[format];
+  if (!entry) {
+    throw new Error("Unknown export format '" + format + "'.");
+  }
+  options = Object.assign({ name: "surface" }, options);
+  return entry.write(mesh, options);
+}
+
+/*======================  CROSS-SECTION CONTOURS  ======================*/
+
+// Contours as returned by surfaceSliceContours: [{ points, closed }] with
+// flat [x, y, z, ...] points, and the plane { normal (unit), offset }.
+
+// Orthonormal in-plane axes [e1, e2] with e1 x e2 = normal; e2 (the
+// SVG "up") follows the y axis, or z for horizontal planes
+function contourPlaneAxes(normal) {
+  const up = Math.abs(normal[1]) < 0.999 ? [0, 1, 0] : [0, 0, 1];
+  const d = up[0] * normal[0] + up[1] * normal[1] + up[2] * normal[2];
+  let e2 = [
+    up[0] - d * normal[0],
+    up[1] - d * normal[1],
+    up[2] - d * normal[2],
+  ];
+  const len = Math.hypot(e2[0], e2[1], e2[2]);
+  e2 = [e2[0] / len, e2[1] / len, e2[2] / len];
+  const e1 = [
+    e2[1] * normal[2] - e2[2] * normal[1],
+    e2[2] * normal[0] - e2[0] * normal[2],
+    e2[0] * normal[1] - e2[1] * normal[0],
+  ];
+  return [e1, e2];
+}
+
+// In-plane coordinates [s, t, ...] of a contour's points
+function contourPlaneCoords(points, axes) {
+  let coords = [];
+  for (let i = 0; i < points.length; i += 3) {
+    coords.push(
+      points[i] * axes[0][0] +
+        points[i + 1] * axes[0][1] +
+        points[i + 2] * axes[0][2],
+      points[i] * axes[1][0] +
+        points[i + 1] * axes[1][1] +
+        points[i + 2] * axes[1][2]
+    );
+  }
+  return coords;
+}
+
+/**
+ * CSV with one row per contour point: model-space x, y, z and the
+ * in-plane s, t (axes of contourPlaneAxes).
+ */
+function exportContourCSV(contours, plane) {
+  const axes = contourPlaneAxes(plane.normal);
+  let lines = [
+    "# plane normal " +
+      plane.normal.map(formatNumber).join(" ") +
+      " offset " +
+      formatNumber(plane.offset),
+    "contour,closed,point,x,y,z,s,t",
+  ];
+  contours.forEach(function (contour, c) {
+    const coords = contourPlaneCoords(contour.points, axes);
+    for (let i = 0; i < contour.points.length / 3; i++) {
+      lines.push(
+        [
+          c,
+          contour.closed ? 1 : 0,
+          i,
+          formatNumber(contour.points[3 * i]),
+          formatNumber(contour.points[3 * i + 1]),
+          formatNumber(contour.points[3 * i + 2]),
+          formatNumber(coords[2 * i]),
+          formatNumber(coords[2 * i + 1]),
+        ].join(",")
+      );
+    }
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * SVG of the contours drawn in the plane (s to the right, t up), in
+ * model units; the view box fits the contours with a 5% margin.
+ */
+function exportContourSVG(contours, plane) {
+  const axes = contourPlaneAxes(plane.normal);
+  const profiles = contours.map(function (contour) {
+    return contourPlaneCoords(contour.points, axes);
+  });
+
+  let min = [Infinity, Infinity];
+  let max = [-Infinity, -Infinity];
+  profiles.forEach(function (coords) {
+    for (let i = 0; i < coords.length; i += 2) {
+      min = [Math.min(min[0], coords[i]), Math.min(min[1], coords[i + 1])];
+      max = [Math.max(max[0], coords[i]), Math.max(max[1], coords[i + 1])];
+    }
+  });
+  if (!profiles.length) {
+    min = [-1, -1];
+    max = [1, 1];
+  }
+  const size = Math.max(max[0] - min[0], max[1] - min[1], 1e-6);
+  const margin = 0.05 * size;
+
+  // SVG y grows downwards: flip t
+  let lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="' +
+      [
+        min[0] - margin,
+        -max[1] - margin,
+        max[0] - min[0] + 2 * margin,
+        max[1] - min[1] + 2 * margin,
+      ]
+        .map(formatNumber)
+        .join(" ") +
+      '">',
+  ];
+  profiles.forEach(function (coords, c) {
+    let pointList = [];
+    for (let i = 0; i < coords.length; i += 2) {
+      pointList.push(
+        formatNumber(coords[i]) + "," + formatNumber(-coords[i + 1])
+      );
+    }
+    lines.push(
+      "  <" +
+        (contours[c].closed ? "polygon" : "polyline") +
+        ' fill="none" stroke="black" stroke-width="' +
+        formatNumber(0.005 * size) +
+        '" points="' +
+        pointList.join(" ") +
+        '"/>'
+    );
+  });
+  lines.push("</svg>");
+  return lines.join("\n") + "\n";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MESH_EXPORT_FORMATS: MESH_EXPORT_FORMATS,
+    exportMesh: exportMesh,
+    exportOBJ: exportOBJ,
+    exportMTL: exportMTL,
+    exportSTLAscii: exportSTLAscii,
+    exportSTLBinary: exportSTLBinary,
+    exportPLY: exportPLY,
+    exportGLTF: exportGLTF,
+    exportGLB: exportGLB,
+    exportContourCSV: exportContourCSV,
+    exportContourSVG: exportContourSVG,
+  };
+}
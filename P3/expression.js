@@ -0,0 +1,473 @@
+"use strict";
+
+/*======================  FORMULA EXPRESSIONS  ======================*/
+
+// A small math expression language for user-entered surfaces, parsed
+// without eval/Function. Grammar:
+//   expr    := term (("+" | "-") term)*
+//   term    := unary (("*" | "/") unary)*
+//   unary   := ("+" | "-") unary | power
+//   power   := primary (("^" | "**") unary)?      (right associative)
+//   primary := number | name | name "(" expr ("," expr)* ")" | "(" expr ")"
+// Names are the variables u and v, constants and functions below.
+//
+// Compiled expressions evaluate on dual numbers { value, du, dv }, so
+// dP/du and dP/dv are exact (forward-mode automatic differentiation).
+
+// Syntax or name error; position is the 0-based column, if known
+function ExpressionError(message, position) {
+  this.message =
+    position === undefined ? message : message + " at column " + (position + 1);
+  this.position = position;
+  this.stack = new Error(this.message).stack;
+}
+ExpressionError.prototype = Object.create(Error.prototype);
+ExpressionError.prototype.constructor = ExpressionError;
+ExpressionError.prototype.name = "ExpressionError";
+
+const EXPRESSION_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+// Only the tables' own names: "constructor", "toString" and the like
+// must be unknown names, not Object.prototype members
+function isOwnName(table, name) {
+  return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+function dual(value, du, dv) {
+  return { value: value, du: du || 0, dv: dv || 0 };
+}
+
+// Each function: [arity, function (args as duals) returning a dual],
+// chain rule included
+const EXPRESSION_FUNCTIONS = {
+  sin: [
+    1,
+    function (a) {
+      const d = Math.cos(a.value);
+      return dual(Math.sin(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  cos: [
+    1,
+    function (a) {
+      const d = -Math.sin(a.value);
+      return dual(Math.cos(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  tan: [
+    1,
+    function (a) {
+      const d = 1 / (Math.cos(a.value) * Math.cos(a.value));
+      return dual(Math.tan(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  asin: [
+    1,
+    function (a) {
+      const d = 1 / Math.sqrt(1 - a.value * a.value);
+      return dual(Math.asin(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  acos: [
+    1,
+    function (a) {
+      const d = -1 / Math.sqrt(1 - a.value * a.value);
+      return dual(Math.acos(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  atan: [
+    1,
+    function (a) {
+      const d = 1 / (1 + a.value * a.value);
+      return dual(Math.atan(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  sinh: [
+    1,
+    function (a) {
+      const d = Math.cosh(a.value);
+      return dual(Math.sinh(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  cosh: [
+    1,
+    function (a) {
+      const d = Math.sinh(a.value);
+      return dual(Math.cosh(a.value), d * a.du, d * a.dv);
+    },
+  ],
+  tanh: [
+    1,
+    function (a) {
+      const t = Math.tanh(a.value);
+      return dual(t, (1 - t * t) * a.du, (1 - t * t) * a.dv);
+    },
+  ],
+  exp: [
+    1,
+    function (a) {
+      const x = Math.exp(a.value);
+      return dual(x, x * a.du, x * a.dv);
+    },
+  ],
+  log: [1, logDual],
+  ln: [1, logDual],
+  sqrt: [
+    1,
+    function (a) {
+      const x = Math.sqrt(a.value);
+      return dual(x, a.du / (2 * x), a.dv / (2 * x));
+    },
+  ],
+  abs: [
+    1,
+    function (a) {
+      const s = Math.sign(a.value);
+      return dual(Math.abs(a.value), s * a.du, s * a.dv);
+    },
+  ],
+  sign: [
+    1,
+    function (a) {
+      return dual(Math.sign(a.value));
+    },
+  ],
+  pow: [2, powDual],
+  atan2: [
+    2,
+    function (y, x) {
+      const d = x.value * x.value + y.value * y.value;
+      return dual(
+        Math.atan2(y.value, x.value),
+        (x.value * y.du - y.value * x.du) / d,
+        (x.value * y.dv - y.value * x.dv) / d
+      );
+    },
+  ],
+  min: [
+    2,
+    function (a, b) {
+      return a.value <= b.value ? a : b;
+    },
+  ],
+  max: [
+    2,
+    function (a, b) {
+      return a.value >= b.value ? a : b;
+    },
+  ],
+};
+
+function logDual(a) {
+  return dual(Math.log(a.value), a.du / a.value, a.dv / a.value);
+}
+
+// a^b; the ln(a) term only matters when the exponent varies
+function powDual(a, b) {
+  const value = Math.pow(a.value, b.value);
+  const base = a.value === 0 ? 0 : b.value * Math.pow(a.value, b.value - 1);
+  const exponentVaries = b.du !== 0 || b.dv !== 0;
+  const logA = exponentVaries ? value * Math.log(a.value) : 0;
+  return dual(
+    value,
+    base * a.du + (b.du ? logA * b.du : 0),
+    base * a.dv + (b.dv ? logA * b.dv : 0)
+  );
+}
+
+function tokenizeExpression(source) {
+  let tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({
+        type: "number",
+        value: parseFloat(number[0]),
+        position: i,
+      });
+      i += number[0].length;
+      continue;
+    }
+    const name = /^[A-Za-z_]\w*/.exec(source.slice(i));
+    if (name) {
+      tokens.push({ type: "name", value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+    if (source.startsWith("**", i)) {
+      tokens.push({ type: "op", value: "^", position: i });
+      i += 2;
+      continue;
+    }
+    if ("+-*/^(),".indexOf(ch) >= 0) {
+      tokens.push({ type: "op", value: ch, position: i });
+      i++;
+      continue;
+    }
+    throw new ExpressionError("Unexpected character '" + ch + "'", i);
+  }
+  tokens.push({ type: "end", value: "", position: source.length });
+  return tokens;
+}
+
+// How a token is named in error messages
+function describeToken(token) {
+  return token.type === "end" ? "end of input" : "'" + token.value + "'";
+}
+
+/**
+ * Parse source into an AST of
+ *   { type: "number", value } | { type: "variable", name }
+ *   { type: "unary", op, arg } | { type: "binary", op, left, right }
+ *   { type: "call", name, args }
+ * Throws ExpressionError on any syntax or name error.
+ */
+function parseExpression(source, variables) {
+  if (variables === undefined) variables = ["u", "v"];
+  const tokens = tokenizeExpression(source);
+  let index = 0;
+
+  function peek() {
+    return tokens[index];
+  }
+  function isOp(value) {
+    return peek().type === "op" && peek().value === value;
+  }
+  function expectOp(value) {
+    if (!isOp(value)) {
+      throw new ExpressionError(
+        "Expected '" + value + "' but found " + describeToken(peek()),
+        peek().position
+      );
+    }
+    index++;
+  }
+
+  function parseExpr() {
+    let node = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op: op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op: op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp("+") || isOp("-")) {
+      const op = tokens[index++].value;
+      return { type: "unary", op: op, arg: parseUnary() };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      index++;
+      return { type: "binary", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parseCall(token) {
+    if (!isOwnName(EXPRESSION_FUNCTIONS, token.value)) {
+      throw new ExpressionError(
+        "Unknown function '" + token.value + "'",
+        token.position
+      );
+    }
+    const arity = EXPRESSION_FUNCTIONS[token.value][0];
+    index++;
+    let args = [parseExpr()];
+    while (isOp(",")) {
+      index++;
+      args.push(parseExpr());
+    }
+    expectOp(")");
+    if (args.length !== arity) {
+      throw new ExpressionError(
+        "Function '" +
+          token.value +
+          "' takes " +
+          arity +
+          " argument(s), got " +
+          args.length,
+        token.position
+      );
+    }
+    return { type: "call", name: token.value, args: args };
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token.type === "number") {
+      index++;
+      return { type: "number", value: token.value };
+    }
+    if (token.type === "name") {
+      index++;
+      if (isOp("(")) {
+        return parseCall(token);
+      }
+      if (variables.indexOf(token.value) >= 0) {
+        return { type: "variable", name: token.value };
+      }
+      if (isOwnName(EXPRESSION_CONSTANTS, token.value)) {
+        return { type: "number", value: EXPRESSION_CONSTANTS[token.value] };
+      }
+      throw new ExpressionError(
+        "Unknown name '" + token.value + "'",
+        token.position
+      );
+    }
+    if (isOp("(")) {
+      index++;
+      const node = parseExpr();
+      expectOp(")");
+      return node;
+    }
+    throw new ExpressionError(
+      "Unexpected " + describeToken(token),
+      token.position
+    );
+  }
+
+  const ast = parseExpr();
+  if (peek().type !== "end") {
+    throw new ExpressionError(
+      "Unexpected '" + peek().value + "'",
+      peek().position
+    );
+  }
+  return ast;
+}
+
+// Evaluate an AST on dual numbers; scope maps variable names to duals
+function evaluateDual(node, scope) {
+  if (node.type === "number") {
+    return dual(node.value);
+  }
+  if (node.type === "variable") {
+    return scope[node.name];
+  }
+  if (node.type === "unary") {
+    const a = evaluateDual(node.arg, scope);
+    return node.op === "-" ? dual(-a.value, -a.du, -a.dv) : a;
+  }
+  if (node.type === "call") {
+    const args = node.args.map(function (arg) {
+      return evaluateDual(arg, scope);
+    });
+    return EXPRESSION_FUNCTIONS[node.name][1].apply(null, args);
+  }
+  if (node.type === "binary") {
+    const a = evaluateDual(node.left, scope);
+    const b = evaluateDual(node.right, scope);
+    switch (node.op) {
+      case "+":
+        return dual(a.value + b.value, a.du + b.du, a.dv + b.dv);
+      case "-":
+        return dual(a.value - b.value, a.du - b.du, a.dv - b.dv);
+      case "*":
+        return dual(
+          a.value * b.value,
+          a.du * b.value + a.value * b.du,
+          a.dv * b.value + a.value * b.dv
+        );
+      case "/":
+        return dual(
+          a.value / b.value,
+          (a.du * b.value - a.value * b.du) / (b.value * b.value),
+          (a.dv * b.value - a.value * b.dv) / (b.value * b.value)
+        );
+      case "^":
+        return powDual(a, b);
+    }
+  }
+  throw new ExpressionError("Invalid expression node '" + node.type + "'");
+}
+
+// Parse and return function (u, v) giving { value, du, dv }
+function compileExpression(source) {
+  const ast = parseExpression(source);
+  return function (u, v) {
+    return evaluateDual(ast, { u: dual(u, 1, 0), v: dual(v, 0, 1) });
+  };
+}
+
+// Parse a constant (no u, v) such as "2*pi" for the domain bounds
+function evaluateConstantExpression(source) {
+  return evaluateDual(parseExpression(source, []), {}).value;
+}
+
+/**
+ * Register (or replace) a surface from user formulas.
+ * spec: { x, y, z, uMin, uMax, vMin, vMax } as expression strings.
+ * Errors are ExpressionErrors prefixed with the offending field.
+ * The spec is kept as `formula` so the surface can be re-registered in
+ * another registry (e.g. the mesh worker's).
+ */
+function registerFormulaSurface(id, spec) {
+  function field(name, parse) {
+    try {
+      return parse(spec[name]);
+    } catch (e) {
+      if (e instanceof ExpressionError) {
+        throw new ExpressionError(name + ": " + e.message);
+      }
+      throw e;
+    }
+  }
+
+  const x = field("x", compileExpression);
+  const y = field("y", compileExpression);
+  const z = field("z", compileExpression);
+  const uRange = [
+    field("uMin", evaluateConstantExpression),
+    field("uMax", evaluateConstantExpression),
+  ];
+  const vRange = [
+    field("vMin", evaluateConstantExpression),
+    field("vMax", evaluateConstantExpression),
+  ];
+  if (!(uRange[0] < uRange[1]) || !(vRange[0] < vRange[1])) {
+    throw new ExpressionError("Ranges need min < max");
+  }
+
+  registerSurface(id, {
+    name: "Custom formula",
+    domain: function () {
+      return { u: uRange, v: vRange };
+    },
+    position: function (u, v) {
+      return [x(u, v).value, y(u, v).value, z(u, v).value];
+    },
+    derivatives: function (u, v) {
+      const px = x(u, v);
+      const py = y(u, v);
+      const pz = z(u, v);
+      return { du: [px.du, py.du, pz.du], dv: [px.dv, py.dv, pz.dv] };
+    },
+    twoSided: true, // orientation of user formulas is unknown
+    formula: Object.assign({}, spec),
+  });
+  return getSurface(id);
+}
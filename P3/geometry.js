@@ -0,0 +1,2073 @@
+"use strict";
+
+/*======================  SURFACE GEOMETRY  ======================*/
+
+// Surfaces come from the registry in surfaces.js
+const DEFAULT_SURFACE = "hummingTop";
+
+// Normal modes for CreateSurfaceData
+const NORMALS_FACET_AVERAGE = "facet";
+const NORMALS_ANALYTIC = "analytic";
+
+// Below this |dP/du| a row is treated as a pole (all vertices coincide)
+const POLE_EPSILON = 1e-8;
+
+/**
+ * Rows of the (u, v) grid along V, v ∈ [vMin, vMax].
+ * Every crease is always present and emitted twice, once per side,
+ * so the sheets meeting there never share vertices (hard edge).
+ *
+ * Returns [{ v, t, side, stitch }], where t is the normalized v and
+ * stitch=false means no quads connect the row to the previous one.
+ */
+function buildSurfaceRows(vSeg, vMin, vMax, creases) {
+  let rows = [];
+  let pending = creases
+    .filter(function (c) {
+      return c > vMin && c < vMax;
+    })
+    .sort(function (a, b) {
+      return a - b;
+    });
+
+  for (let j = 0; j <= vSeg; j++) {
+    let t = j / vSeg;
+    let v = vMin + (vMax - vMin) * t;
+
+    // Creases inside (or exactly on) this band get a split row pair
+    while (v !== null && pending.length && pending[0] <= v) {
+      const c = pending.shift();
+      const tc = (c - vMin) / (vMax - vMin);
+      rows.push({ v: c, t: tc, side: -1, stitch: true });
+      rows.push({ v: c, t: tc, side: 1, stitch: false });
+      if (c === v) {
+        v = null; // row already emitted
+      }
+    }
+    if (v !== null) {
+      rows.push({ v: v, t: t, side: 0, stitch: j > 0 });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Append the attributes of the surface point (u, v) to the mesh arrays
+ * (positions, tangents, curvatures, normals, texCoords).
+ * vertex:   { u, v, side, s, t, inward }, side picks the crease sheet
+ *           and inward (+1/-1) the v direction into the domain, used
+ *           for the limit frame when (u, v) lies on a pole row
+ * analytic: exact normals; otherwise they are left zero for the facet
+ *           average (pole normals are always exact)
+ *
+ * Returns true if (u, v) is a pole (dP/du = 0)
+ */
+function pushSurfaceVertex(mesh, surfaceDef, params, vertex, analytic) {
+  const domain = surfaceDef.domain(params);
+  const u = vertex.u;
+  const v = vertex.v;
+
+  let [x, y, z] = surfaceDef.position(u, v, params);
+  mesh.positions.push(x, y, z);
+
+  // Tangent: derivative wrt u at fixed v
+  let d = surfaceDerivatives(surfaceDef, u, v, params, vertex.side);
+  const isPole = Math.hypot(d.du[0], d.du[1], d.du[2]) < POLE_EPSILON;
+
+  let vFrame = v;
+  if (isPole) {
+    // dP/du vanishes; use the frame just inside the domain, which
+    // tends to the limit frame along this meridian
+    vFrame = v + 1e-4 * (domain.v[1] - domain.v[0]) * vertex.inward;
+    d = surfaceDerivatives(surfaceDef, u, vFrame, params, vertex.side);
+  }
+
+  mesh.tangents.push(d.du[0], d.du[1], d.du[2]);
+
+  const k = surfaceCurvature(surfaceDef, u, vFrame, params, vertex.side);
+  mesh.curvatures.push(k.gaussian, k.mean);
+
+  if (analytic || isPole) {
+    // Exact normal: dP/dv x dP/du (same winding as the triangles)
+    let nx = d.dv[1] * d.du[2] - d.dv[2] * d.du[1];
+    let ny = d.dv[2] * d.du[0] - d.dv[0] * d.du[2];
+    let nz = d.dv[0] * d.du[1] - d.dv[1] * d.du[0];
+    mesh.normals.push(nx, ny, nz); // normalized below
+  } else {
+    // Initial normals: zero, will be facet-average later
+    mesh.normals.push(0.0, 0.0, 0.0);
+  }
+
+  // Parametric UVs: normalized (u,v) of the param domain (see mapTexCoords)
+  mesh.texCoords.push(vertex.s, vertex.t);
+  return isPole;
+}
+
+// Normalize analytic and pole normals (pole ones are tiny but valid)
+function normalizeSurfaceNormals(normals) {
+  for (let k = 0; k < normals.length; k += 3) {
+    let nx = normals[k];
+    let ny = normals[k + 1];
+    let nz = normals[k + 2];
+    let len = Math.hypot(nx, ny, nz);
+    if (len > 0) {
+      normals[k] = nx / len;
+      normals[k + 1] = ny / len;
+      normals[k + 2] = nz / len;
+    } else {
+      normals[k] = 0.0;
+      normals[k + 1] = 1.0;
+      normals[k + 2] = 0.0;
+    }
+  }
+}
+
+/**
+ * Uniform grid of the surface before normal smoothing.
+ * faces[(j * uSeg + i) * 2 + half] is the index of the triangle (in
+ * mesh.indices / 3) covering half 0 (i0,i2,i1) or 1 (i1,i2,i3) of the
+ * quad above row j and column i, or -1 where it collapses at a pole.
+ *
+ * Returns { mesh, rows, poleRows, faces }
+ */
+function buildSurfaceGrid(uSeg, vSeg, surfaceDef, params, analytic) {
+  const domain = surfaceDef.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+
+  let mesh = {
+    positions: [],
+    normals: [],
+    tangents: [],
+    texCoords: [],
+    curvatures: [],
+    indices: [],
+  };
+  const indices = mesh.indices;
+
+  const rows = buildSurfaceRows(vSeg, vMin, vMax, surfaceDef.creases(params));
+  let poleRows = [];
+
+  // Build grid of vertices
+  for (let j = 0; j < rows.length; j++) {
+    const row = rows[j];
+    let isPole = false;
+
+    for (let i = 0; i <= uSeg; i++) {
+      let s = i / uSeg;
+      isPole = pushSurfaceVertex(
+        mesh,
+        surfaceDef,
+        params,
+        {
+          u: uMin + (uMax - uMin) * s,
+          v: row.v,
+          side: row.side,
+          s: s,
+          t: row.t,
+          inward: j === 0 ? 1 : -1,
+        },
+        analytic
+      );
+    }
+
+    poleRows.push(isPole);
+  }
+
+  const vertsPerRow = uSeg + 1;
+  const faces = new Int32Array(Math.max(rows.length - 1, 0) * uSeg * 2).fill(
+    -1
+  );
+
+  // Build triangles (two per quad)
+  for (let j = 0; j + 1 < rows.length; j++) {
+    if (!rows[j + 1].stitch) continue; // crease: no quads across it
+
+    for (let i = 0; i < uSeg; i++) {
+      const i0 = j * vertsPerRow + i;
+      const i1 = i0 + 1;
+      const i2 = i0 + vertsPerRow;
+      const i3 = i2 + 1;
+      const quad = (j * uSeg + i) * 2;
+
+      // triangle 1 (collapses when the bottom row is a pole)
+      if (!poleRows[j]) {
+        faces[quad] = indices.length / 3;
+        indices.push(i0, i2, i1);
+      }
+
+      // triangle 2 (collapses when the top row is a pole)
+      if (!poleRows[j + 1]) {
+        faces[quad + 1] = indices.length / 3;
+        indices.push(i1, i2, i3);
+      }
+    }
+  }
+
+  normalizeSurfaceNormals(mesh.normals);
+  return { mesh: mesh, rows: rows, poleRows: poleRows, faces: faces };
+}
+
+// Facet average over welded vertices; pole frames stay as computed
+function smoothSurfaceGrid(grid, uSeg, smoothAngle) {
+  const vertsPerRow = uSeg + 1;
+  return smoothNormalsWelded(grid.mesh, smoothAngle, function (vi) {
+    return grid.poleRows[Math.floor(vi / vertsPerRow)];
+  });
+}
+
+/**
+ * Create surface mesh data for given U/V granularity.
+ * uSeg: segments along U (around)
+ * vSeg: segments along V (along)
+ * options:
+ *   surface:     registry id, DEFAULT_SURFACE if omitted
+ *   params:      shape parameters, clamped to the surface's ranges
+ *   normalMode:  NORMALS_FACET_AVERAGE (default) or NORMALS_ANALYTIC
+ *   smoothAngle: facet mode only, edges steeper than this (degrees) stay
+ *                sharp; coincident seam vertices are smoothed as one
+ *   adaptive:    refine the grid, see CreateAdaptiveSurfaceData
+ *   lod:         also build coarser levels, see CreateSurfaceLODs
+ *   uvMapping:   UV scheme, UV_PARAMETRIC by default, see mapTexCoords
+ *   displacement: move the vertices by a height map, see
+ *                 displaceSurfaceMesh (normals then always facet average)
+ *
+ * Pole rows (dP/du = 0, e.g. the humming-top tips) get the limit frame
+ * of their meridian and no zero-area triangles; creases are split.
+ * curvatures holds the analytic Gaussian and mean curvature (K, H) of
+ * every vertex, see surfaceCurvature (discrete once displaced).
+ *
+ * Returns { positions, normals, tangents, texCoords, curvatures, indices }
+ */
+function CreateSurfaceData(uSeg, vSeg, options) {
+  uSeg = uSeg || 40;
+  vSeg = vSeg || 40;
+  options = options || {};
+  const normalMode = options.normalMode || NORMALS_FACET_AVERAGE;
+  const smoothAngle =
+    options.smoothAngle === undefined ? 60 : options.smoothAngle;
+  const analytic = normalMode === NORMALS_ANALYTIC;
+
+  const surfaceDef = getSurface(options.surface || DEFAULT_SURFACE);
+  const params = resolveSurfaceParams(surfaceDef, options.params);
+
+  if (options.adaptive) {
+    return CreateAdaptiveSurfaceData(uSeg, vSeg, options);
+  }
+  if (options.lod) {
+    return CreateSurfaceLODs(uSeg, vSeg, options);
+  }
+
+  const grid = buildSurfaceGrid(uSeg, vSeg, surfaceDef, params, analytic);
+  mapTexCoords(grid.mesh, options.uvMapping, surfaceDef, params);
+  const mesh = analytic
+    ? grid.mesh
+    : smoothSurfaceGrid(grid, uSeg, smoothAngle);
+  return finishSurfaceMesh(mesh, options, smoothAngle);
+}
+
+/**
+ * The uniform grid of CreateSurfaceData as quads, before triangulation
+ * (Catmull-Clark subdivision starts from it). Quads at a pole row keep
+ * their coincident corners.
+ *
+ * Returns { positions, texCoords, faces: [[i0, i2, i3, i1], ...] }
+ */
+function CreateSurfaceQuads(uSeg, vSeg, options) {
+  options = options || {};
+  const surfaceDef = getSurface(options.surface || DEFAULT_SURFACE);
+  const params = resolveSurfaceParams(surfaceDef, options.params);
+  const grid = buildSurfaceGrid(uSeg, vSeg, surfaceDef, params, true);
+  const vertsPerRow = uSeg + 1;
+
+  let faces = [];
+  for (let j = 0; j + 1 < grid.rows.length; j++) {
+    if (!grid.rows[j + 1].stitch) continue;
+    for (let i = 0; i < uSeg; i++) {
+      const i0 = j * vertsPerRow + i;
+      // Same winding as the triangles (i0,i2,i1) and (i1,i2,i3)
+      faces.push([i0, i0 + vertsPerRow, i0 + vertsPerRow + 1, i0 + 1]);
+    }
+  }
+  return {
+    positions: grid.mesh.positions,
+    texCoords: grid.mesh.texCoords,
+    faces: faces,
+  };
+}
+
+/*======================  ADAPTIVE TESSELLATION  ======================*/
+
+// Refinement criteria for options.adaptive.criterion
+const ADAPTIVE_CURVATURE = "curvature";
+const ADAPTIVE_SCREEN = "screen";
+
+// Stop error-driven refinement beyond this many triangles
+const ADAPTIVE_MAX_TRIANGLES = 500000;
+
+/**
+ * CreateSurfaceData with options.adaptive: the uSeg x vSeg grid is only
+ * the starting triangulation. A triangle is bisected on its longest
+ * edge (in the normalized parameter domain) while one of its edges is
+ * too coarse:
+ *   ADAPTIVE_CURVATURE: max |principal curvature| at the edge midpoint
+ *                       times the edge length > maxAngle, i.e. the
+ *                       normal turns by more than maxAngle (radians)
+ *   ADAPTIVE_SCREEN:    the chord error at the edge midpoint, projected
+ *                       with modelView and projection onto a viewport
+ *                       viewportHeight pixels tall, > maxPixelError
+ * Neighbours are bisected until no edge carries a hanging vertex
+ * (Rivara's longest-edge refinement). Edges are matched by position,
+ * so the mesh stays crack-free across seams and creases as well.
+ * options.adaptive:
+ *   criterion:  ADAPTIVE_CURVATURE (default) or ADAPTIVE_SCREEN
+ *   maxAngle (default 0.15), maxPixelError (default 0.5)
+ *   modelView, projection, viewportHeight: for ADAPTIVE_SCREEN
+ *   maxDepth:   bisections per starting triangle (default 12)
+ *
+ * Returns the CreateSurfaceData mesh plus stats: { triangles,
+ * uniformTriangles (of the starting grid), depth (deepest bisection) }
+ */
+function CreateAdaptiveSurfaceData(uSeg, vSeg, options) {
+  const adaptive = options.adaptive;
+  const criterion = adaptive.criterion || ADAPTIVE_CURVATURE;
+  const maxAngle = adaptive.maxAngle || 0.15;
+  const maxPixelError = adaptive.maxPixelError || 0.5;
+  const maxDepth = adaptive.maxDepth === undefined ? 12 : adaptive.maxDepth;
+  const modelView = adaptive.modelView;
+  const projection = adaptive.projection;
+  const viewportHeight = adaptive.viewportHeight || 600;
+  if (criterion === ADAPTIVE_SCREEN && !(modelView && projection)) {
+    throw new Error("Screen-space refinement needs the view matrices.");
+  }
+
+  const analytic = options.normalMode === NORMALS_ANALYTIC;
+  const smoothAngle =
+    options.smoothAngle === undefined ? 60 : options.smoothAngle;
+  const surfaceDef = getSurface(options.surface || DEFAULT_SURFACE);
+  const params = resolveSurfaceParams(surfaceDef, options.params);
+  const domain = surfaceDef.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+
+  // Parameter-space vertices; key numbers coincident positions alike
+  let vertices = [];
+  let positionKeys = new Map();
+  function addVertex(u, v, s, t, side) {
+    const position = surfaceDef.position(u, v, params);
+    const d = surfaceDerivatives(surfaceDef, u, v, params, side);
+    const rounded = position
+      .map(function (c) {
+        return Math.round(c / 1e-6);
+      })
+      .join(",");
+    if (!positionKeys.has(rounded)) {
+      positionKeys.set(rounded, positionKeys.size);
+    }
+    vertices.push({
+      u: u,
+      v: v,
+      s: s,
+      t: t,
+      side: side,
+      inward: t < 0.5 ? 1 : -1,
+      pole: Math.hypot(d.du[0], d.du[1], d.du[2]) < POLE_EPSILON,
+      position: position,
+      key: positionKeys.get(rounded),
+    });
+    return vertices.length - 1;
+  }
+
+  // Starting grid, triangulated like CreateSurfaceData
+  const rows = buildSurfaceRows(vSeg, vMin, vMax, surfaceDef.creases(params));
+  let grid = [];
+  let poleRows = [];
+  rows.forEach(function (row) {
+    let ids = [];
+    for (let i = 0; i <= uSeg; i++) {
+      const s = i / uSeg;
+      ids.push(addVertex(uMin + (uMax - uMin) * s, row.v, s, row.t, row.side));
+    }
+    grid.push(ids);
+    poleRows.push(vertices[ids[0]].pole);
+  });
+
+  let stack = [];
+  for (let j = 0; j + 1 < rows.length; j++) {
+    if (!rows[j + 1].stitch) continue; // crease: no quads across it
+    for (let i = 0; i < uSeg; i++) {
+      const i0 = grid[j][i];
+      const i1 = grid[j][i + 1];
+      const i2 = grid[j + 1][i];
+      const i3 = grid[j + 1][i + 1];
+      if (!poleRows[j]) stack.push({ v: [i0, i2, i1], depth: 0 });
+      if (!poleRows[j + 1]) stack.push({ v: [i1, i2, i3], depth: 0 });
+    }
+  }
+  const uniformTriangles = stack.length;
+
+  // Position key of an edge, null if it collapses (pole row)
+  function edgeKey(a, b) {
+    const ka = vertices[a].key;
+    const kb = vertices[b].key;
+    if (ka === kb) return null;
+    // Exact while there are fewer than 2^26 distinct positions
+    return ka < kb ? ka * 67108864 + kb : kb * 67108864 + ka;
+  }
+
+  // Edge midpoint in the parameter domain. A pole's u is arbitrary:
+  // edges to a pole are halved along the meridian of their other end,
+  // so that the triangles on both sides of the edge agree.
+  function edgeMidpoint(A, B) {
+    let u = 0.5 * (A.u + B.u);
+    let s = 0.5 * (A.s + B.s);
+    if (A.pole !== B.pole) {
+      u = A.pole ? B.u : A.u;
+      s = A.pole ? B.s : A.s;
+    }
+    return {
+      u: u,
+      v: 0.5 * (A.v + B.v),
+      s: s,
+      t: 0.5 * (A.t + B.t),
+      side: A.side === B.side ? A.side : 0,
+    };
+  }
+
+  let midpoints = new Map();
+  function midpoint(a, b) {
+    const key = a < b ? a + "," + b : b + "," + a;
+    if (!midpoints.has(key)) {
+      const m = edgeMidpoint(vertices[a], vertices[b]);
+      midpoints.set(key, addVertex(m.u, m.v, m.s, m.t, m.side));
+    }
+    return midpoints.get(key);
+  }
+
+  let coarseEdges = new Map();
+  function isCoarse(a, b) {
+    const key = a < b ? a + "," + b : b + "," + a;
+    if (coarseEdges.has(key)) return coarseEdges.get(key);
+
+    const A = vertices[a];
+    const B = vertices[b];
+    const { u, v, side } = edgeMidpoint(A, B);
+    let coarse = false;
+    if (edgeKey(a, b) === null) {
+      coarse = false;
+    } else if (criterion === ADAPTIVE_CURVATURE) {
+      const k = surfacePrincipalCurvatures(surfaceDef, u, v, params, side);
+      const length = Math.hypot(
+        B.position[0] - A.position[0],
+        B.position[1] - A.position[1],
+        B.position[2] - A.position[2]
+      );
+      coarse =
+        k !== null &&
+        Math.max(Math.abs(k.k1), Math.abs(k.k2)) * length > maxAngle;
+    } else {
+      const M = surfaceDef.position(u, v, params);
+      const chord = Math.hypot(
+        M[0] - 0.5 * (A.position[0] + B.position[0]),
+        M[1] - 0.5 * (A.position[1] + B.position[1]),
+        M[2] - 0.5 * (A.position[2] + B.position[2])
+      );
+      // Distance in front of the camera (eye space looks down -z)
+      const depth = -(
+        modelView[2] * M[0] +
+        modelView[6] * M[1] +
+        modelView[10] * M[2] +
+        modelView[14]
+      );
+      coarse =
+        depth > 0 &&
+        (chord * projection[5] * 0.5 * viewportHeight) / depth > maxPixelError;
+    }
+    coarseEdges.set(key, coarse);
+    return coarse;
+  }
+
+  // Same for both triangles of an edge, see edgeMidpoint
+  function paramLength(a, b) {
+    const A = vertices[a];
+    const B = vertices[b];
+    const ds = A.pole || B.pole ? 0.0 : B.s - A.s;
+    return Math.hypot(ds, B.t - A.t);
+  }
+
+  let splitEdges = new Set(); // position keys of bisected edges
+  function hasHangingVertex(tri) {
+    for (let k = 0; k < 3; k++) {
+      const key = edgeKey(tri.v[k], tri.v[(k + 1) % 3]);
+      if (key !== null && splitEdges.has(key)) return true;
+    }
+    return false;
+  }
+
+  let done = [];
+  let deepest = 0;
+  while (stack.length) {
+    while (stack.length) {
+      const tri = stack.pop();
+      const refine =
+        hasHangingVertex(tri) ||
+        (tri.depth < maxDepth &&
+          stack.length + done.length < ADAPTIVE_MAX_TRIANGLES &&
+          [0, 1, 2].some(function (k) {
+            return isCoarse(tri.v[k], tri.v[(k + 1) % 3]);
+          }));
+      if (!refine) {
+        done.push(tri);
+        continue;
+      }
+
+      // Bisect the longest edge p-q; the winding is kept
+      let k = 0;
+      for (let e = 1; e < 3; e++) {
+        if (
+          paramLength(tri.v[e], tri.v[(e + 1) % 3]) >
+          paramLength(tri.v[k], tri.v[(k + 1) % 3])
+        ) {
+          k = e;
+        }
+      }
+      const p = tri.v[k];
+      const q = tri.v[(k + 1) % 3];
+      const r = tri.v[(k + 2) % 3];
+      const m = midpoint(p, q);
+      const key = edgeKey(p, q);
+      if (key !== null) splitEdges.add(key);
+
+      deepest = Math.max(deepest, tri.depth + 1);
+      stack.push({ v: [p, m, r], depth: tri.depth + 1 });
+      stack.push({ v: [m, q, r], depth: tri.depth + 1 });
+    }
+
+    // Triangles finished before a neighbour bisected one of their edges
+    const finished = done;
+    done = [];
+    finished.forEach(function (tri) {
+      (hasHangingVertex(tri) ? stack : done).push(tri);
+    });
+  }
+
+  let mesh = {
+    positions: [],
+    normals: [],
+    tangents: [],
+    texCoords: [],
+    curvatures: [],
+    indices: [],
+  };
+  const poles = vertices.map(function (vertex) {
+    return pushSurfaceVertex(mesh, surfaceDef, params, vertex, analytic);
+  });
+  done.forEach(function (tri) {
+    mesh.indices.push(tri.v[0], tri.v[1], tri.v[2]);
+  });
+  normalizeSurfaceNormals(mesh.normals);
+  mapTexCoords(mesh, options.uvMapping, surfaceDef, params);
+
+  if (!analytic) {
+    mesh = smoothNormalsWelded(mesh, smoothAngle, function (vi) {
+      return poles[vi];
+    });
+  }
+  mesh = finishSurfaceMesh(mesh, options, smoothAngle);
+  mesh.stats = {
+    triangles: done.length,
+    uniformTriangles: uniformTriangles,
+    depth: deepest,
+  };
+  return mesh;
+}
+
+/*======================  LEVEL OF DETAIL  ======================*/
+
+// Default number of levels for options.lod
+const LOD_LEVELS = 4;
+
+// Coarsest grid a level may have (or the finest one, if smaller)
+const LOD_MIN_U_SEGMENTS = 8;
+const LOD_MIN_V_SEGMENTS = 4;
+
+/**
+ * Grid sizes of the levels, finest first: every level halves the
+ * previous one until both counts reach the minimum.
+ *
+ * Returns [[uSeg, vSeg], ...]
+ */
+function lodResolutions(uSeg, vSeg, count) {
+  const uMin = Math.min(uSeg, LOD_MIN_U_SEGMENTS);
+  const vMin = Math.min(vSeg, LOD_MIN_V_SEGMENTS);
+  let resolutions = [[uSeg, vSeg]];
+  for (let k = 1; k < count; k++) {
+    const [u, v] = resolutions[k - 1];
+    const next = [
+      Math.max(Math.ceil(u / 2), uMin),
+      Math.max(Math.ceil(v / 2), vMin),
+    ];
+    if (next[0] === u && next[1] === v) break;
+    resolutions.push(next);
+  }
+  return resolutions;
+}
+
+/**
+ * Geomorph targets of a grid: for every vertex, the position and normal
+ * the next coarser level shows at the same (s, t). They are interpolated
+ * on the coarse triangle containing (s, t) in the parameter domain, so a
+ * level morphed all the way is the coarser level wherever the grids nest
+ * (even counts); otherwise the switch is off by the small difference.
+ * Vertices on a crease take the band on their own side.
+ *
+ * Adds morphPositions and morphNormals to grid.mesh (before smoothing,
+ * so split vertices inherit them).
+ * coarse: { grid, mesh, uSeg } of the coarser level, mesh smoothed
+ */
+function addMorphTargets(grid, uSeg, coarse) {
+  const mesh = grid.mesh;
+  const rows = grid.rows;
+  const coarseRows = coarse.grid.rows;
+  const coarseU = coarse.uSeg;
+  const coarseVerts = coarseU + 1;
+  const target = coarse.mesh;
+  mesh.morphPositions = [];
+  mesh.morphNormals = [];
+
+  for (let j = 0; j < rows.length; j++) {
+    const t = rows[j].t;
+
+    // Band [cj, cj + 1] of the coarse grid containing t
+    let cj = 0;
+    for (let b = 0; b + 1 < coarseRows.length; b++) {
+      if (!coarseRows[b + 1].stitch) continue;
+      if (t < coarseRows[b].t || t > coarseRows[b + 1].t) continue;
+      if (t === coarseRows[b + 1].t && rows[j].side === 1) continue;
+      cj = b;
+      break;
+    }
+    const t0 = coarseRows[cj].t;
+    const t1 = coarseRows[cj + 1].t;
+    const a = t1 > t0 ? (t - t0) / (t1 - t0) : 0.0;
+
+    for (let i = 0; i <= uSeg; i++) {
+      const x = (i / uSeg) * coarseU;
+      const ci = Math.min(Math.floor(x), coarseU - 1);
+      const b = x - ci;
+
+      // Same split as the grid: (i0,i2,i1) below the diagonal, (i1,i2,i3) above
+      const c0 = cj * coarseVerts + ci;
+      const half = a + b <= 1.0 ? 0 : 1;
+      let corners =
+        half === 0
+          ? [c0, c0 + coarseVerts, c0 + 1]
+          : [c0 + 1, c0 + coarseVerts, c0 + coarseVerts + 1];
+      const weights =
+        half === 0 ? [1.0 - a - b, a, b] : [1.0 - a, 1.0 - b, a + b - 1.0];
+
+      // The coarse triangle's own corners carry its split normals
+      const f = coarse.grid.faces[(cj * coarseU + ci) * 2 + half];
+      if (f >= 0) {
+        corners = [
+          target.indices[3 * f],
+          target.indices[3 * f + 1],
+          target.indices[3 * f + 2],
+        ];
+      }
+
+      let p = [0.0, 0.0, 0.0];
+      let n = [0.0, 0.0, 0.0];
+      for (let k = 0; k < 3; k++) {
+        for (let c = 0; c < 3; c++) {
+          p[c] += weights[k] * target.positions[3 * corners[k] + c];
+          n[c] += weights[k] * target.normals[3 * corners[k] + c];
+        }
+      }
+      const len = Math.hypot(n[0], n[1], n[2]);
+      if (len < 1e-12) {
+        const vi = j * (uSeg + 1) + i;
+        n = mesh.normals.slice(3 * vi, 3 * vi + 3);
+      } else {
+        n = [n[0] / len, n[1] / len, n[2] / len];
+      }
+      mesh.morphPositions.push(p[0], p[1], p[2]);
+      mesh.morphNormals.push(n[0], n[1], n[2]);
+    }
+  }
+}
+
+/**
+ * CreateSurfaceData with options.lod = { levels }: the uSeg x vSeg mesh
+ * plus up to levels - 1 coarser ones (LOD_LEVELS by default), each
+ * halving the grid. Every level carries geomorph targets towards the
+ * next coarser one (morphPositions, morphNormals; the coarsest level
+ * targets itself), so the renderer can blend levels without popping.
+ *
+ * Returns the finest mesh, with segments: [uSeg, vSeg] and lods: the
+ * coarser meshes (finest first, each with its segments)
+ */
+function CreateSurfaceLODs(uSeg, vSeg, options) {
+  const normalMode = options.normalMode || NORMALS_FACET_AVERAGE;
+  const smoothAngle =
+    options.smoothAngle === undefined ? 60 : options.smoothAngle;
+  const analytic = normalMode === NORMALS_ANALYTIC;
+
+  const surfaceDef = getSurface(options.surface || DEFAULT_SURFACE);
+  const params = resolveSurfaceParams(surfaceDef, options.params);
+  const resolutions = lodResolutions(
+    uSeg,
+    vSeg,
+    options.lod.levels || LOD_LEVELS
+  );
+
+  // Coarsest first: every level morphs towards the one built before it
+  let levels = [];
+  let coarse = null;
+  for (let k = resolutions.length - 1; k >= 0; k--) {
+    const [u, v] = resolutions[k];
+    const grid = buildSurfaceGrid(u, v, surfaceDef, params, analytic);
+    mapTexCoords(grid.mesh, options.uvMapping, surfaceDef, params);
+    if (coarse) {
+      addMorphTargets(grid, u, coarse);
+    }
+    // Displaced before the finer level takes its morph targets from it
+    const mesh = finishSurfaceMesh(
+      analytic ? grid.mesh : smoothSurfaceGrid(grid, u, smoothAngle),
+      options,
+      smoothAngle
+    );
+    if (!coarse) {
+      mesh.morphPositions = mesh.positions.slice();
+      mesh.morphNormals = mesh.normals.slice();
+    }
+    mesh.segments = [u, v];
+    levels.unshift(mesh);
+    coarse = { grid: grid, mesh: mesh, uSeg: u };
+  }
+
+  const finest = levels[0];
+  finest.lods = levels.slice(1);
+  return finest;
+}
+
+/*======================  DISPLACEMENT MAPPING  ======================*/
+
+/**
+ * Height of a map { width, height, data } (one 0..255 byte per texel,
+ * rows top to bottom as in the image) at the texture coordinate (s, t).
+ * Sampled like the shaders sample the power-of-two textures: bilinear
+ * with REPEAT, and t = 0 at the bottom row (loadTexture flips images).
+ *
+ * Returns the height in [0, 1]
+ */
+function sampleHeightMap(map, s, t) {
+  const x = s * map.width - 0.5;
+  const y = (1.0 - t) * map.height - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const texel = function (i, j) {
+    const col = ((i % map.width) + map.width) % map.width;
+    const row = ((j % map.height) + map.height) % map.height;
+    return map.data[row * map.width + col];
+  };
+  const top = texel(x0, y0) * (1.0 - fx) + texel(x0 + 1, y0) * fx;
+  const bottom = texel(x0, y0 + 1) * (1.0 - fx) + texel(x0 + 1, y0 + 1) * fx;
+  return (top * (1.0 - fy) + bottom * fy) / 255.0;
+}
+
+/**
+ * Move the vertices of a finished surface mesh along their normals by
+ * amplitude * height(texCoord * scale), the tiling of uTexScale.
+ * Coincident vertices (seams, poles, both sides of a crease) move as
+ * one, by their mean height along their mean normal, so the mesh stays
+ * closed. Normals are then the facet average of the displaced geometry
+ * (smoothAngle), tangents follow the UVs and curvature is discrete.
+ * displacement: { map (see sampleHeightMap), amplitude, scale }
+ *
+ * Returns a new mesh; morph targets, if any, are carried over
+ */
+function displaceSurfaceMesh(mesh, displacement, smoothAngle) {
+  const map = displacement.map;
+  const amplitude = displacement.amplitude || 0.0;
+  const scale = displacement.scale || 1.0;
+  const weld = weldVertices(mesh.positions);
+
+  // Mean height and normal per weld group
+  let groups = new Map();
+  for (let vi = 0; vi < weld.length; vi++) {
+    if (!groups.has(weld[vi])) {
+      groups.set(weld[vi], { height: 0.0, normal: [0.0, 0.0, 0.0], count: 0 });
+    }
+    const group = groups.get(weld[vi]);
+    group.height += sampleHeightMap(
+      map,
+      mesh.texCoords[2 * vi] * scale,
+      mesh.texCoords[2 * vi + 1] * scale
+    );
+    for (let c = 0; c < 3; c++) group.normal[c] += mesh.normals[3 * vi + c];
+    group.count++;
+  }
+
+  let positions = mesh.positions.slice();
+  for (let vi = 0; vi < weld.length; vi++) {
+    const group = groups.get(weld[vi]);
+    const n = group.normal;
+    const len = Math.hypot(n[0], n[1], n[2]);
+    if (len < 1e-12) continue;
+    const offset = (amplitude * group.height) / group.count / len;
+    for (let c = 0; c < 3; c++) positions[3 * vi + c] += n[c] * offset;
+  }
+
+  // Per-vertex arrays only: smoothNormalsWelded duplicates all of them
+  let displaced = {
+    positions: positions,
+    normals: new Array(positions.length).fill(0.0),
+    texCoords: mesh.texCoords,
+    indices: mesh.indices,
+  };
+  if (mesh.morphPositions) {
+    displaced.morphPositions = mesh.morphPositions;
+    displaced.morphNormals = mesh.morphNormals;
+  }
+  displaced = smoothNormalsWelded(displaced, smoothAngle);
+  displaced.tangents = computeTangentsFromUVs(
+    displaced.positions,
+    displaced.normals,
+    displaced.texCoords,
+    displaced.indices
+  );
+  displaced.curvatures = computeDiscreteCurvature(
+    displaced.positions,
+    displaced.normals,
+    displaced.indices
+  );
+  return displaced;
+}
+
+/*======================  TEXTURE COORDINATES  ======================*/
+
+// UV schemes for options.uvMapping
+const UV_PARAMETRIC = "parametric";
+const UV_ARC_LENGTH = "arcLength";
+const UV_CYLINDRICAL = "cylindrical";
+const UV_SPHERICAL = "spherical";
+const UV_CONFORMAL = "conformal";
+const UV_TRIPLANAR = "triplanar"; // projected in the shader
+
+// Arc-length table: meridians across U, chord points along each
+const ARC_LENGTH_U_SAMPLES = 32;
+const ARC_LENGTH_V_SAMPLES = 256;
+
+// Conjugate-gradient limits of the conformal (LSCM) solve
+const LSCM_MAX_ITERATIONS = 2000;
+const LSCM_TOLERANCE = 1e-6;
+
+// Mappings whose UVs are the parametric (s, t) of the mesh
+function isParametricMapping(mapping) {
+  return !mapping || mapping === UV_PARAMETRIC || mapping === UV_TRIPLANAR;
+}
+
+/**
+ * Connected components of a mesh by shared vertex indices, so the
+ * duplicated vertices of seams and creases separate them. Vertices for
+ * which include(vi) is false are left out (default: all).
+ *
+ * Returns { neighbours: [[vi, ...] per vertex], components: [[vi, ...]
+ * in breadth-first order] }
+ */
+function meshComponents(indices, vertexCount, include) {
+  include =
+    include ||
+    function () {
+      return true;
+    };
+  let neighbours = [];
+  for (let vi = 0; vi < vertexCount; vi++) neighbours.push([]);
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[t + k];
+      const b = indices[t + ((k + 1) % 3)];
+      if (neighbours[a].indexOf(b) < 0) {
+        neighbours[a].push(b);
+        neighbours[b].push(a);
+      }
+    }
+  }
+
+  let components = [];
+  const seen = new Uint8Array(vertexCount);
+  for (let start = 0; start < vertexCount; start++) {
+    if (seen[start] || !neighbours[start].length || !include(start)) continue;
+    let queue = [start];
+    seen[start] = 1;
+    for (let q = 0; q < queue.length; q++) {
+      neighbours[queue[q]].forEach(function (vi) {
+        if (!seen[vi] && include(vi)) {
+          seen[vi] = 1;
+          queue.push(vi);
+        }
+      });
+    }
+    components.push(queue);
+  }
+  return { neighbours: neighbours, components: components };
+}
+
+// Bounding box { min, max } of flat positions
+function positionBounds(positions) {
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  for (let k = 0; k < positions.length; k += 3) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], positions[k + c]);
+      max[c] = Math.max(max[c], positions[k + c]);
+    }
+  }
+  return { min: min, max: max };
+}
+
+/**
+ * Angle around the vertical (y) axis through center, in turns, made
+ * continuous along the mesh: within a component every vertex takes the
+ * branch nearest its breadth-first parent, so only the seams of the mesh
+ * can cut it, and whole turns are taken off so that it starts in [0, 1).
+ * Vertices on the axis take the mean of their neighbours.
+ *
+ * Returns [s0, s1, ...]
+ */
+function unwrappedAzimuth(positions, indices, center) {
+  const vertexCount = positions.length / 3;
+  const bounds = positionBounds(positions);
+  const onAxisLimit =
+    1e-9 *
+    Math.max(bounds.max[0] - bounds.min[0], bounds.max[2] - bounds.min[2]);
+  const azimuth = function (vi) {
+    const x = positions[3 * vi] - center[0];
+    const z = positions[3 * vi + 2] - center[2];
+    if (Math.hypot(x, z) <= onAxisLimit) return null;
+    const a = Math.atan2(z, x) / (2 * Math.PI);
+    return a < 0 ? a + 1.0 : a;
+  };
+
+  const graph = meshComponents(indices, vertexCount, function (vi) {
+    return azimuth(vi) !== null;
+  });
+  let turns = new Array(vertexCount).fill(null);
+  graph.components.forEach(function (component) {
+    let lowest = Infinity;
+    component.forEach(function (vi) {
+      const a = azimuth(vi);
+      const parent = graph.neighbours[vi].find(function (n) {
+        return turns[n] !== null;
+      });
+      turns[vi] = parent === undefined ? a : a + Math.round(turns[parent] - a);
+      lowest = Math.min(lowest, turns[vi]);
+    });
+    // Whole turns off, so every component starts in [0, 1)
+    const shift = Math.floor(lowest + 1e-9);
+    component.forEach(function (vi) {
+      turns[vi] -= shift;
+    });
+  });
+
+  for (let vi = 0; vi < vertexCount; vi++) {
+    if (turns[vi] !== null) continue;
+    const around = graph.neighbours[vi].filter(function (n) {
+      return turns[n] !== null;
+    });
+    turns[vi] = around.length
+      ? around.reduce(function (sum, n) {
+          return sum + turns[n];
+        }, 0) / around.length
+      : 0.0;
+  }
+  return turns;
+}
+
+/**
+ * Normalized arc length of the meridian (the v curve) through the
+ * parametric (s, t), from a table of chord lengths over
+ * ARC_LENGTH_U_SAMPLES meridians, interpolated across them.
+ *
+ * Returns a function (s, t) => t along the arc in [0, 1]
+ */
+function meridianArcLength(surfaceDef, params) {
+  const domain = surfaceDef.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+  let table = [];
+  for (let i = 0; i <= ARC_LENGTH_U_SAMPLES; i++) {
+    const u = uMin + ((uMax - uMin) * i) / ARC_LENGTH_U_SAMPLES;
+    let lengths = [0.0];
+    let previous = surfaceDef.position(u, vMin, params);
+    for (let j = 1; j <= ARC_LENGTH_V_SAMPLES; j++) {
+      const v = vMin + ((vMax - vMin) * j) / ARC_LENGTH_V_SAMPLES;
+      const p = surfaceDef.position(u, v, params);
+      lengths.push(
+        lengths[j - 1] +
+          Math.hypot(p[0] - previous[0], p[1] - previous[1], p[2] - previous[2])
+      );
+      previous = p;
+    }
+    table.push(lengths);
+  }
+
+  // Normalized length at t along meridian i
+  const along = function (i, t) {
+    const lengths = table[i];
+    const total = lengths[ARC_LENGTH_V_SAMPLES];
+    if (!(total > 0)) return t;
+    const x = Math.min(Math.max(t, 0.0), 1.0) * ARC_LENGTH_V_SAMPLES;
+    const j = Math.min(Math.floor(x), ARC_LENGTH_V_SAMPLES - 1);
+    const f = x - j;
+    return (lengths[j] * (1.0 - f) + lengths[j + 1] * f) / total;
+  };
+  return function (s, t) {
+    const x = Math.min(Math.max(s, 0.0), 1.0) * ARC_LENGTH_U_SAMPLES;
+    const i = Math.min(Math.floor(x), ARC_LENGTH_U_SAMPLES - 1);
+    const f = x - i;
+    return along(i, t) * (1.0 - f) + along(i + 1, t) * f;
+  };
+}
+
+/**
+ * Least-squares conformal map (Lévy et al. 2002) of every connected
+ * component: each triangle, laid flat in its own plane, should map to a
+ * similar triangle with the winding of the parametric layout. Solved by
+ * Jacobi-preconditioned conjugate gradients on the normal equations,
+ * matrix-free. The two vertices farthest apart (double sweep) are
+ * pinned to their parametric (s, t), which also start the iteration.
+ * Every component is then scaled uniformly into the unit square.
+ *
+ * Returns flat [s0, t0, s1, t1, ...]
+ */
+function conformalTexCoords(positions, texCoords, indices) {
+  const vertexCount = positions.length / 3;
+  let result = Array.from(texCoords);
+  const graph = meshComponents(indices, vertexCount);
+  const componentOf = new Int32Array(vertexCount).fill(-1);
+  graph.components.forEach(function (component, c) {
+    component.forEach(function (vi) {
+      componentOf[vi] = c;
+    });
+  });
+  const point = function (vi) {
+    return [positions[3 * vi], positions[3 * vi + 1], positions[3 * vi + 2]];
+  };
+  const farthest = function (component, from) {
+    const p = point(from);
+    let best = from;
+    let bestDistance = -1;
+    component.forEach(function (vi) {
+      const q = point(vi);
+      const d = Math.hypot(q[0] - p[0], q[1] - p[1], q[2] - p[2]);
+      if (d > bestDistance) {
+        bestDistance = d;
+        best = vi;
+      }
+    });
+    return best;
+  };
+
+  // Complex weights W_j = z_l - z_k of the flattened triangle (j, k, l),
+  // over sqrt(2 area); the energy of a triangle is |sum W_j U_j|^2
+  let triangles = graph.components.map(function () {
+    return [];
+  });
+  for (let t = 0; t < indices.length; t += 3) {
+    const v = [indices[t], indices[t + 1], indices[t + 2]];
+    const p = v.map(point);
+    const e1 = [0, 1, 2].map(function (c) {
+      return p[1][c] - p[0][c];
+    });
+    const e2 = [0, 1, 2].map(function (c) {
+      return p[2][c] - p[0][c];
+    });
+    const n = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    const doubleArea = Math.hypot(n[0], n[1], n[2]);
+    const length = Math.hypot(e1[0], e1[1], e1[2]);
+    if (doubleArea < 1e-14 || length < 1e-14) continue;
+
+    // Plane axes x along e1 and y = x × n: clockwise about the winding
+    // normal, like (s, t) with the surface normal dP/dv × dP/du
+    const x = e1.map(function (c) {
+      return c / length;
+    });
+    const y = [
+      (x[1] * n[2] - x[2] * n[1]) / doubleArea,
+      (x[2] * n[0] - x[0] * n[2]) / doubleArea,
+      (x[0] * n[1] - x[1] * n[0]) / doubleArea,
+    ];
+    const flat = [
+      [0.0, 0.0],
+      [length, 0.0],
+      [
+        e2[0] * x[0] + e2[1] * x[1] + e2[2] * x[2],
+        e2[0] * y[0] + e2[1] * y[1] + e2[2] * y[2],
+      ],
+    ];
+    const scale = 1.0 / Math.sqrt(doubleArea);
+    const weights = [0, 1, 2].map(function (j) {
+      const k = (j + 1) % 3;
+      const l = (j + 2) % 3;
+      return [
+        (flat[l][0] - flat[k][0]) * scale,
+        (flat[l][1] - flat[k][1]) * scale,
+      ];
+    });
+    triangles[componentOf[v[0]]].push({ v: v, w: weights });
+  }
+
+  graph.components.forEach(function (component, c) {
+    const tris = triangles[c];
+    if (!tris.length) return;
+    const local = new Map();
+    component.forEach(function (vi, i) {
+      local.set(vi, i);
+    });
+    const size = 2 * component.length;
+
+    // Local corner indices and weights, flat for the iteration
+    let corners = new Int32Array(3 * tris.length);
+    let weights = new Float64Array(6 * tris.length);
+    tris.forEach(function (tri, f) {
+      for (let j = 0; j < 3; j++) {
+        corners[3 * f + j] = local.get(tri.v[j]);
+        weights[6 * f + 2 * j] = tri.w[j][0];
+        weights[6 * f + 2 * j + 1] = tri.w[j][1];
+      }
+    });
+
+    // Pins and starting point
+    const first = farthest(component, component[0]);
+    const second = farthest(component, first);
+    let pinned = new Uint8Array(size);
+    let x = new Float64Array(size);
+    component.forEach(function (vi, i) {
+      x[2 * i] = texCoords[2 * vi];
+      x[2 * i + 1] = texCoords[2 * vi + 1];
+    });
+    [first, second].forEach(function (vi) {
+      pinned[2 * local.get(vi)] = 1;
+      pinned[2 * local.get(vi) + 1] = 1;
+    });
+    if (
+      x[2 * local.get(first)] === x[2 * local.get(second)] &&
+      x[2 * local.get(first) + 1] === x[2 * local.get(second) + 1]
+    ) {
+      x[2 * local.get(second)] += 1.0;
+    }
+
+    // out = A^T A x (unknowns interleaved s, t)
+    const normalProduct = function (input, out) {
+      out.fill(0.0);
+      for (let f = 0; f < tris.length; f++) {
+        let re = 0.0;
+        let im = 0.0;
+        for (let j = 0; j < 3; j++) {
+          const i = corners[3 * f + j];
+          const wr = weights[6 * f + 2 * j];
+          const wi = weights[6 * f + 2 * j + 1];
+          re += wr * input[2 * i] - wi * input[2 * i + 1];
+          im += wi * input[2 * i] + wr * input[2 * i + 1];
+        }
+        for (let j = 0; j < 3; j++) {
+          const i = corners[3 * f + j];
+          const wr = weights[6 * f + 2 * j];
+          const wi = weights[6 * f + 2 * j + 1];
+          out[2 * i] += wr * re + wi * im;
+          out[2 * i + 1] += -wi * re + wr * im;
+        }
+      }
+    };
+    let diagonal = new Float64Array(size);
+    for (let k = 0; k < corners.length; k++) {
+      const wr = weights[2 * k];
+      const wi = weights[2 * k + 1];
+      diagonal[2 * corners[k]] += wr * wr + wi * wi;
+      diagonal[2 * corners[k] + 1] += wr * wr + wi * wi;
+    }
+
+    // Conjugate gradients over the free unknowns
+    let r = new Float64Array(size);
+    let z = new Float64Array(size);
+    let q = new Float64Array(size);
+    normalProduct(x, r);
+    for (let i = 0; i < size; i++) {
+      r[i] = pinned[i] ? 0.0 : -r[i];
+      z[i] = diagonal[i] > 0 ? r[i] / diagonal[i] : 0.0;
+    }
+    let d = Float64Array.from(z);
+    let rz = 0.0;
+    for (let i = 0; i < size; i++) rz += r[i] * z[i];
+    const limit = LSCM_TOLERANCE * LSCM_TOLERANCE * rz;
+    for (let iteration = 0; iteration < LSCM_MAX_ITERATIONS; iteration++) {
+      if (!(rz > limit)) break;
+      normalProduct(d, q);
+      let dq = 0.0;
+      for (let i = 0; i < size; i++) {
+        if (pinned[i]) q[i] = 0.0;
+        dq += d[i] * q[i];
+      }
+      if (!(dq > 0)) break;
+      const alpha = rz / dq;
+      let next = 0.0;
+      for (let i = 0; i < size; i++) {
+        x[i] += alpha * d[i];
+        r[i] -= alpha * q[i];
+        z[i] = diagonal[i] > 0 ? r[i] / diagonal[i] : 0.0;
+        next += r[i] * z[i];
+      }
+      const beta = next / rz;
+      rz = next;
+      for (let i = 0; i < size; i++) d[i] = z[i] + beta * d[i];
+    }
+
+    // Into the unit square, aspect kept
+    let min = [Infinity, Infinity];
+    let max = [-Infinity, -Infinity];
+    for (let i = 0; i < size; i++) {
+      min[i % 2] = Math.min(min[i % 2], x[i]);
+      max[i % 2] = Math.max(max[i % 2], x[i]);
+    }
+    const extent = Math.max(max[0] - min[0], max[1] - min[1]) || 1.0;
+    component.forEach(function (vi, i) {
+      result[2 * vi] = (x[2 * i] - min[0]) / extent;
+      result[2 * vi + 1] = (x[2 * i + 1] - min[1]) / extent;
+    });
+  });
+  return result;
+}
+
+/**
+ * Replace the parametric texture coordinates of a generated mesh, before
+ * its normals are smoothed (split vertices then copy them):
+ *   UV_PARAMETRIC:  the normalized (u, v), unchanged
+ *   UV_ARC_LENGTH:  s kept, t by arc length along the meridian
+ *   UV_CYLINDRICAL: angle around the y axis and height, over the
+ *                   bounding box
+ *   UV_SPHERICAL:   angle around and polar angle about the box centre
+ *   UV_CONFORMAL:   least-squares conformal map, see conformalTexCoords
+ *   UV_TRIPLANAR:   unchanged; the shader projects the model position
+ * The angles are unwrapped along the mesh (unwrappedAzimuth), so they
+ * keep the parametric seam. All schemes keep the winding of (s, t).
+ * Tangents must follow with finishSurfaceMesh once normals are final.
+ */
+function mapTexCoords(mesh, mapping, surfaceDef, params) {
+  if (isParametricMapping(mapping)) return;
+  const positions = mesh.positions;
+  const vertexCount = positions.length / 3;
+  const bounds = positionBounds(positions);
+  const center = [0, 1, 2].map(function (c) {
+    return 0.5 * (bounds.min[c] + bounds.max[c]);
+  });
+  let texCoords = mesh.texCoords;
+
+  if (mapping === UV_ARC_LENGTH) {
+    const arcLength = meridianArcLength(surfaceDef, params);
+    for (let vi = 0; vi < vertexCount; vi++) {
+      texCoords[2 * vi + 1] = arcLength(
+        texCoords[2 * vi],
+        texCoords[2 * vi + 1]
+      );
+    }
+  } else if (mapping === UV_CYLINDRICAL || mapping === UV_SPHERICAL) {
+    const turns = unwrappedAzimuth(positions, mesh.indices, center);
+    const height = bounds.max[1] - bounds.min[1] || 1.0;
+    for (let vi = 0; vi < vertexCount; vi++) {
+      const dx = positions[3 * vi] - center[0];
+      const dy = positions[3 * vi + 1] - center[1];
+      const dz = positions[3 * vi + 2] - center[2];
+      texCoords[2 * vi] = turns[vi];
+      texCoords[2 * vi + 1] =
+        mapping === UV_CYLINDRICAL
+          ? (positions[3 * vi + 1] - bounds.min[1]) / height
+          : 1.0 - Math.atan2(Math.hypot(dx, dz), dy) / Math.PI;
+    }
+  } else if (mapping === UV_CONFORMAL) {
+    mesh.texCoords = conformalTexCoords(positions, texCoords, mesh.indices);
+  } else {
+    throw new Error("Unknown UV mapping: " + mapping);
+  }
+}
+
+/**
+ * Last steps of every CreateSurfaceData path, on the smoothed mesh:
+ * tangents dP/ds of a non-parametric UV scheme, then displacement.
+ *
+ * Returns the finished mesh
+ */
+function finishSurfaceMesh(mesh, options, smoothAngle) {
+  if (!isParametricMapping(options.uvMapping)) {
+    mesh.tangents = computeTangentsFromUVs(
+      mesh.positions,
+      mesh.normals,
+      mesh.texCoords,
+      mesh.indices
+    );
+  }
+  return options.displacement
+    ? displaceSurfaceMesh(mesh, options.displacement, smoothAngle)
+    : mesh;
+}
+
+/*======================  ISOPARAMETRIC LINES  ======================*/
+
+// Constant-v polylines running along u (P1's U-lines)
+function generateULines(surfaceDef, params, vSegments, uSegments) {
+  const domain = surfaceDef.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+  let uLines = [];
+  for (let j = 0; j <= vSegments; j++) {
+    const v = vMin + ((vMax - vMin) * j) / vSegments;
+    let line = [];
+    for (let i = 0; i <= uSegments; i++) {
+      const u = uMin + ((uMax - uMin) * i) / uSegments;
+      line.push(surfaceDef.position(u, v, params));
+    }
+    uLines.push(line);
+  }
+  return uLines;
+}
+
+// Constant-u polylines running along v (P1's V-lines)
+function generateVLines(surfaceDef, params, vSegments, uSegments) {
+  const domain = surfaceDef.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+  let vLines = [];
+  for (let i = 0; i <= uSegments; i++) {
+    const u = uMin + ((uMax - uMin) * i) / uSegments;
+    let line = [];
+    for (let j = 0; j <= vSegments; j++) {
+      const v = vMin + ((vMax - vMin) * j) / vSegments;
+      line.push(surfaceDef.position(u, v, params));
+    }
+    vLines.push(line);
+  }
+  return vLines;
+}
+
+/**
+ * Isoparametric line overlay: uCount intervals of U-lines and vCount of
+ * V-lines, each sampled with `samples` points so the lines follow the
+ * exact surface whatever the shading tessellation.
+ * options:
+ *   surface, params: as for CreateSurfaceData
+ *   uColor, vColor:  [r, g, b] of the U- and V-lines
+ *   samples:         points per line, 128 if omitted
+ *
+ * Returns { positions, colors, indices } for gl.LINES
+ */
+function CreateIsoparametricLines(uCount, vCount, options) {
+  options = options || {};
+  const samples = options.samples || 128;
+  const surfaceDef = getSurface(options.surface || DEFAULT_SURFACE);
+  const params = resolveSurfaceParams(surfaceDef, options.params);
+
+  let positions = [];
+  let colors = [];
+  let indices = [];
+
+  // Polyline -> segments sharing their end points
+  function addPolylines(lines, color) {
+    lines.forEach(function (line) {
+      const first = positions.length / 3;
+      line.forEach(function (p, k) {
+        positions.push(p[0], p[1], p[2]);
+        colors.push(color[0], color[1], color[2]);
+        if (k > 0) indices.push(first + k - 1, first + k);
+      });
+    });
+  }
+
+  addPolylines(
+    generateULines(surfaceDef, params, uCount, samples),
+    options.uColor || [1.0, 0.6, 0.0]
+  );
+  addPolylines(
+    generateVLines(surfaceDef, params, samples, vCount),
+    options.vColor || [0.2, 0.7, 1.0]
+  );
+  return { positions, colors, indices };
+}
+
+/*======================  PRINCIPAL DIRECTION GLYPHS  ======================*/
+
+// Glyph colours by the sign of the principal curvature (see
+// surfaceCurvature): positive bends towards the outward normal
+const GLYPH_COLOR_POSITIVE = [1.0, 0.1, 0.0];
+const GLYPH_COLOR_NEGATIVE = [0.0, 0.25, 1.0];
+const GLYPH_COLOR_FLAT = [0.4, 0.4, 0.4];
+
+/**
+ * Line segments along the principal curvature directions, centred on a
+ * count x count grid of parameter samples (cell centres, so poles,
+ * creases and borders are never hit). Independent of the shading
+ * tessellation; every segment is 1.6 / count long (the built-in
+ * surfaces are about 2 units tall).
+ * options:
+ *   surface, params: as for CreateSurfaceData
+ *   which:           "both" (default), "max" (k1) or "min" (k2)
+ *
+ * Returns { positions, colors, indices } for gl.LINES
+ */
+function CreatePrincipalDirectionGlyphs(count, options) {
+  options = options || {};
+  const which = options.which || "both";
+  const surfaceDef = getSurface(options.surface || DEFAULT_SURFACE);
+  const params = resolveSurfaceParams(surfaceDef, options.params);
+  const domain = surfaceDef.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+  const halfLength = 0.8 / count;
+
+  let positions = [];
+  let colors = [];
+  let indices = [];
+
+  function addSegment(center, direction, curvature) {
+    const color =
+      Math.abs(curvature) < 1e-6
+        ? GLYPH_COLOR_FLAT
+        : curvature > 0
+        ? GLYPH_COLOR_POSITIVE
+        : GLYPH_COLOR_NEGATIVE;
+    for (const sign of [-1, 1]) {
+      positions.push(
+        center[0] + sign * halfLength * direction[0],
+        center[1] + sign * halfLength * direction[1],
+        center[2] + sign * halfLength * direction[2]
+      );
+      colors.push(color[0], color[1], color[2]);
+      indices.push(indices.length);
+    }
+  }
+
+  for (let j = 0; j < count; j++) {
+    const v = vMin + ((vMax - vMin) * (j + 0.5)) / count;
+    for (let i = 0; i < count; i++) {
+      const u = uMin + ((uMax - uMin) * (i + 0.5)) / count;
+      const principal = surfacePrincipalCurvatures(surfaceDef, u, v, params);
+      if (!principal) continue;
+
+      const center = surfaceDef.position(u, v, params);
+      if (which !== "min") addSegment(center, principal.d1, principal.k1);
+      if (which !== "max") addSegment(center, principal.d2, principal.k2);
+    }
+  }
+  return { positions, colors, indices };
+}
+
+const TBN_COLOR_TANGENT = [1.0, 0.0, 0.0];
+const TBN_COLOR_BITANGENT = [0.0, 0.8, 0.0];
+const TBN_COLOR_NORMAL = [0.0, 0.3, 1.0];
+
+/**
+ * Tangent (red), bitangent (green) and normal (blue) segments from
+ * every stride-th vertex of a mesh.
+ * mesh:    { positions, normals, tangents } (CreateSurfaceData output)
+ * options:
+ *   length:     segment length for unit vectors (default 0.1)
+ *   stride:     draw every stride-th vertex (default 1)
+ *   orthogonal: true  -> the frame the vertex shader builds: T
+ *                        normalized, N made orthogonal to T, B = N x T;
+ *                        vertices with a zero tangent are skipped
+ *               false -> the raw attributes at their stored length,
+ *                        B = N x T without any normalization
+ *
+ * Returns { positions, colors, indices } for gl.LINES
+ */
+function CreateTBNGlyphs(mesh, options) {
+  options = options || {};
+  const length = options.length !== undefined ? options.length : 0.1;
+  const stride = Math.max(1, options.stride || 1);
+  const vertexCount = mesh.positions.length / 3;
+
+  let positions = [];
+  let colors = [];
+  let indices = [];
+
+  function addSegment(origin, direction, color) {
+    positions.push(
+      origin[0],
+      origin[1],
+      origin[2],
+      origin[0] + length * direction[0],
+      origin[1] + length * direction[1],
+      origin[2] + length * direction[2]
+    );
+    colors.push(color[0], color[1], color[2], color[0], color[1], color[2]);
+    indices.push(indices.length, indices.length + 1);
+  }
+
+  for (let vi = 0; vi < vertexCount; vi += stride) {
+    const origin = [
+      mesh.positions[3 * vi],
+      mesh.positions[3 * vi + 1],
+      mesh.positions[3 * vi + 2],
+    ];
+    let t = [
+      mesh.tangents[3 * vi],
+      mesh.tangents[3 * vi + 1],
+      mesh.tangents[3 * vi + 2],
+    ];
+    let n = [
+      mesh.normals[3 * vi],
+      mesh.normals[3 * vi + 1],
+      mesh.normals[3 * vi + 2],
+    ];
+
+    if (options.orthogonal) {
+      // Same Gram–Schmidt as the vertex shader, tangent first
+      const tLen = Math.hypot(t[0], t[1], t[2]);
+      if (tLen === 0) continue;
+      t = [t[0] / tLen, t[1] / tLen, t[2] / tLen];
+      const nt = n[0] * t[0] + n[1] * t[1] + n[2] * t[2];
+      n = [n[0] - t[0] * nt, n[1] - t[1] * nt, n[2] - t[2] * nt];
+      const nLen = Math.hypot(n[0], n[1], n[2]);
+      if (nLen === 0) continue;
+      n = [n[0] / nLen, n[1] / nLen, n[2] / nLen];
+    }
+
+    const b = [
+      n[1] * t[2] - n[2] * t[1],
+      n[2] * t[0] - n[0] * t[2],
+      n[0] * t[1] - n[1] * t[0],
+    ];
+    addSegment(origin, t, TBN_COLOR_TANGENT);
+    addSegment(origin, b, TBN_COLOR_BITANGENT);
+    addSegment(origin, n, TBN_COLOR_NORMAL);
+  }
+  return { positions, colors, indices };
+}
+
+/**
+ * Line segments along polylines (flat [x, y, z, ...] each), e.g. the
+ * cross-section contours of surfaceSliceContours, in one colour.
+ *
+ * Returns { positions, colors, indices } for gl.LINES
+ */
+function CreatePolylineSegments(polylines, color) {
+  let positions = [];
+  let colors = [];
+  let indices = [];
+  polylines.forEach(function (points) {
+    const first = positions.length / 3;
+    const count = points.length / 3;
+    for (let k = 0; k < count; k++) {
+      positions.push(points[3 * k], points[3 * k + 1], points[3 * k + 2]);
+      colors.push(color[0], color[1], color[2]);
+      if (k > 0) indices.push(first + k - 1, first + k);
+    }
+  });
+  return { positions, colors, indices };
+}
+
+/*======================  MESH MEASUREMENTS  ======================*/
+
+/**
+ * Area, signed enclosed volume (divergence theorem over the outward
+ * CCW triangles, only meaningful for a closed mesh) and axis-aligned
+ * bounding box of a triangle mesh.
+ *
+ * Returns { triangles, area, volume, min: [x, y, z], max: [x, y, z] }
+ */
+function measureMesh(positions, indices) {
+  let area = 0.0;
+  let volume = 0.0;
+  for (let f = 0; f < indices.length; f += 3) {
+    const a = 3 * indices[f],
+      b = 3 * indices[f + 1],
+      c = 3 * indices[f + 2];
+    const ux = positions[b] - positions[a],
+      uy = positions[b + 1] - positions[a + 1],
+      uz = positions[b + 2] - positions[a + 2];
+    const vx = positions[c] - positions[a],
+      vy = positions[c + 1] - positions[a + 1],
+      vz = positions[c + 2] - positions[a + 2];
+    area +=
+      0.5 * Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx);
+    // Tetrahedron (origin, a, b, c): a · (b x c) / 6
+    volume +=
+      (positions[a] *
+        (positions[b + 1] * positions[c + 2] -
+          positions[b + 2] * positions[c + 1]) +
+        positions[a + 1] *
+          (positions[b + 2] * positions[c] - positions[b] * positions[c + 2]) +
+        positions[a + 2] *
+          (positions[b] * positions[c + 1] - positions[b + 1] * positions[c])) /
+      6;
+  }
+
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], positions[i + k]);
+      max[k] = Math.max(max[k], positions[i + k]);
+    }
+  }
+  return { triangles: indices.length / 3, area, volume, min, max };
+}
+
+/*======================  WELDED NORMAL SMOOTHING  ======================*/
+
+/**
+ * Map every vertex to a weld id; vertices at the same position
+ * (within epsilon) share an id, e.g. the beta = 0 and beta = 2π columns.
+ */
+function weldVertices(positions, epsilon) {
+  epsilon = epsilon || 1e-6;
+  const ids = new Array(positions.length / 3);
+  const lookup = new Map();
+  for (let vi = 0; vi < ids.length; vi++) {
+    const key =
+      Math.round(positions[3 * vi] / epsilon) +
+      "," +
+      Math.round(positions[3 * vi + 1] / epsilon) +
+      "," +
+      Math.round(positions[3 * vi + 2] / epsilon);
+    if (!lookup.has(key)) lookup.set(key, lookup.size);
+    ids[vi] = lookup.get(key);
+  }
+  return ids;
+}
+
+/**
+ * Facet-average normals where coincident vertices are smoothed as one.
+ * A face contributes to a corner only if it is within smoothAngle
+ * (degrees) of the corner's own face, so steeper edges stay sharp.
+ * Vertices whose corners end up with different normals are split; all
+ * per-vertex arrays of the mesh (UVs, tangents, ...) are duplicated.
+ * Tangents of non-split coincident vertices are averaged the same way.
+ *
+ * mesh:     { positions, normals, indices, ...per-vertex arrays }
+ * isLocked: optional (vi) => bool, keeps the vertex normal/tangent as is
+ *
+ * Returns a new mesh of the same shape.
+ */
+function smoothNormalsWelded(mesh, smoothAngle, isLocked) {
+  if (smoothAngle === undefined) smoothAngle = 60;
+  isLocked =
+    isLocked ||
+    function () {
+      return false;
+    };
+  const cosLimit = Math.cos((Math.min(smoothAngle, 180) * Math.PI) / 180);
+  const positions = mesh.positions;
+  const indices = mesh.indices.slice();
+  const vertexCount = positions.length / 3;
+  const weld = weldVertices(positions);
+
+  // Unit face normals and faces per weld group
+  const faceCount = indices.length / 3;
+  const faceNormals = new Float64Array(indices.length);
+  const faceValid = new Array(faceCount);
+  const groupFaces = new Map();
+  for (let f = 0; f < faceCount; f++) {
+    const i0 = indices[3 * f],
+      i1 = indices[3 * f + 1],
+      i2 = indices[3 * f + 2];
+    const ux = positions[3 * i1] - positions[3 * i0],
+      uy = positions[3 * i1 + 1] - positions[3 * i0 + 1],
+      uz = positions[3 * i1 + 2] - positions[3 * i0 + 2];
+    const vx = positions[3 * i2] - positions[3 * i0],
+      vy = positions[3 * i2 + 1] - positions[3 * i0 + 1],
+      vz = positions[3 * i2 + 2] - positions[3 * i0 + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const len = Math.hypot(nx, ny, nz);
+    faceValid[f] = len > 1e-12;
+    if (faceValid[f]) {
+      faceNormals[3 * f] = nx / len;
+      faceNormals[3 * f + 1] = ny / len;
+      faceNormals[3 * f + 2] = nz / len;
+    }
+    for (let k = 0; k < 3; k++) {
+      const g = weld[indices[3 * f + k]];
+      if (!groupFaces.has(g)) groupFaces.set(g, []);
+      groupFaces.get(g).push(f);
+    }
+  }
+
+  // Copy per-vertex arrays so split vertices can be appended
+  let out = {};
+  let sizes = {};
+  for (const key in mesh) {
+    if (key === "indices") continue;
+    out[key] = mesh[key].slice();
+    sizes[key] = mesh[key].length / vertexCount;
+  }
+  const normals = out.normals;
+  const source = []; // output vertex -> input vertex
+  for (let vi = 0; vi < vertexCount; vi++) source.push(vi);
+
+  // Per-corner normals, clustered per vertex
+  const clusters = new Array(vertexCount);
+  for (let f = 0; f < faceCount; f++) {
+    if (!faceValid[f]) continue;
+    for (let k = 0; k < 3; k++) {
+      const vi = indices[3 * f + k];
+      if (isLocked(vi)) continue;
+
+      let nx = 0.0,
+        ny = 0.0,
+        nz = 0.0;
+      const faces = groupFaces.get(weld[vi]);
+      for (let n = 0; n < faces.length; n++) {
+        const g = faces[n];
+        if (!faceValid[g]) continue;
+        const d =
+          faceNormals[3 * g] * faceNormals[3 * f] +
+          faceNormals[3 * g + 1] * faceNormals[3 * f + 1] +
+          faceNormals[3 * g + 2] * faceNormals[3 * f + 2];
+        if (d < cosLimit) continue;
+        nx += faceNormals[3 * g];
+        ny += faceNormals[3 * g + 1];
+        nz += faceNormals[3 * g + 2];
+      }
+      const len = Math.hypot(nx, ny, nz);
+      if (len > 1e-6) {
+        nx /= len;
+        ny /= len;
+        nz /= len;
+      } else {
+        nx = 0.0;
+        ny = 1.0;
+        nz = 0.0;
+      }
+
+      clusters[vi] = clusters[vi] || [];
+      let target = -1;
+      for (let c = 0; c < clusters[vi].length; c++) {
+        const t = clusters[vi][c];
+        if (
+          normals[3 * t] * nx +
+            normals[3 * t + 1] * ny +
+            normals[3 * t + 2] * nz >
+          1.0 - 1e-6
+        ) {
+          target = t;
+          break;
+        }
+      }
+      if (target < 0) {
+        // First cluster reuses vi, further ones duplicate the vertex
+        if (clusters[vi].length === 0) {
+          target = vi;
+        } else {
+          target = source.length;
+          source.push(vi);
+          for (const key in out) {
+            for (let c = 0; c < sizes[key]; c++) {
+              out[key].push(mesh[key][sizes[key] * vi + c]);
+            }
+          }
+        }
+        normals[3 * target] = nx;
+        normals[3 * target + 1] = ny;
+        normals[3 * target + 2] = nz;
+        clusters[vi].push(target);
+      }
+      indices[3 * f + k] = target;
+    }
+  }
+
+  // Unreferenced, unlocked vertices: same fallback as before
+  for (let vi = 0; vi < vertexCount; vi++) {
+    if (!clusters[vi] && !isLocked(vi)) {
+      normals[3 * vi] = 0.0;
+      normals[3 * vi + 1] = 1.0;
+      normals[3 * vi + 2] = 0.0;
+    }
+  }
+
+  // Average tangents across coincident vertices of the same smoothing group
+  if (out.tangents) {
+    const groupVerts = new Map();
+    for (let vo = 0; vo < source.length; vo++) {
+      const g = weld[source[vo]];
+      if (!groupVerts.has(g)) groupVerts.set(g, []);
+      groupVerts.get(g).push(vo);
+    }
+    const tangents = out.tangents;
+    const input = mesh.tangents;
+    for (let vo = 0; vo < source.length; vo++) {
+      if (isLocked(source[vo])) continue;
+      let tx = 0.0,
+        ty = 0.0,
+        tz = 0.0;
+      const verts = groupVerts.get(weld[source[vo]]);
+      for (let n = 0; n < verts.length; n++) {
+        const w = verts[n];
+        if (isLocked(source[w])) continue;
+        const d =
+          normals[3 * w] * normals[3 * vo] +
+          normals[3 * w + 1] * normals[3 * vo + 1] +
+          normals[3 * w + 2] * normals[3 * vo + 2];
+        if (d < cosLimit) continue;
+        tx += input[3 * source[w]];
+        ty += input[3 * source[w] + 1];
+        tz += input[3 * source[w] + 2];
+      }
+      tangents[3 * vo] = tx;
+      tangents[3 * vo + 1] = ty;
+      tangents[3 * vo + 2] = tz;
+    }
+  }
+
+  out.indices = indices;
+  return out;
+}
+
+/*======================  IMPORTED MESHES  ======================*/
+
+/**
+ * Per-vertex tangents dP/ds from the texture coordinates, accumulated
+ * over the adjacent triangles like the facet-average normals. Vertices
+ * without a usable UV gradient get any direction orthogonal to N.
+ */
+function computeTangentsFromUVs(positions, normals, texCoords, indices) {
+  let tangents = new Array(positions.length).fill(0.0);
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t],
+      b = indices[t + 1],
+      c = indices[t + 2];
+    const e1 = [0, 1, 2].map(function (k) {
+      return positions[3 * b + k] - positions[3 * a + k];
+    });
+    const e2 = [0, 1, 2].map(function (k) {
+      return positions[3 * c + k] - positions[3 * a + k];
+    });
+    const ds1 = texCoords[2 * b] - texCoords[2 * a];
+    const dt1 = texCoords[2 * b + 1] - texCoords[2 * a + 1];
+    const ds2 = texCoords[2 * c] - texCoords[2 * a];
+    const dt2 = texCoords[2 * c + 1] - texCoords[2 * a + 1];
+
+    const det = ds1 * dt2 - ds2 * dt1;
+    if (Math.abs(det) < 1e-12) continue; // degenerate UV triangle
+    const r = 1.0 / det;
+    for (let k = 0; k < 3; k++) {
+      const dPds = (e1[k] * dt2 - e2[k] * dt1) * r;
+      tangents[3 * a + k] += dPds;
+      tangents[3 * b + k] += dPds;
+      tangents[3 * c + k] += dPds;
+    }
+  }
+
+  for (let k = 0; k < tangents.length; k += 3) {
+    const n = [normals[k], normals[k + 1], normals[k + 2]];
+    let tg = [tangents[k], tangents[k + 1], tangents[k + 2]];
+    const d = tg[0] * n[0] + tg[1] * n[1] + tg[2] * n[2];
+    tg = [tg[0] - n[0] * d, tg[1] - n[1] * d, tg[2] - n[2] * d];
+
+    if (Math.hypot(tg[0], tg[1], tg[2]) < 1e-8) {
+      // Cross N with the axis it is least aligned with
+      const axis = Math.abs(n[0]) < 0.9 ? [1.0, 0.0, 0.0] : [0.0, 1.0, 0.0];
+      tg = [
+        axis[1] * n[2] - axis[2] * n[1],
+        axis[2] * n[0] - axis[0] * n[2],
+        axis[0] * n[1] - axis[1] * n[0],
+      ];
+    }
+    const len = Math.hypot(tg[0], tg[1], tg[2]);
+    tangents[k] = tg[0] / len;
+    tangents[k + 1] = tg[1] / len;
+    tangents[k + 2] = tg[2] / len;
+  }
+  return tangents;
+}
+
+/**
+ * Discrete curvature for meshes without a parametric surface: Gaussian
+ * from the angle defect, mean from the cotangent Laplacian, both over
+ * the barycentric area of each welded vertex. The sign of H follows the
+ * vertex normal like surfaceCurvature (a sphere gets H = -1/R).
+ *
+ * Returns flat [K0, H0, K1, H1, ...]
+ */
+function computeDiscreteCurvature(positions, normals, indices) {
+  const weld = weldVertices(positions);
+  const groupCount = weld.reduce(function (count, g) {
+    return Math.max(count, g + 1);
+  }, 0);
+  const angleSum = new Float64Array(groupCount);
+  const area = new Float64Array(groupCount);
+  const laplacian = new Float64Array(3 * groupCount);
+  const edgeUse = new Map(); // welded edge -> number of triangles
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const corners = [indices[t], indices[t + 1], indices[t + 2]];
+    const p = corners.map(function (vi) {
+      return [positions[3 * vi], positions[3 * vi + 1], positions[3 * vi + 2]];
+    });
+    const cross = [
+      (p[1][1] - p[0][1]) * (p[2][2] - p[0][2]) -
+        (p[1][2] - p[0][2]) * (p[2][1] - p[0][1]),
+      (p[1][2] - p[0][2]) * (p[2][0] - p[0][0]) -
+        (p[1][0] - p[0][0]) * (p[2][2] - p[0][2]),
+      (p[1][0] - p[0][0]) * (p[2][1] - p[0][1]) -
+        (p[1][1] - p[0][1]) * (p[2][0] - p[0][0]),
+    ];
+    const doubleArea = Math.hypot(cross[0], cross[1], cross[2]);
+    if (doubleArea < 1e-12) continue;
+
+    for (let c = 0; c < 3; c++) {
+      const g = weld[corners[c]];
+      const j = (c + 1) % 3;
+      const k = (c + 2) % 3;
+      const a = [0, 1, 2].map(function (x) {
+        return p[j][x] - p[c][x];
+      });
+      const b = [0, 1, 2].map(function (x) {
+        return p[k][x] - p[c][x];
+      });
+      const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+      angleSum[g] += Math.atan2(doubleArea, dot);
+      area[g] += doubleArea / 6;
+
+      // cot of the angle at c weights the opposite edge (j, k)
+      const cot = dot / doubleArea;
+      const gj = weld[corners[j]];
+      const gk = weld[corners[k]];
+      for (let x = 0; x < 3; x++) {
+        const e = p[k][x] - p[j][x];
+        laplacian[3 * gj + x] += 0.5 * cot * e;
+        laplacian[3 * gk + x] -= 0.5 * cot * e;
+      }
+
+      const key = Math.min(gj, gk) + "," + Math.max(gj, gk);
+      edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+    }
+  }
+
+  // Border vertices have a flat angle of π instead of 2π
+  const onBorder = new Uint8Array(groupCount);
+  edgeUse.forEach(function (count, key) {
+    if (count === 1) {
+      key.split(",").forEach(function (g) {
+        onBorder[g] = 1;
+      });
+    }
+  });
+
+  let curvatures = [];
+  for (let vi = 0; vi < weld.length; vi++) {
+    const g = weld[vi];
+    if (!(area[g] > 0)) {
+      curvatures.push(0.0, 0.0);
+      continue;
+    }
+    const flat = onBorder[g] ? Math.PI : 2 * Math.PI;
+    const mean =
+      (laplacian[3 * g] * normals[3 * vi] +
+        laplacian[3 * g + 1] * normals[3 * vi + 1] +
+        laplacian[3 * g + 2] * normals[3 * vi + 2]) /
+      (2 * area[g]);
+    curvatures.push((flat - angleSum[g]) / area[g], mean);
+  }
+  return curvatures;
+}
+
+/**
+ * Fill in what an imported mesh (importers.js) lacks: zero UVs, facet-
+ * average normals (same welding and smoothAngle as the surfaces) and
+ * tangents derived from the UVs. Curvature is always the discrete one.
+ *
+ * Returns { positions, normals, tangents, texCoords, curvatures, indices }
+ */
+function completeImportedMesh(imported, smoothAngle) {
+  const vertexCount = imported.positions.length / 3;
+  let mesh = {
+    positions: imported.positions,
+    normals: imported.normals,
+    texCoords: imported.texCoords || new Array(2 * vertexCount).fill(0.0),
+    indices: imported.indices,
+  };
+  let tangents = imported.tangents;
+
+  if (!mesh.normals) {
+    mesh.normals = new Array(3 * vertexCount).fill(0.0);
+    if (tangents) mesh.tangents = tangents;
+    mesh = smoothNormalsWelded(mesh, smoothAngle);
+    tangents = mesh.tangents || null;
+  } else {
+    // Files may store unnormalized normals
+    for (let k = 0; k < mesh.normals.length; k += 3) {
+      const len =
+        Math.hypot(mesh.normals[k], mesh.normals[k + 1], mesh.normals[k + 2]) ||
+        1.0;
+      mesh.normals[k] /= len;
+      mesh.normals[k + 1] /= len;
+      mesh.normals[k + 2] /= len;
+    }
+  }
+
+  mesh.tangents =
+    tangents ||
+    computeTangentsFromUVs(
+      mesh.positions,
+      mesh.normals,
+      mesh.texCoords,
+      mesh.indices
+    );
+  mesh.curvatures = computeDiscreteCurvature(
+    mesh.positions,
+    mesh.normals,
+    mesh.indices
+  );
+  return mesh;
+}
+
+/*======================  TRANSFERABLE MESH  ======================*/
+
+/**
+ * Convert CreateSurfaceData output to typed arrays so it can be posted
+ * from the mesh worker without copying. Coarser levels (lods) are
+ * converted the same way.
+ *
+ * Returns { mesh, transfer } where transfer lists the ArrayBuffers
+ */
+function toTransferableMesh(data) {
+  const mesh = {
+    positions: new Float32Array(data.positions),
+    normals: new Float32Array(data.normals),
+    tangents: new Float32Array(data.tangents),
+    texCoords: new Float32Array(data.texCoords),
+    curvatures: new Float32Array(data.curvatures),
+    indices: new Uint32Array(data.indices),
+  };
+  if (data.morphPositions) {
+    mesh.morphPositions = new Float32Array(data.morphPositions);
+    mesh.morphNormals = new Float32Array(data.morphNormals);
+  }
+  let transfer = Object.keys(mesh).map(function (key) {
+    return mesh[key].buffer;
+  });
+  if (data.stats) {
+    mesh.stats = data.stats; // plain object, copied
+  }
+  if (data.segments) {
+    mesh.segments = data.segments;
+  }
+  if (data.lods) {
+    mesh.lods = data.lods.map(function (level) {
+      const packed = toTransferableMesh(level);
+      transfer = transfer.concat(packed.transfer);
+      return packed.mesh;
+    });
+  }
+  return { mesh: mesh, transfer: transfer };
+}
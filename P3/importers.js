@@ -0,0 +1,610 @@
+"use strict";
+
+/*======================  MESH IMPORT  ======================*/
+
+// Parsers for external meshes. Every parser returns plain arrays:
+//   { positions, normals, tangents, texCoords, indices, twoSided }
+// where normals, tangents and texCoords are null when the file has none;
+// the renderer fills them in (see completeImportedMesh in geometry.js).
+// Texture coordinates use the page's convention: t = 0 at the bottom.
+
+const MESH_IMPORT_EXTENSIONS = [".obj", ".ply", ".gltf", ".glb"];
+
+/**
+ * Parse a mesh file by its extension and fit it into the view.
+ * buffer: ArrayBuffer with the file contents
+ */
+function importMeshFile(fileName, buffer) {
+  const dot = fileName.lastIndexOf(".");
+  const extension = dot < 0 ? "" : fileName.slice(dot).toLowerCase();
+
+  let mesh;
+  if (extension === ".obj") {
+    mesh = parseOBJ(new TextDecoder().decode(buffer));
+  } else if (extension === ".ply") {
+    mesh = parsePLY(buffer);
+  } else if (extension === ".gltf") {
+    mesh = parseGLTF(JSON.parse(new TextDecoder().decode(buffer)), null);
+  } else if (extension === ".glb") {
+    mesh = parseGLB(buffer);
+  } else {
+    throw new Error(
+      "Unsupported mesh format '" +
+        extension +
+        "' (expected " +
+        MESH_IMPORT_EXTENSIONS.join(", ") +
+        ")."
+    );
+  }
+
+  if (mesh.indices.length === 0) {
+    throw new Error("'" + fileName + "' contains no triangles.");
+  }
+  fitMeshToView(mesh.positions);
+  return mesh;
+}
+
+/**
+ * Center the bounding box at the origin and scale to a bounding radius
+ * of 1, the size of the built-in surfaces, so any model fits the camera.
+ */
+function fitMeshToView(positions) {
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  for (let k = 0; k < positions.length; k += 3) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], positions[k + c]);
+      max[c] = Math.max(max[c], positions[k + c]);
+    }
+  }
+  const center = [0, 1, 2].map(function (c) {
+    return 0.5 * (min[c] + max[c]);
+  });
+
+  let radius = 0.0;
+  for (let k = 0; k < positions.length; k += 3) {
+    radius = Math.max(
+      radius,
+      Math.hypot(
+        positions[k] - center[0],
+        positions[k + 1] - center[1],
+        positions[k + 2] - center[2]
+      )
+    );
+  }
+  const scale = radius > 0 ? 1.0 / radius : 1.0;
+  for (let k = 0; k < positions.length; k += 3) {
+    for (let c = 0; c < 3; c++) {
+      positions[k + c] = (positions[k + c] - center[c]) * scale;
+    }
+  }
+}
+
+/*======================  WAVEFRONT OBJ  ======================*/
+
+/**
+ * Positions, optional vt/vn and polygon faces (fan-triangulated).
+ * Each distinct v/vt/vn corner becomes one vertex. Normals are kept only
+ * if every corner has one; missing UVs of single corners become (0, 0).
+ */
+function parseOBJ(text) {
+  let v = [];
+  let vt = [];
+  let vn = [];
+  let mesh = {
+    positions: [],
+    normals: [],
+    tangents: null,
+    texCoords: [],
+    indices: [],
+    twoSided: true, // winding of arbitrary files is unknown
+  };
+  let corners = new Map();
+  let missingNormals = false;
+  let anyTexCoords = false;
+
+  // 1-based, negative = relative to the end of the list so far
+  function resolve(token, list, lineNumber) {
+    const index = parseInt(token, 10);
+    const resolved = index < 0 ? list.length + index : index - 1;
+    if (!(resolved >= 0 && resolved < list.length)) {
+      throw new Error("OBJ line " + lineNumber + ": index out of range.");
+    }
+    return resolved;
+  }
+
+  function corner(token, lineNumber) {
+    if (corners.has(token)) return corners.get(token);
+
+    const refs = token.split("/");
+    const p = v[resolve(refs[0], v, lineNumber)];
+    const uv = refs[1] ? vt[resolve(refs[1], vt, lineNumber)] : null;
+    const n = refs[2] ? vn[resolve(refs[2], vn, lineNumber)] : null;
+
+    mesh.positions.push(p[0], p[1], p[2]);
+    mesh.texCoords.push(uv ? uv[0] : 0.0, uv ? uv[1] : 0.0);
+    mesh.normals.push(n ? n[0] : 0.0, n ? n[1] : 0.0, n ? n[2] : 0.0);
+    if (uv) anyTexCoords = true;
+    if (!n) missingNormals = true;
+
+    const index = corners.size;
+    corners.set(token, index);
+    return index;
+  }
+
+  const lines = text.split(/\r?\n/);
+  for (let l = 0; l < lines.length; l++) {
+    const tokens = lines[l].replace(/#.*/, "").trim().split(/\s+/);
+    const values = tokens.slice(1).map(parseFloat);
+
+    switch (tokens[0]) {
+      case "v":
+        v.push(values.slice(0, 3));
+        break;
+      case "vt":
+        vt.push([values[0], values[1] || 0.0]);
+        break;
+      case "vn":
+        vn.push(values.slice(0, 3));
+        break;
+      case "f": {
+        const face = tokens.slice(1).map(function (token) {
+          return corner(token, l + 1);
+        });
+        for (let k = 1; k + 1 < face.length; k++) {
+          mesh.indices.push(face[0], face[k], face[k + 1]);
+        }
+        break;
+      }
+      default:
+        break; // groups, materials, smoothing groups, lines: ignored
+    }
+  }
+
+  if (missingNormals) mesh.normals = null;
+  if (!anyTexCoords) mesh.texCoords = null;
+  return mesh;
+}
+
+/*======================  PLY  ======================*/
+
+// PLY scalar types: byte size and DataView getter
+const PLY_TYPES = {
+  char: { bytes: 1, get: "getInt8" },
+  int8: { bytes: 1, get: "getInt8" },
+  uchar: { bytes: 1, get: "getUint8" },
+  uint8: { bytes: 1, get: "getUint8" },
+  short: { bytes: 2, get: "getInt16" },
+  int16: { bytes: 2, get: "getInt16" },
+  ushort: { bytes: 2, get: "getUint16" },
+  uint16: { bytes: 2, get: "getUint16" },
+  int: { bytes: 4, get: "getInt32" },
+  int32: { bytes: 4, get: "getInt32" },
+  uint: { bytes: 4, get: "getUint32" },
+  uint32: { bytes: 4, get: "getUint32" },
+  float: { bytes: 4, get: "getFloat32" },
+  float32: { bytes: 4, get: "getFloat32" },
+  double: { bytes: 8, get: "getFloat64" },
+  float64: { bytes: 8, get: "getFloat64" },
+};
+
+// Vertex property names understood for each attribute
+const PLY_VERTEX_PROPERTIES = {
+  position: [["x", "y", "z"]],
+  normal: [["nx", "ny", "nz"]],
+  texCoord: [
+    ["s", "t"],
+    ["u", "v"],
+    ["texture_u", "texture_v"],
+    ["texture_s", "texture_t"],
+  ],
+};
+
+/**
+ * ASCII and binary (little/big endian) PLY with a vertex element and a
+ * face element of vertex_indices lists; other elements are skipped.
+ */
+function parsePLY(buffer) {
+  const bytes = new Uint8Array(buffer);
+
+  // The header is ASCII and ends with "end_header" and a newline
+  const headerText = new TextDecoder().decode(
+    bytes.subarray(0, Math.min(bytes.length, 64 * 1024))
+  );
+  const headerEnd = headerText.search(/end_header\r?\n/);
+  if (!headerText.startsWith("ply") || headerEnd < 0) {
+    throw new Error("Not a PLY file (missing 'ply' or 'end_header').");
+  }
+  const bodyStart = headerEnd + headerText.slice(headerEnd).indexOf("\n") + 1;
+
+  let format = null;
+  let elements = [];
+  headerText
+    .slice(0, headerEnd)
+    .split(/\r?\n/)
+    .forEach(function (line) {
+      const tokens = line.trim().split(/\s+/);
+      if (tokens[0] === "format") {
+        format = tokens[1];
+      } else if (tokens[0] === "element") {
+        elements.push({
+          name: tokens[1],
+          count: parseInt(tokens[2], 10),
+          properties: [],
+        });
+      } else if (tokens[0] === "property") {
+        const element = elements[elements.length - 1];
+        const property =
+          tokens[1] === "list"
+            ? { name: tokens[4], countType: tokens[2], type: tokens[3] }
+            : { name: tokens[2], type: tokens[1] };
+        if (
+          !PLY_TYPES[property.type] ||
+          (property.countType && !PLY_TYPES[property.countType])
+        ) {
+          throw new Error("PLY: unknown property type in '" + line + "'.");
+        }
+        element.properties.push(property);
+      }
+    });
+
+  // Reader returning the next scalar of a given type
+  let next;
+  if (format === "ascii") {
+    const tokens = new TextDecoder()
+      .decode(bytes.subarray(bodyStart))
+      .trim()
+      .split(/\s+/);
+    let position = 0;
+    next = function () {
+      return parseFloat(tokens[position++]);
+    };
+  } else if (
+    format === "binary_little_endian" ||
+    format === "binary_big_endian"
+  ) {
+    const view = new DataView(buffer);
+    const littleEndian = format === "binary_little_endian";
+    let offset = bodyStart;
+    next = function (type) {
+      const info = PLY_TYPES[type];
+      const value = view[info.get](offset, littleEndian);
+      offset += info.bytes;
+      return value;
+    };
+  } else {
+    throw new Error("PLY: unsupported format '" + format + "'.");
+  }
+
+  let mesh = {
+    positions: [],
+    normals: null,
+    tangents: null,
+    texCoords: null,
+    indices: [],
+    twoSided: true,
+  };
+
+  elements.forEach(function (element) {
+    const names = element.properties.map(function (property) {
+      return property.name;
+    });
+
+    // Column of each attribute component, or null if absent
+    function columns(attribute) {
+      const options = PLY_VERTEX_PROPERTIES[attribute];
+      for (let o = 0; o < options.length; o++) {
+        const found = options[o].map(function (name) {
+          return names.indexOf(name);
+        });
+        if (found.indexOf(-1) < 0) return found;
+      }
+      return null;
+    }
+
+    const isVertex = element.name === "vertex";
+    const position = isVertex ? columns("position") : null;
+    const normal = isVertex ? columns("normal") : null;
+    const texCoord = isVertex ? columns("texCoord") : null;
+    if (isVertex) {
+      if (!position) throw new Error("PLY: vertices without x, y, z.");
+      if (normal) mesh.normals = [];
+      if (texCoord) mesh.texCoords = [];
+    }
+    const faceList =
+      element.name === "face"
+        ? Math.max(
+            names.indexOf("vertex_indices"),
+            names.indexOf("vertex_index")
+          )
+        : -1;
+
+    for (let e = 0; e < element.count; e++) {
+      let row = [];
+      element.properties.forEach(function (property) {
+        if (property.countType) {
+          const count = next(property.countType);
+          let list = [];
+          for (let k = 0; k < count; k++) list.push(next(property.type));
+          row.push(list);
+        } else {
+          row.push(next(property.type));
+        }
+      });
+
+      if (isVertex) {
+        position.forEach(function (c) {
+          mesh.positions.push(row[c]);
+        });
+        if (normal) {
+          normal.forEach(function (c) {
+            mesh.normals.push(row[c]);
+          });
+        }
+        if (texCoord) {
+          texCoord.forEach(function (c) {
+            mesh.texCoords.push(row[c]);
+          });
+        }
+      } else if (faceList >= 0) {
+        const face = row[faceList];
+        for (let k = 1; k + 1 < face.length; k++) {
+          mesh.indices.push(face[0], face[k], face[k + 1]);
+        }
+      }
+    }
+  });
+
+  const vertexCount = mesh.positions.length / 3;
+  mesh.indices.forEach(function (index) {
+    if (!(index >= 0 && index < vertexCount)) {
+      throw new Error("PLY: face index " + index + " out of range.");
+    }
+  });
+  return mesh;
+}
+
+/*======================  glTF 2.0 / GLB  ======================*/
+
+const GLTF_COMPONENT_TYPES = {
+  5120: { array: Int8Array, get: "getInt8", bytes: 1, max: 127 },
+  5121: { array: Uint8Array, get: "getUint8", bytes: 1, max: 255 },
+  5122: { array: Int16Array, get: "getInt16", bytes: 2, max: 32767 },
+  5123: { array: Uint16Array, get: "getUint16", bytes: 2, max: 65535 },
+  5125: { array: Uint32Array, get: "getUint32", bytes: 4, max: 1 },
+  5126: { array: Float32Array, get: "getFloat32", bytes: 4, max: 1 },
+};
+
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+function decodeBase64(text) {
+  const alphabet =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  const clean = text.replace(/[^A-Za-z0-9+/]/g, "");
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let bits = 0;
+  let value = 0;
+  let out = 0;
+  for (let i = 0; i < clean.length; i++) {
+    value = (value << 6) | alphabet.indexOf(clean[i]);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[out++] = (value >> bits) & 0xff;
+    }
+  }
+  return bytes;
+}
+
+// Binary glTF: JSON chunk followed by an optional BIN chunk
+function parseGLB(buffer) {
+  const view = new DataView(buffer);
+  if (view.getUint32(0, true) !== 0x46546c67) {
+    throw new Error("Not a GLB file (bad magic).");
+  }
+  if (view.getUint32(4, true) !== 2) {
+    throw new Error("GLB: only glTF 2.0 is supported.");
+  }
+
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const chunk = new Uint8Array(buffer, offset + 8, length);
+    if (type === 0x4e4f534a) {
+      json = JSON.parse(new TextDecoder().decode(chunk));
+    } else if (type === 0x004e4942) {
+      bin = chunk;
+    }
+    offset += 8 + length;
+  }
+  if (!json) throw new Error("GLB: missing JSON chunk.");
+  return parseGLTF(json, bin);
+}
+
+/**
+ * All triangle primitives of the default scene, in world space.
+ * bin: the GLB binary chunk (buffer 0 without uri), or null.
+ * Buffers must be embedded; external .bin files cannot be resolved
+ * from a single dropped file.
+ */
+function parseGLTF(json, bin) {
+  if (!json.asset || String(json.asset.version).charAt(0) !== "2") {
+    throw new Error("glTF: only version 2.0 is supported.");
+  }
+
+  const buffers = (json.buffers || []).map(function (buffer, b) {
+    if (buffer.uri === undefined) {
+      if (!bin) throw new Error("glTF: buffer " + b + " has no data.");
+      return bin;
+    }
+    const match = /^data:[^,]*;base64,(.*)$/.exec(buffer.uri);
+    if (!match) {
+      throw new Error(
+        "glTF: external buffer '" +
+          buffer.uri +
+          "' is not supported; use .glb or embedded buffers."
+      );
+    }
+    return decodeBase64(match[1]);
+  });
+
+  // Accessor as a plain array of numbers (normalized ints -> [0,1]/[-1,1])
+  function readAccessor(index) {
+    const accessor = json.accessors[index];
+    if (accessor.sparse) {
+      throw new Error("glTF: sparse accessors are not supported.");
+    }
+    const size = GLTF_TYPE_SIZES[accessor.type];
+    const component = GLTF_COMPONENT_TYPES[accessor.componentType];
+    const values = new Array(accessor.count * size).fill(0);
+    if (accessor.bufferView === undefined) return values; // all zeros
+
+    const bufferView = json.bufferViews[accessor.bufferView];
+    const data = buffers[bufferView.buffer];
+    const view = new DataView(
+      data.buffer,
+      data.byteOffset + (bufferView.byteOffset || 0),
+      bufferView.byteLength
+    );
+    const stride = bufferView.byteStride || size * component.bytes;
+    const scale = accessor.normalized ? 1.0 / component.max : 1.0;
+
+    for (let i = 0; i < accessor.count; i++) {
+      const base = (accessor.byteOffset || 0) + i * stride;
+      for (let c = 0; c < size; c++) {
+        const x = view[component.get](base + c * component.bytes, true);
+        values[i * size + c] = accessor.normalized
+          ? Math.max(x * scale, -1.0)
+          : x;
+      }
+    }
+    return values;
+  }
+
+  let mesh = {
+    positions: [],
+    normals: [],
+    tangents: [],
+    texCoords: [],
+    indices: [],
+    twoSided: false,
+  };
+  let hasNormals = true;
+  let hasTangents = true;
+  let anyTexCoords = false;
+
+  function addPrimitive(primitive, world) {
+    const mode = primitive.mode === undefined ? 4 : primitive.mode;
+    if (mode !== 4 || primitive.attributes.POSITION === undefined) {
+      return; // points, lines, strips and fans are not imported
+    }
+    const normalMatrix = m4.transpose(m4.inverse(world));
+    const base = mesh.positions.length / 3;
+    const attributes = primitive.attributes;
+
+    const positions = readAccessor(attributes.POSITION);
+    const count = positions.length / 3;
+    for (let i = 0; i < count; i++) {
+      const p = m4.transformPoint(world, positions.slice(3 * i, 3 * i + 3));
+      mesh.positions.push(p[0], p[1], p[2]);
+    }
+
+    if (attributes.NORMAL !== undefined) {
+      const normals = readAccessor(attributes.NORMAL);
+      for (let i = 0; i < count; i++) {
+        const n = m4.transformDirection(
+          normalMatrix,
+          normals.slice(3 * i, 3 * i + 3)
+        );
+        mesh.normals.push(n[0], n[1], n[2]);
+      }
+    } else {
+      hasNormals = false;
+    }
+
+    // vec4 tangents: the renderer rebuilds B = cross(N, T), so w is dropped
+    if (attributes.TANGENT !== undefined) {
+      const tangents = readAccessor(attributes.TANGENT);
+      for (let i = 0; i < count; i++) {
+        const t = m4.transformDirection(
+          world,
+          tangents.slice(4 * i, 4 * i + 3)
+        );
+        mesh.tangents.push(t[0], t[1], t[2]);
+      }
+    } else {
+      hasTangents = false;
+    }
+
+    // glTF puts the UV origin at the top of the image
+    if (attributes.TEXCOORD_0 !== undefined) {
+      const texCoords = readAccessor(attributes.TEXCOORD_0);
+      for (let i = 0; i < count; i++) {
+        mesh.texCoords.push(texCoords[2 * i], 1.0 - texCoords[2 * i + 1]);
+      }
+      anyTexCoords = true;
+    } else {
+      for (let i = 0; i < count; i++) mesh.texCoords.push(0.0, 0.0);
+    }
+
+    if (primitive.indices !== undefined) {
+      readAccessor(primitive.indices).forEach(function (index) {
+        if (!(index < count)) {
+          throw new Error("glTF: index " + index + " out of range.");
+        }
+        mesh.indices.push(base + index);
+      });
+    } else {
+      for (let i = 0; i < count; i++) mesh.indices.push(base + i);
+    }
+
+    const material =
+      primitive.material === undefined
+        ? null
+        : json.materials[primitive.material];
+    if (material && material.doubleSided) mesh.twoSided = true;
+  }
+
+  function addNode(index, parent) {
+    const node = json.nodes[index];
+    const local = node.matrix
+      ? node.matrix.slice()
+      : m4.compose(
+          node.translation || [0, 0, 0],
+          node.rotation || [0, 0, 0, 1],
+          node.scale || [1, 1, 1]
+        );
+    const world = m4.multiply(parent, local);
+    if (node.mesh !== undefined) {
+      json.meshes[node.mesh].primitives.forEach(function (primitive) {
+        addPrimitive(primitive, world);
+      });
+    }
+    (node.children || []).forEach(function (child) {
+      addNode(child, world);
+    });
+  }
+
+  const scenes = json.scenes || [];
+  const scene = scenes[json.scene || 0];
+  if (scene) {
+    (scene.nodes || []).forEach(function (index) {
+      addNode(index, m4.identity());
+    });
+  } else {
+    // No scene: every mesh as is
+    (json.meshes || []).forEach(function (gltfMesh) {
+      gltfMesh.primitives.forEach(function (primitive) {
+        addPrimitive(primitive, m4.identity());
+      });
+    });
+  }
+
+  if (!hasNormals) mesh.normals = null;
+  if (!hasTangents) mesh.tangents = null;
+  if (!anyTexCoords) mesh.texCoords = null;
+  return mesh;
+}
@@ -3,13 +3,22 @@
 let gl; // WebGL context
 let surface; // Surface model
 let shProgram; // Shader program
+let lineProgram; // Shader program of the line overlays
 let spaceball; // Trackball rotator
 let currentTime = 0.0; // For rotating light
+let currentMesh = null; // Last mesh from CreateSurfaceData, for export and overlays
+let cameraDistance = 10.0; // Eye to origin, changed by zooming
+let surfaceLOD = null; // Level selection while the surface has LOD levels
+
+// Line overlays drawn over the surface: { name: { model, visible } }
+const lineOverlays = {};
 
 // Textures
 let diffuseTex = null;
 let normalTex = null;
 let specularTex = null;
+let heightTex = null;
+let heightMap = null; // pixels of the height map, for displacement on the CPU
 
 function deg2rad(angle) {
   return (angle * Math.PI) / 180;
@@ -29,76 +38,359 @@ function transformPoint(m, p) {
 
 /*======================  MODEL – TRIANGLES WITH INDICES & TANGENTS  ======================*/
 
-function Model(name) {
+// Largest vertex count addressable with 16-bit indices
+const MAX_UINT16_VERTICES = 65536;
+
+/**
+ * Split an indexed mesh into batches of at most maxVertices vertices
+ * each, remapping indices per batch.
+ * arrays:        [{ data, size }, ...] per-vertex attributes
+ * primitiveSize: indices per primitive, 3 for triangles (default), 2 for lines
+ *
+ * Returns [{ arrays: [Float32Array, ...], indices: [...] }]
+ */
+function splitIndexedMesh(arrays, indices, maxVertices, primitiveSize) {
+  primitiveSize = primitiveSize || 3;
+  let batches = [];
+  let remap = null;
+  let batch = null;
+
+  function startBatch() {
+    remap = new Map();
+    batch = {
+      arrays: arrays.map(function () {
+        return [];
+      }),
+      indices: [],
+    };
+    batches.push(batch);
+  }
+
+  startBatch();
+  for (let t = 0; t < indices.length; t += primitiveSize) {
+    // Start a new batch if this primitive's new vertices would not fit
+    let missing = 0;
+    for (let k = 0; k < primitiveSize; k++) {
+      if (!remap.has(indices[t + k])) missing++;
+    }
+    if (remap.size + missing > maxVertices) startBatch();
+
+    for (let k = 0; k < primitiveSize; k++) {
+      const vi = indices[t + k];
+      if (!remap.has(vi)) {
+        remap.set(vi, remap.size);
+        arrays.forEach(function (attr, a) {
+          for (let c = 0; c < attr.size; c++) {
+            batch.arrays[a].push(attr.data[attr.size * vi + c]);
+          }
+        });
+      }
+      batch.indices.push(remap.get(vi));
+    }
+  }
+
+  batches.forEach(function (b) {
+    b.arrays = b.arrays.map(function (data) {
+      return new Float32Array(data);
+    });
+  });
+  return batches;
+}
+
+/**
+ * Vertex layout of the textured surface. Each entry names a shader
+ * attribute; Model packs them in this order into one interleaved buffer.
+ *   size:       components per vertex
+ *   type:       GL type name ("FLOAT", "UNSIGNED_BYTE", ...)
+ *   normalized: integer types only, map to [0,1] / [-1,1] in the shader
+ */
+const SURFACE_VERTEX_LAYOUT = [
+  { name: "vertex", size: 3, type: "FLOAT", normalized: false },
+  { name: "normal", size: 3, type: "FLOAT", normalized: false },
+  { name: "tangent", size: 3, type: "FLOAT", normalized: false },
+  { name: "texCoord", size: 2, type: "FLOAT", normalized: false },
+  { name: "curvature", size: 2, type: "FLOAT", normalized: false },
+];
+
+// Surface layout of the wireframe mode: unindexed triangles whose
+// corners carry (1,0,0), (0,1,0), (0,0,1), see unindexMesh
+const SURFACE_WIREFRAME_LAYOUT = SURFACE_VERTEX_LAYOUT.concat([
+  { name: "barycentric", size: 3, type: "FLOAT", normalized: false },
+]);
+
+// Extra attributes of LOD levels: where each vertex moves when the level
+// is morphed into the next coarser one (see CreateSurfaceLODs, uMorph)
+const SURFACE_MORPH_ATTRIBUTES = [
+  { name: "morphVertex", size: 3, type: "FLOAT", normalized: false },
+  { name: "morphNormal", size: 3, type: "FLOAT", normalized: false },
+];
+
+// Clip planes the shader takes (MAX_CLIP_PLANES in shader.gpu): three
+// user planes plus the cross-section
+const MAX_CLIP_PLANES = 4;
+
+// Colour of the cross-section contour (the outline of the cut)
+const SLICE_CONTOUR_COLOR = [1.0, 0.2, 0.8];
+
+// Vertex layout of the line overlays (gl.LINES, see lineOverlays)
+const LINE_VERTEX_LAYOUT = [
+  { name: "vertex", size: 3, type: "FLOAT", normalized: false },
+  { name: "color", size: 3, type: "FLOAT", normalized: false },
+];
+
+// Byte size and DataView setter per layout type
+const VERTEX_TYPE_INFO = {
+  FLOAT: { bytes: 4, set: "setFloat32" },
+  BYTE: { bytes: 1, set: "setInt8" },
+  UNSIGNED_BYTE: { bytes: 1, set: "setUint8" },
+  SHORT: { bytes: 2, set: "setInt16" },
+  UNSIGNED_SHORT: { bytes: 2, set: "setUint16" },
+};
+
+/**
+ * Byte offset of every layout entry (each aligned to 4 bytes) and the
+ * total stride. Returns { offsets: [...], stride }
+ */
+function computeVertexLayout(layout) {
+  let offsets = [];
+  let stride = 0;
+  layout.forEach(function (attr) {
+    offsets.push(stride);
+    const bytes = attr.size * VERTEX_TYPE_INFO[attr.type].bytes;
+    stride += Math.ceil(bytes / 4) * 4;
+  });
+  return { offsets: offsets, stride: stride };
+}
+
+/**
+ * Pack per-attribute arrays (in layout order) into one ArrayBuffer.
+ */
+function interleaveVertexData(layout, arrays, vertexCount) {
+  const packing = computeVertexLayout(layout);
+  const buffer = new ArrayBuffer(packing.stride * vertexCount);
+  const view = new DataView(buffer);
+
+  layout.forEach(function (attr, a) {
+    const info = VERTEX_TYPE_INFO[attr.type];
+    const data = arrays[a];
+    for (let vi = 0; vi < vertexCount; vi++) {
+      const base = vi * packing.stride + packing.offsets[a];
+      for (let c = 0; c < attr.size; c++) {
+        view[info.set](base + c * info.bytes, data[vi * attr.size + c], true);
+      }
+    }
+  });
+  return buffer;
+}
+
+/**
+ * Expand an indexed mesh into separate triangles so every corner can
+ * carry its own barycentric coordinate (the shader-based wireframe).
+ * layout:     entries to copy from attributes (sizes), e.g.
+ *             SURFACE_VERTEX_LAYOUT
+ * attributes: { layoutName: flat [...] }
+ *
+ * Returns { attributes (plus barycentric), indices: [0, 1, 2, ...] }
+ */
+function unindexMesh(layout, attributes, indices) {
+  let expanded = { barycentric: new Float32Array(3 * indices.length) };
+  layout.forEach(function (attr) {
+    const source = attributes[attr.name];
+    const data = new Float32Array(attr.size * indices.length);
+    for (let k = 0; k < indices.length; k++) {
+      for (let c = 0; c < attr.size; c++) {
+        data[attr.size * k + c] = source[attr.size * indices[k] + c];
+      }
+    }
+    expanded[attr.name] = data;
+  });
+
+  let sequence = new Uint32Array(indices.length);
+  for (let k = 0; k < indices.length; k++) {
+    expanded.barycentric[3 * k + (k % 3)] = 1.0;
+    sequence[k] = k;
+  }
+  return { attributes: expanded, indices: sequence };
+}
+
+function Model(name, layout) {
   this.name = name;
+  this.layout = layout || SURFACE_VERTEX_LAYOUT;
+  this.packing = computeVertexLayout(this.layout);
+
+  // One entry per draw call: { vbo, ibo, indexCount }
+  // Meshes over 65,536 vertices use 32-bit indices when
+  // OES_element_index_uint is available and several batches otherwise.
+  this.batches = [];
+  this.indexType = gl.UNSIGNED_SHORT;
+  this.uintIndices = !!gl.getExtension("OES_element_index_uint");
+
+  // Precomputed resolutions, finest first: { batches, indexType }.
+  // Draw renders the selected one (batches/indexType above).
+  this.levels = [];
+  this.level = 0;
+
+  this.twoSided = false; // open / non-orientable surfaces: no culling
+  this.clipped = false; // cut open by clip planes: no culling either
+  this.primitive = gl.TRIANGLES; // gl.LINES for overlays
+
+  // Switch the vertex layout; takes effect with the next BufferData
+  this.SetLayout = function (layout) {
+    this.layout = layout;
+    this.packing = computeVertexLayout(layout);
+  };
 
-  this.vbo = gl.createBuffer(); // vertex positions
-  this.nbo = gl.createBuffer(); // vertex normals
-  this.tbo = gl.createBuffer(); // tangent vectors
-  this.uvbo = gl.createBuffer(); // texture coordinates
-  this.ibo = gl.createBuffer(); // indices
+  // Release the buffers of the previous mesh, all its levels
+  this.Release = function () {
+    const lists = this.levels.length
+      ? this.levels.map(function (level) {
+          return level.batches;
+        })
+      : [this.batches];
+    lists.forEach(function (batches) {
+      batches.forEach(function (batch) {
+        gl.deleteBuffer(batch.vbo);
+        gl.deleteBuffer(batch.ibo);
+      });
+    });
+    this.batches = [];
+    this.levels = [];
+    this.level = 0;
+  };
 
-  this.indexCount = 0;
+  /**
+   * attributes: { layoutName: flat [...] }, e.g.
+   *             { vertex, normal, tangent, texCoord } for the default layout
+   * indices:    [i0,i1,i2,...]
+   */
+  this.BufferData = function (attributes, indices) {
+    this.Release();
+    const uploaded = this.Upload(attributes, indices);
+    this.batches = uploaded.batches;
+    this.indexType = uploaded.indexType;
+  };
 
   /**
-   * vertices:  [x,y,z,...]
-   * normals:   [nx,ny,nz,...]
-   * tangents:  [tx,ty,tz,...]
-   * texCoords: [u,v,...]
-   * indices:   [i0,i1,i2,...]
+   * Several resolutions of one mesh, finest first, all in this layout.
+   * levels: [{ attributes, indices }] as for BufferData
    */
-  this.BufferData = function (vertices, normals, tangents, texCoords, indices) {
-    this.indexCount = indices.length;
-
-    // Positions
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
-
-    // Normals
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.nbo);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
-
-    // Tangents
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.tbo);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(tangents), gl.STATIC_DRAW);
-
-    // Texture coordinates
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.uvbo);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texCoords), gl.STATIC_DRAW);
-
-    // Indices
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
-    gl.bufferData(
-      gl.ELEMENT_ARRAY_BUFFER,
-      new Uint16Array(indices),
-      gl.STATIC_DRAW
-    );
+  this.BufferLevels = function (levels) {
+    this.Release();
+    const model = this;
+    this.levels = levels.map(function (level) {
+      return model.Upload(level.attributes, level.indices);
+    });
+    this.SelectLevel(0);
   };
 
-  this.Draw = function () {
-    // Positions
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
-    gl.vertexAttribPointer(shProgram.iAttribVertex, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(shProgram.iAttribVertex);
+  // Draw level k of BufferLevels from now on
+  this.SelectLevel = function (k) {
+    this.level = k;
+    this.batches = this.levels[k].batches;
+    this.indexType = this.levels[k].indexType;
+  };
+
+  // Buffers of one mesh; returns { batches, indexType }
+  this.Upload = function (attributes, indices) {
+    const layout = this.layout;
+    const arrays = layout.map(function (attr) {
+      if (!attributes[attr.name]) {
+        throw new Error("Missing vertex attribute data '" + attr.name + "'.");
+      }
+      return { data: attributes[attr.name], size: attr.size };
+    });
+
+    const vertexCount = arrays[0].data.length / arrays[0].size;
+    let parts;
+    let IndexArray = Uint16Array;
+    let indexType = gl.UNSIGNED_SHORT;
+
+    if (vertexCount <= MAX_UINT16_VERTICES || this.uintIndices) {
+      parts = [
+        {
+          arrays: arrays.map(function (attr) {
+            return attr.data;
+          }),
+          indices: indices,
+        },
+      ];
+      if (vertexCount > MAX_UINT16_VERTICES) {
+        IndexArray = Uint32Array;
+        indexType = gl.UNSIGNED_INT;
+      }
+    } else {
+      parts = splitIndexedMesh(
+        arrays,
+        indices,
+        MAX_UINT16_VERTICES,
+        this.primitive === gl.LINES ? 2 : 3
+      );
+    }
+
+    const batches = parts.map(function (part) {
+      const count = part.arrays[0].length / layout[0].size;
 
-    // Normals
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.nbo);
-    gl.vertexAttribPointer(shProgram.iAttribNormal, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(shProgram.iAttribNormal);
+      const vbo = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        interleaveVertexData(layout, part.arrays, count),
+        gl.STATIC_DRAW
+      );
+
+      const ibo = gl.createBuffer();
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
+      gl.bufferData(
+        gl.ELEMENT_ARRAY_BUFFER,
+        new IndexArray(part.indices),
+        gl.STATIC_DRAW
+      );
 
-    // Tangents
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.tbo);
-    gl.vertexAttribPointer(shProgram.iAttribTangent, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(shProgram.iAttribTangent);
+      return { vbo: vbo, ibo: ibo, indexCount: part.indices.length };
+    });
+    return { batches: batches, indexType: indexType };
+  };
 
-    // TexCoords
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.uvbo);
-    gl.vertexAttribPointer(shProgram.iAttribTexCoord, 2, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(shProgram.iAttribTexCoord);
+  // program: ShaderProgram to bind attributes against, shProgram if omitted
+  this.Draw = function (program) {
+    program = program || shProgram;
+    if (this.twoSided || this.clipped) {
+      gl.disable(gl.CULL_FACE);
+    } else {
+      gl.enable(gl.CULL_FACE);
+    }
 
-    // Indices
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
-    gl.drawElements(gl.TRIANGLES, this.indexCount, gl.UNSIGNED_SHORT, 0);
+    for (let b = 0; b < this.batches.length; b++) {
+      const batch = this.batches[b];
+
+      // Attributes, bound by name against the active program
+      gl.bindBuffer(gl.ARRAY_BUFFER, batch.vbo);
+      let enabled = [];
+      for (let a = 0; a < this.layout.length; a++) {
+        const attr = this.layout[a];
+        const location = program.GetAttribLocation(attr.name);
+        if (location < 0) continue; // unused by this shader
+        gl.vertexAttribPointer(
+          location,
+          attr.size,
+          gl[attr.type],
+          attr.normalized,
+          this.packing.stride,
+          this.packing.offsets[a]
+        );
+        gl.enableVertexAttribArray(location);
+        enabled.push(location);
+      }
+
+      // Indices
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.ibo);
+      gl.drawElements(this.primitive, batch.indexCount, this.indexType, 0);
+
+      // Leave no arrays enabled that the next program might not feed
+      enabled.forEach(function (location) {
+        gl.disableVertexAttribArray(location);
+      });
+    }
   };
 }
 
@@ -108,10 +400,8 @@ function ShaderProgram(name, program) {
   this.name = name;
   this.prog = program;
 
-  this.iAttribVertex = -1;
-  this.iAttribNormal = -1;
-  this.iAttribTexCoord = -1;
-  this.iAttribTangent = -1;
+  // Attribute locations by name, looked up on first use
+  this.attribLocations = {};
 
   this.iModelViewMatrix = -1;
   this.iProjectionMatrix = -1;
@@ -129,155 +419,16 @@ function ShaderProgram(name, program) {
   this.Use = function () {
     gl.useProgram(this.prog);
   };
-}
-
-/*======================  PARABOLIC HUMMING-TOP GEOMETRY  ======================*/
-
-// parametric surface: (y is vertical axis)
-// y ∈ [-h, h], beta ∈ [0, 2π]
-function parabolicHummingTopVertex(y, beta, h, p) {
-  let rBase = Math.abs(y) - h; // |y| - h
-  let r = (rBase * rBase) / (2 * p); // (|y| - h)^2 / (2p)
-
-  let x = r * Math.cos(beta);
-  let z = r * Math.sin(beta);
-
-  return [x, y, z];
-}
-
-/**
- * Create surface mesh data for given U/V granularity.
- * uSeg: segments along angle (U)
- * vSeg: segments along vertical (V)
- *
- * Returns { positions, normals, tangents, texCoords, indices }
- */
-function CreateSurfaceData(uSeg, vSeg) {
-  uSeg = uSeg || 40;
-  vSeg = vSeg || 40;
-
-  const h = 1.0;
-  const p = 0.5;
-
-  let positions = [];
-  let normals = [];
-  let tangents = [];
-  let texCoords = [];
-  let indices = [];
-
-  // Build grid of vertices
-  for (let j = 0; j <= vSeg; j++) {
-    let v = j / vSeg;
-    let y = -h + 2.0 * h * v; // from -h to h
-
-    for (let i = 0; i <= uSeg; i++) {
-      let u = i / uSeg;
-      let beta = 2.0 * Math.PI * u;
-
-      let [x, yy, z] = parabolicHummingTopVertex(y, beta, h, p);
-      positions.push(x, yy, z);
-
-      // Initial normals: zero, will be facet-average later
-      normals.push(0.0, 0.0, 0.0);
-
-      // Tangent: derivative wrt beta at fixed y
-      // r does not depend on beta, so:
-      let rBase = Math.abs(y) - h;
-      let r = (rBase * rBase) / (2 * p);
-      let tx = -r * Math.sin(beta);
-      let ty = 0.0;
-      let tz = r * Math.cos(beta);
-      tangents.push(tx, ty, tz);
-
-      // Simple UV mapping: (u,v) from param domain
-      texCoords.push(u, v);
-    }
-  }
 
-  const vertsPerRow = uSeg + 1;
-
-  // Helper: accumulate facet normals (facet average)
-  function addFace(i0, i1, i2) {
-    const ax = positions[3 * i0],
-      ay = positions[3 * i0 + 1],
-      az = positions[3 * i0 + 2];
-    const bx = positions[3 * i1],
-      by = positions[3 * i1 + 1],
-      bz = positions[3 * i1 + 2];
-    const cx = positions[3 * i2],
-      cy = positions[3 * i2 + 1],
-      cz = positions[3 * i2 + 2];
-
-    const ux = bx - ax,
-      uy = by - ay,
-      uz = bz - az;
-    const vx = cx - ax,
-      vy = cy - ay,
-      vz = cz - az;
-
-    // face normal = cross(u, v)
-    let nx = uy * vz - uz * vy;
-    let ny = uz * vx - ux * vz;
-    let nz = ux * vy - uy * vx;
-
-    // normalize face normal before accumulating -> facet average
-    let len = Math.hypot(nx, ny, nz);
-    if (len > 1e-6) {
-      nx /= len;
-      ny /= len;
-      nz /= len;
-    }
-
-    // accumulate to vertices
-    normals[3 * i0] += nx;
-    normals[3 * i0 + 1] += ny;
-    normals[3 * i0 + 2] += nz;
-
-    normals[3 * i1] += nx;
-    normals[3 * i1 + 1] += ny;
-    normals[3 * i1 + 2] += nz;
-
-    normals[3 * i2] += nx;
-    normals[3 * i2 + 1] += ny;
-    normals[3 * i2 + 2] += nz;
-  }
-
-  // Build triangles (two per quad) and compute normals
-  for (let j = 0; j < vSeg; j++) {
-    for (let i = 0; i < uSeg; i++) {
-      const i0 = j * vertsPerRow + i;
-      const i1 = i0 + 1;
-      const i2 = i0 + vertsPerRow;
-      const i3 = i2 + 1;
-
-      // triangle 1
-      indices.push(i0, i2, i1);
-      addFace(i0, i2, i1);
-
-      // triangle 2
-      indices.push(i1, i2, i3);
-      addFace(i1, i2, i3);
-    }
-  }
-
-  // Normalize accumulated vertex normals
-  for (let k = 0; k < normals.length; k += 3) {
-    let nx = normals[k];
-    let ny = normals[k + 1];
-    let nz = normals[k + 2];
-    let len = Math.hypot(nx, ny, nz);
-    if (len > 1e-6) {
-      normals[k] = nx / len;
-      normals[k + 1] = ny / len;
-      normals[k + 2] = nz / len;
-    } else {
-      normals[k] = 0.0;
-      normals[k + 1] = 1.0;
-      normals[k + 2] = 0.0;
+  this.GetAttribLocation = function (attribName) {
+    if (!(attribName in this.attribLocations)) {
+      this.attribLocations[attribName] = gl.getAttribLocation(
+        this.prog,
+        attribName
+      );
     }
-  }
-
-  return { positions, normals, tangents, texCoords, indices };
+    return this.attribLocations[attribName];
+  };
 }
 
 /*======================  TEXTURE LOADING  ======================*/
@@ -345,27 +496,76 @@ function loadTexture(url) {
   return texture;
 }
 
-/*======================  DRAW  ======================*/
+/**
+ * Pixels of a height map for displacement on the CPU: the red channel,
+ * rows top to bottom like the image (see sampleHeightMap). onLoad gets
+ * { width, height, data }.
+ */
+function loadHeightMap(url, onLoad) {
+  const image = new Image();
+  image.crossOrigin = "anonymous";
+  image.onerror = function () {
+    console.error("Failed to load height map:", url);
+  };
+  image.onload = function () {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0);
+    const rgba = context.getImageData(0, 0, image.width, image.height).data;
+    const data = new Uint8Array(image.width * image.height);
+    for (let k = 0; k < data.length; k++) data[k] = rgba[4 * k];
+    onLoad({ width: image.width, height: image.height, data: data });
+  };
+  image.src = url;
+}
 
-function draw() {
-  gl.clearColor(1, 1, 1, 1);
-  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+/*======================  DRAW  ======================*/
 
-  // Projection (perspective)
-  let projection = m4.perspective(Math.PI / 8, 1, 2, 20);
+// Projection (perspective); near and far follow the zoom
+function computeProjection() {
+  return m4.perspective(
+    Math.PI / 8,
+    1,
+    cameraDistance / 5,
+    cameraDistance + 10
+  );
+}
 
-  // View
+// Trackball rotation, then the camera placement at cameraDistance
+function computeModelView() {
   let modelView = spaceball.getViewMatrix();
 
   let rotateToPointZero = m4.axisRotation([0.707, 0.707, 0], 0.7);
-  let translateToPointZero = m4.translation(0, 0, -10);
+  let translateToPointZero = m4.translation(0, 0, -cameraDistance);
 
   let matAccum0 = m4.multiply(rotateToPointZero, modelView);
-  let matAccum1 = m4.multiply(translateToPointZero, matAccum0); // ModelViewMatrix
+  return m4.multiply(translateToPointZero, matAccum0);
+}
+
+function draw() {
+  gl.clearColor(1, 1, 1, 1);
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+  let projection = computeProjection();
+  let matAccum1 = computeModelView(); // ModelViewMatrix
 
   // Send matrices
   gl.uniformMatrix4fv(shProgram.iModelViewMatrix, false, matAccum1);
   gl.uniformMatrix4fv(shProgram.iProjectionMatrix, false, projection);
+  // Triplanar mapping works in model space (rotation and translation only)
+  gl.uniformMatrix3fv(shProgram.iModelRotation, false, [
+    matAccum1[0],
+    matAccum1[1],
+    matAccum1[2],
+    matAccum1[4],
+    matAccum1[5],
+    matAccum1[6],
+    matAccum1[8],
+    matAccum1[9],
+    matAccum1[10],
+  ]);
 
   // Rotating light position in model space (circle around top)
   const lightRadius = 5.0;
@@ -396,8 +596,43 @@ function draw() {
   gl.bindTexture(gl.TEXTURE_2D, specularTex);
   gl.uniform1i(shProgram.iSpecularMap, 2);
 
-  // Draw surface
+  gl.activeTexture(gl.TEXTURE3);
+  gl.bindTexture(gl.TEXTURE_2D, heightTex);
+  gl.uniform1i(shProgram.iHeightMap, 3);
+
+  // Level of detail from the projected size, blended by geomorph
+  let morph = 0.0;
+  if (surfaceLOD) {
+    const choice = selectSurfaceLOD(
+      surfaceLOD,
+      matAccum1,
+      projection,
+      gl.drawingBufferHeight
+    );
+    surface.SelectLevel(choice.level);
+    morph = choice.morph;
+    surfaceLOD.onSelect(choice);
+  }
+  gl.uniform1f(shProgram.iMorph, morph);
+
+  // Draw surface; only closed ones show the cut colour on back faces
+  gl.uniform1i(shProgram.iTwoSided, surface.twoSided ? 1 : 0);
   surface.Draw();
+
+  drawLineOverlays(matAccum1, projection);
+  shProgram.Use();
+}
+
+// Visible line overlays, with the surface's matrices
+function drawLineOverlays(modelView, projection) {
+  lineProgram.Use();
+  gl.uniformMatrix4fv(lineProgram.iModelViewMatrix, false, modelView);
+  gl.uniformMatrix4fv(lineProgram.iProjectionMatrix, false, projection);
+
+  for (const name in lineOverlays) {
+    const overlay = lineOverlays[name];
+    if (overlay.visible) overlay.model.Draw(lineProgram);
+  }
 }
 
 /*======================  ANIMATION LOOP  ======================*/
@@ -411,16 +646,20 @@ function animate(time) {
 /*======================  INIT GL  ======================*/
 
 function initGL() {
-  let prog = createProgram(gl, vertexShaderSource, fragmentShaderSource);
+  // fwidth() for the wireframe; the shader falls back without it
+  gl.getExtension("OES_standard_derivatives");
+
+  // The vertex shader reads the height map only where it can
+  let vertexSource = vertexShaderSource;
+  if (supportsVertexDisplacement()) {
+    vertexSource = "#define VERTEX_DISPLACEMENT\n" + vertexSource;
+  }
+  let prog = createProgram(gl, vertexSource, fragmentShaderSource);
 
   shProgram = new ShaderProgram("TexturedPhong", prog);
   shProgram.Use();
 
-  // Attributes
-  shProgram.iAttribVertex = gl.getAttribLocation(prog, "vertex");
-  shProgram.iAttribNormal = gl.getAttribLocation(prog, "normal");
-  shProgram.iAttribTexCoord = gl.getAttribLocation(prog, "texCoord");
-  shProgram.iAttribTangent = gl.getAttribLocation(prog, "tangent");
+  // Attributes are bound by name in Model.Draw (SURFACE_VERTEX_LAYOUT)
 
   // Uniforms
   shProgram.iModelViewMatrix = gl.getUniformLocation(prog, "ModelViewMatrix");
@@ -437,6 +676,24 @@ function initGL() {
   shProgram.iSpecularMap = gl.getUniformLocation(prog, "uSpecularMap");
   shProgram.iDebugMode = gl.getUniformLocation(prog, "uDebugMode");
   shProgram.iTexScale = gl.getUniformLocation(prog, "uTexScale");
+  shProgram.iCurvatureRange = gl.getUniformLocation(prog, "uCurvatureRange");
+  shProgram.iColorRamp = gl.getUniformLocation(prog, "uColorRamp");
+  shProgram.iWireframe = gl.getUniformLocation(prog, "uWireframe");
+  shProgram.iWireWidth = gl.getUniformLocation(prog, "uWireWidth");
+  shProgram.iWireColor = gl.getUniformLocation(prog, "uWireColor");
+  shProgram.iClipPlanes = gl.getUniformLocation(prog, "uClipPlanes");
+  shProgram.iClipPlaneCount = gl.getUniformLocation(prog, "uClipPlaneCount");
+  shProgram.iBackFaceColor = gl.getUniformLocation(prog, "uBackFaceColor");
+  shProgram.iTwoSided = gl.getUniformLocation(prog, "uTwoSided");
+  shProgram.iMorph = gl.getUniformLocation(prog, "uMorph");
+  shProgram.iHeightMap = gl.getUniformLocation(prog, "uHeightMap");
+  shProgram.iDisplacement = gl.getUniformLocation(prog, "uDisplacement");
+  shProgram.iParallaxMode = gl.getUniformLocation(prog, "uParallaxMode");
+  shProgram.iParallaxScale = gl.getUniformLocation(prog, "uParallaxScale");
+  shProgram.iParallaxLayers = gl.getUniformLocation(prog, "uParallaxLayers");
+  shProgram.iParallaxShadow = gl.getUniformLocation(prog, "uParallaxShadow");
+  shProgram.iTriplanar = gl.getUniformLocation(prog, "uTriplanar");
+  shProgram.iModelRotation = gl.getUniformLocation(prog, "uModelRotation");
 
   // Lighting constants (can tweak)
   gl.uniform3fv(shProgram.iAmbientColor, new Float32Array([0.2, 0.2, 0.2]));
@@ -444,21 +701,76 @@ function initGL() {
   gl.uniform3fv(shProgram.iSpecularColor, new Float32Array([1.0, 1.0, 1.0]));
   gl.uniform1f(shProgram.iShininess, 32.0);
 
-  surface = new Model("ParabolicHummingTop");
+  surface = new Model(DEFAULT_SURFACE);
+
+  // Flat-coloured lines drawn over the surface
+  let lineProg = createProgram(
+    gl,
+    lineVertexShaderSource,
+    lineFragmentShaderSource
+  );
+  lineProgram = new ShaderProgram("Lines", lineProg);
+  lineProgram.iModelViewMatrix = gl.getUniformLocation(
+    lineProg,
+    "ModelViewMatrix"
+  );
+  lineProgram.iProjectionMatrix = gl.getUniformLocation(
+    lineProg,
+    "ProjectionMatrix"
+  );
+
+  const isoLines = new Model("isoparametricLines", LINE_VERTEX_LAYOUT);
+  isoLines.primitive = gl.LINES;
+  lineOverlays.isoparametricLines = { model: isoLines, visible: false };
+
+  const directions = new Model("principalDirections", LINE_VERTEX_LAYOUT);
+  directions.primitive = gl.LINES;
+  lineOverlays.principalDirections = { model: directions, visible: false };
+
+  const contours = new Model("sliceContours", LINE_VERTEX_LAYOUT);
+  contours.primitive = gl.LINES;
+  lineOverlays.sliceContours = { model: contours, visible: false };
+
+  const frames = new Model("tangentFrames", LINE_VERTEX_LAYOUT);
+  frames.primitive = gl.LINES;
+  lineOverlays.tangentFrames = { model: frames, visible: false };
 
   gl.enable(gl.DEPTH_TEST);
   gl.enable(gl.CULL_FACE);
   gl.cullFace(gl.BACK);
+  // Push the surface slightly back so overlay lines on it win the depth test
+  gl.enable(gl.POLYGON_OFFSET_FILL);
+  gl.polygonOffset(1.0, 1.0);
 
   // Load textures
   diffuseTex = loadTexture("./textures/diffuse.png");
   normalTex = loadTexture("./textures/normal.png");
   specularTex = loadTexture("./textures/specular.png");
+  heightTex = loadTexture("./textures/height.png");
 
   // Default debug mode: shaded rendering
   gl.uniform1i(shProgram.iDebugMode, 0);
   // Default texture tiling
   gl.uniform1f(shProgram.iTexScale, 1.0);
+  // Default curvature colouring
+  gl.uniform1f(shProgram.iCurvatureRange, 1.0);
+  gl.uniform1i(shProgram.iColorRamp, 0);
+  // Wireframe off until the buffers carry barycentric coordinates
+  gl.uniform1i(shProgram.iWireframe, 0);
+  gl.uniform1f(shProgram.iWireWidth, 1.5);
+  gl.uniform3fv(shProgram.iWireColor, new Float32Array([0.0, 0.0, 0.0]));
+  // No clip planes
+  gl.uniform1i(shProgram.iClipPlaneCount, 0);
+  gl.uniform3fv(shProgram.iBackFaceColor, new Float32Array([0.8, 0.2, 0.2]));
+  // No displacement in the vertex shader
+  gl.uniform1f(shProgram.iDisplacement, 0.0);
+  // Flat normal mapping
+  gl.uniform1i(shProgram.iParallaxMode, PARALLAX_NONE);
+  gl.uniform1f(shProgram.iParallaxScale, 0.03);
+  gl.uniform1i(shProgram.iParallaxLayers, 16);
+  gl.uniform1i(shProgram.iParallaxShadow, 0);
+  // Maps read at the mesh texture coordinates
+  gl.uniform1i(shProgram.iTriplanar, 0);
 }
 
 /*======================  SHADER CREATION  ======================*/
@@ -488,6 +800,747 @@ function createProgram(gl, vShader, fShader) {
   return prog;
 }
 
+/*======================  MESH GENERATION  ======================*/
+
+/**
+ * Runs CreateSurfaceData in mesh-worker.js and hands the typed-array
+ * mesh to onMesh(mesh, request). Only the newest request matters: while
+ * one is being built, later ones replace each other in a single pending
+ * slot and results of older ones are dropped, so dragging a slider never
+ * queues stale meshes. Falls back to the main thread when workers are
+ * unavailable (e.g. a page opened from file://).
+ */
+function MeshBuilder(onMesh) {
+  let worker = null;
+  let nextId = 0;
+  let latest = null; // newest request
+  let pending = null; // waiting for the worker to become free
+  let busy = false;
+
+  function buildHere(request) {
+    const data = CreateSurfaceData(request.uSeg, request.vSeg, request.options);
+    onMesh(toTransferableMesh(data).mesh, request);
+  }
+
+  function send(request) {
+    busy = true;
+    worker.postMessage(request);
+  }
+
+  try {
+    worker = new Worker("./mesh-worker.js");
+  } catch (e) {
+    worker = null;
+  }
+
+  if (worker) {
+    worker.onmessage = function (event) {
+      const result = event.data;
+      if (result.error) {
+        console.error("Mesh generation failed:", result.error);
+      } else if (latest && result.id === latest.id) {
+        onMesh(result.mesh, latest);
+      }
+
+      busy = false;
+      if (pending) {
+        const next = pending;
+        pending = null;
+        send(next);
+      }
+    };
+
+    worker.onerror = function (event) {
+      event.preventDefault();
+      console.warn("Mesh worker unavailable, building on the main thread.");
+      worker.terminate();
+      worker = null;
+      pending = null;
+      busy = false;
+      if (latest) buildHere(latest);
+    };
+  }
+
+  // Drop the requests in flight, e.g. when an imported mesh replaces them
+  this.Cancel = function () {
+    latest = null;
+    pending = null;
+  };
+
+  /**
+   * options: as for CreateSurfaceData
+   * formula: spec of a formula surface, re-registered in the worker
+   */
+  this.Request = function (uSeg, vSeg, options, formula) {
+    latest = {
+      id: nextId++,
+      uSeg: uSeg,
+      vSeg: vSeg,
+      options: options,
+      formula: formula,
+    };
+
+    if (!worker) {
+      buildHere(latest);
+    } else if (busy) {
+      pending = latest; // replaces any older pending request
+    } else {
+      send(latest);
+    }
+  };
+}
+
+/**
+ * Runs surfaceDeviationReport in its own mesh-worker.js, so measuring a
+ * large mesh does not block the page, and hands the report to
+ * onReport(report). Replies to all but the newest request are dropped.
+ * Falls back to the main thread like MeshBuilder.
+ */
+function DeviationMeter(onReport) {
+  let worker = null;
+  let nextId = 0;
+  let latest = null; // newest request
+
+  function measureHere(request) {
+    onReport(
+      surfaceDeviationReport(
+        request.mesh,
+        request.options,
+        request.uSeg,
+        request.vSeg
+      )
+    );
+  }
+
+  try {
+    worker = new Worker("./mesh-worker.js");
+  } catch (e) {
+    worker = null;
+  }
+
+  if (worker) {
+    worker.onmessage = function (event) {
+      const result = event.data;
+      if (result.error) {
+        console.error("Deviation measurement failed:", result.error);
+      } else if (latest && result.id === latest.id) {
+        latest = null;
+        onReport(result.report);
+      }
+    };
+
+    worker.onerror = function (event) {
+      event.preventDefault();
+      console.warn("Mesh worker unavailable, measuring on the main thread.");
+      worker.terminate();
+      worker = null;
+      if (latest) measureHere(latest);
+    };
+  }
+
+  // Drop the request in flight, e.g. when the shown mesh changes
+  this.Cancel = function () {
+    latest = null;
+  };
+
+  /**
+   * mesh:    { positions, indices } to measure
+   * options: as for CreateSurfaceData, the surface the mesh approximates
+   * formula: spec of a formula surface, re-registered in the worker
+   */
+  this.Request = function (mesh, uSeg, vSeg, options, formula) {
+    latest = {
+      id: nextId++,
+      type: "deviation",
+      mesh: { positions: mesh.positions, indices: mesh.indices },
+      uSeg: uSeg,
+      vSeg: vSeg,
+      options: options,
+      formula: formula,
+    };
+    if (worker) {
+      worker.postMessage(latest);
+    } else {
+      measureHere(latest);
+    }
+  };
+}
+
+/*======================  SURFACE CONTROLS  ======================*/
+
+/**
+ * Fill the surface dropdown from the registry and build one slider per
+ * parameter of the selected surface. onChange runs on every edit.
+ *
+ * Returns { getSurfaceId(), getParams() }
+ */
+function initSurfaceControls(select, paramsHolder, onChange) {
+  let sliders = {};
+
+  listSurfaces().forEach(function (def) {
+    const option = document.createElement("option");
+    option.value = def.id;
+    option.textContent = def.name;
+    select.appendChild(option);
+  });
+  select.value = DEFAULT_SURFACE;
+
+  function buildSliders() {
+    const def = getSurface(select.value);
+    paramsHolder.innerHTML = "";
+    sliders = {};
+
+    Object.keys(def.params).forEach(function (key) {
+      const range = def.params[key];
+      const row = document.createElement("div");
+      const label = document.createElement("label");
+      const slider = document.createElement("input");
+      const value = document.createElement("span");
+
+      label.textContent = range.label + ":";
+      slider.type = "range";
+      slider.min = range.min;
+      slider.max = range.max;
+      slider.step = range.step;
+      slider.value = range.defaultValue;
+      value.textContent = range.defaultValue.toFixed(2);
+
+      slider.oninput = function () {
+        value.textContent = parseFloat(slider.value).toFixed(2);
+        onChange();
+      };
+
+      row.appendChild(label);
+      row.appendChild(slider);
+      row.appendChild(value);
+      paramsHolder.appendChild(row);
+      sliders[key] = slider;
+    });
+  }
+
+  select.onchange = function () {
+    buildSliders();
+    onChange();
+  };
+  buildSliders();
+
+  return {
+    getSurfaceId: function () {
+      return select.value;
+    },
+    getParams: function () {
+      let values = {};
+      for (const key in sliders) {
+        values[key] = parseFloat(sliders[key].value);
+      }
+      return resolveSurfaceParams(getSurface(select.value), values);
+    },
+  };
+}
+
+/*======================  FORMULA CONTROLS  ======================*/
+
+// Registry id of the user-entered surface
+const FORMULA_SURFACE = "custom";
+
+/**
+ * Hook up the custom formula panel: Apply (re)registers the formula
+ * surface and selects it in the surface dropdown; errors are shown
+ * next to the button and leave the current surface untouched.
+ */
+function initFormulaControls(select) {
+  const inputIds = {
+    x: "formulaX",
+    y: "formulaY",
+    z: "formulaZ",
+    uMin: "formulaUMin",
+    uMax: "formulaUMax",
+    vMin: "formulaVMin",
+    vMax: "formulaVMax",
+  };
+  const errorLabel = document.getElementById("formulaError");
+
+  document.getElementById("formulaApply").onclick = function () {
+    let spec = {};
+    Object.keys(inputIds).forEach(function (name) {
+      spec[name] = document.getElementById(inputIds[name]).value;
+    });
+
+    let def;
+    try {
+      def = registerFormulaSurface(FORMULA_SURFACE, spec);
+    } catch (e) {
+      if (!(e instanceof ExpressionError)) throw e;
+      errorLabel.textContent = e.message;
+      return;
+    }
+    errorLabel.textContent = "";
+
+    if (!select.querySelector('option[value="' + FORMULA_SURFACE + '"]')) {
+      const option = document.createElement("option");
+      option.value = FORMULA_SURFACE;
+      option.textContent = def.name;
+      select.appendChild(option);
+    }
+    select.value = FORMULA_SURFACE;
+    select.onchange();
+  };
+}
+
+/*======================  CURVATURE VIEW  ======================*/
+
+// uDebugMode values showing curvature, and the component they show
+const DEBUG_GAUSSIAN_CURVATURE = 4;
+const DEBUG_MEAN_CURVATURE = 5;
+
+/**
+ * Colour ramps of the curvature debug modes, in uColorRamp order.
+ * color(x) must match colorRamp() in shader.gpu; x in [-1, 1].
+ */
+const CURVATURE_RAMPS = [
+  {
+    name: "Diverging",
+    color: function (x) {
+      const w = Math.abs(x);
+      const end = x < 0 ? [0.0, 0.25, 1.0] : [1.0, 0.1, 0.0];
+      return end.map(function (c) {
+        return 1.0 + (c - 1.0) * w;
+      });
+    },
+  },
+  {
+    name: "Rainbow",
+    color: function (x) {
+      const t = 0.5 * (x + 1.0);
+      return [3, 2, 1].map(function (k) {
+        return Math.min(Math.max(1.5 - Math.abs(4 * t - k), 0.0), 1.0);
+      });
+    },
+  },
+  {
+    name: "Grayscale",
+    color: function (x) {
+      const t = 0.5 * (x + 1.0);
+      return [t, t, t];
+    },
+  },
+];
+
+/**
+ * Automatic ramp range: the 95th percentile of |curvature| over the
+ * vertices, so the unbounded values at the tips do not wash out the
+ * rest of the surface. component: 0 = Gaussian, 1 = mean.
+ */
+function curvatureRange(curvatures, component) {
+  let values = [];
+  for (let k = component; k < curvatures.length; k += 2) {
+    if (Number.isFinite(curvatures[k])) values.push(Math.abs(curvatures[k]));
+  }
+  if (!values.length) return 1.0;
+  values.sort(function (a, b) {
+    return a - b;
+  });
+  const range = values[Math.floor(0.95 * (values.length - 1))];
+  return range > 1e-6 ? range : 1.0;
+}
+
+// Paint the ramp into the legend canvas and label its ends
+function drawCurvatureLegend(canvas, labels, ramp, range) {
+  const context = canvas.getContext("2d");
+  for (let px = 0; px < canvas.width; px++) {
+    const rgb = ramp.color((2 * px) / (canvas.width - 1) - 1);
+    context.fillStyle =
+      "rgb(" +
+      rgb
+        .map(function (c) {
+          return Math.round(255 * c);
+        })
+        .join(",") +
+      ")";
+    context.fillRect(px, 0, 1, canvas.height);
+  }
+  labels.min.textContent = (-range).toPrecision(3);
+  labels.max.textContent = "+" + range.toPrecision(3);
+}
+
+/*======================  LINE OVERLAY CONTROLS  ======================*/
+
+// "#rrggbb" from an <input type="color"> -> [r, g, b] in [0, 1]
+function hexToColor(hex) {
+  return [1, 3, 5].map(function (k) {
+    return parseInt(hex.slice(k, k + 2), 16) / 255;
+  });
+}
+
+/*======================  IMPORT CONTROLS  ======================*/
+
+/**
+ * Load a mesh file picked in the file input or dropped on the canvas.
+ * onImport(fileName, mesh) gets the parsed mesh (see importers.js);
+ * parse errors are shown in errorLabel.
+ */
+function initImportControls(input, canvas, errorLabel, onImport) {
+  function load(file) {
+    const reader = new FileReader();
+    reader.onload = function () {
+      let mesh;
+      try {
+        mesh = importMeshFile(file.name, reader.result);
+      } catch (e) {
+        errorLabel.textContent = e.message;
+        return;
+      }
+      errorLabel.textContent = "";
+      onImport(file.name, mesh);
+    };
+    reader.onerror = function () {
+      errorLabel.textContent = "Could not read '" + file.name + "'.";
+    };
+    reader.readAsArrayBuffer(file);
+  }
+
+  input.accept = MESH_IMPORT_EXTENSIONS.join(",");
+  input.onchange = function () {
+    if (input.files.length) load(input.files[0]);
+    input.value = ""; // picking the same file again reloads it
+  };
+
+  canvas.addEventListener("dragover", function (event) {
+    event.preventDefault(); // allow dropping
+  });
+  canvas.addEventListener("drop", function (event) {
+    event.preventDefault();
+    if (event.dataTransfer.files.length) load(event.dataTransfer.files[0]);
+  });
+}
+
+/*======================  EXPORT CONTROLS  ======================*/
+
+// Milliseconds an export's object URL outlives the click on its link
+const DOWNLOAD_REVOKE_DELAY = 10000;
+
+// Save string or ArrayBuffer data as a file through a temporary link
+function downloadFile(file) {
+  const blob = new Blob([file.data], { type: file.type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = file.name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Some browsers start the download asynchronously: keep the URL alive
+  // until they have had a chance to read it
+  setTimeout(function () {
+    URL.revokeObjectURL(url);
+  }, DOWNLOAD_REVOKE_DELAY);
+}
+
+/**
+ * Fill the export format dropdown from MESH_EXPORT_FORMATS; the button
+ * serialises the mesh currently on screen, as returned by exportedMesh(),
+ * and downloads its file(s).
+ */
+function initExportControls(select, button, exportedMesh) {
+  Object.keys(MESH_EXPORT_FORMATS).forEach(function (format) {
+    const option = document.createElement("option");
+    option.value = format;
+    option.textContent = MESH_EXPORT_FORMATS[format].label;
+    select.appendChild(option);
+  });
+
+  button.onclick = function () {
+    if (!currentMesh) return;
+    exportMesh(select.value, exportedMesh(), {
+      name: surface.name,
+      twoSided: surface.twoSided,
+    }).forEach(downloadFile);
+  };
+}
+
+/*======================  ZOOM  ======================*/
+
+// Range of cameraDistance
+const ZOOM_MIN_DISTANCE = 4;
+const ZOOM_MAX_DISTANCE = 60;
+
+/**
+ * Camera distance from the slider and the mouse wheel over the canvas
+ * (each notch moves 10 %). onChange runs after every change.
+ */
+function initZoomControls(canvas, slider, label, onChange) {
+  function setDistance(distance) {
+    cameraDistance = Math.min(
+      Math.max(distance, ZOOM_MIN_DISTANCE),
+      ZOOM_MAX_DISTANCE
+    );
+    slider.value = cameraDistance;
+    label.textContent = cameraDistance.toFixed(1);
+    onChange();
+  }
+
+  slider.min = ZOOM_MIN_DISTANCE;
+  slider.max = ZOOM_MAX_DISTANCE;
+  slider.oninput = function () {
+    setDistance(parseFloat(slider.value));
+  };
+  canvas.addEventListener(
+    "wheel",
+    function (event) {
+      event.preventDefault();
+      setDistance(cameraDistance * (event.deltaY > 0 ? 1.1 : 1 / 1.1));
+    },
+    { passive: false }
+  );
+  setDistance(cameraDistance);
+}
+
+/*======================  LEVEL OF DETAIL  ======================*/
+
+// Tessellation mode with precomputed levels (see CreateSurfaceLODs)
+const LOD_TESSELLATION = "lod";
+
+// Bounding sphere (around the box centre) of flat positions
+function meshBoundingSphere(positions) {
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  for (let k = 0; k < positions.length; k += 3) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], positions[k + c]);
+      max[c] = Math.max(max[c], positions[k + c]);
+    }
+  }
+  const center = [0, 1, 2].map(function (c) {
+    return 0.5 * (min[c] + max[c]);
+  });
+  let radius = 0.0;
+  for (let k = 0; k < positions.length; k += 3) {
+    radius = Math.max(
+      radius,
+      Math.hypot(
+        positions[k] - center[0],
+        positions[k + 1] - center[1],
+        positions[k + 2] - center[2]
+      )
+    );
+  }
+  return { center: center, radius: radius };
+}
+
+/**
+ * Level and geomorph weight for the current view. The bounding sphere
+ * is projected to a radius in pixels; the visible half of it shared by
+ * a level's triangles gives their typical edge length. The finest level
+ * whose edges are not shorter than lod.targetPixels is drawn, morphing
+ * towards the next coarser one as its edges approach that length, so
+ * that the switch happens when both look the same.
+ *
+ * lod: { sphere, triangles: per level, finest first, targetPixels }
+ *
+ * Returns { level, morph, pixelRadius }
+ */
+function selectSurfaceLOD(lod, modelView, projection, viewportHeight) {
+  const eye = transformPoint(modelView, lod.sphere.center);
+  const depth = Math.max(-eye[2], 1e-3);
+  const pixelRadius =
+    (lod.sphere.radius * projection[5] * 0.5 * viewportHeight) / depth;
+
+  const edges = lod.triangles.map(function (count) {
+    return Math.sqrt((2 * Math.PI * pixelRadius * pixelRadius) / count);
+  });
+  const target = lod.targetPixels;
+  const last = edges.length - 1;
+
+  let level = 0;
+  while (level < last && edges[level + 1] <= target) level++;
+  let morph = 0.0;
+  if (level < last && edges[level] < target) {
+    morph =
+      Math.log(target / edges[level]) /
+      Math.log(edges[level + 1] / edges[level]);
+    morph = Math.min(Math.max(morph, 0.0), 1.0);
+  }
+  return { level: level, morph: morph, pixelRadius: pixelRadius };
+}
+
+/*======================  DISPLACEMENT  ======================*/
+
+// Displacement by the height map: baked into the mesh by the worker
+// (see displaceSurfaceMesh) or done in the vertex shader (uDisplacement)
+const DISPLACEMENT_OFF = "off";
+const DISPLACEMENT_MESH = "mesh";
+const DISPLACEMENT_VERTEX_SHADER = "shader";
+
+// Vertex texture fetch is optional in WebGL 1; the shader's displaced
+// normals also need the derivatives extension
+function supportsVertexDisplacement() {
+  return (
+    gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) > 0 &&
+    !!gl.getExtension("OES_standard_derivatives")
+  );
+}
+
+/*======================  PARALLAX  ======================*/
+
+// Relief modes of the fragment shader (uParallaxMode): the normal map
+// alone, parallax mapping with offset limiting, or steep parallax
+// occlusion mapping, all from the height map
+const PARALLAX_NONE = 0;
+const PARALLAX_OFFSET = 1;
+const PARALLAX_OCCLUSION = 2;
+
+// Ray-march steps the shader takes (MAX_PARALLAX_LAYERS in shader.gpu)
+const MAX_PARALLAX_LAYERS = 64;
+
+/*======================  CLIP PLANES  ======================*/
+
+/**
+ * One row per clip plane (checkbox, model-space normal, offset) in
+ * holder. Planes live in model space, so they turn with the trackball.
+ * onChange runs on every edit.
+ *
+ * Returns { getPlanes() } – the enabled planes as { normal (unit),
+ * offset }; the kept side is dot(normal, P) <= offset
+ */
+function initClipPlaneControls(holder, count, onChange) {
+  const axes = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+  ];
+  let rows = [];
+
+  for (let k = 0; k < count; k++) {
+    const row = document.createElement("div");
+    const checkbox = document.createElement("input");
+    const label = document.createElement("label");
+    const offset = document.createElement("input");
+    const offsetValue = document.createElement("span");
+
+    checkbox.type = "checkbox";
+    checkbox.id = "clipPlane" + k;
+    label.htmlFor = checkbox.id;
+    label.textContent = "Clip plane " + (k + 1) + ":";
+    const normal = axes[k % 3].map(function (c) {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "0.1";
+      input.value = c;
+      input.className = "clipNormal";
+      return input;
+    });
+    offset.type = "range";
+    offset.min = -2;
+    offset.max = 2;
+    offset.step = 0.01;
+    offset.value = 0;
+    offsetValue.textContent = "0.00";
+
+    [checkbox, offset].concat(normal).forEach(function (input) {
+      input.oninput = function () {
+        offsetValue.textContent = parseFloat(offset.value).toFixed(2);
+        onChange();
+      };
+    });
+
+    row.append.apply(
+      row,
+      [checkbox, label].concat(normal, [offset, offsetValue])
+    );
+    holder.appendChild(row);
+    rows.push({ checkbox: checkbox, normal: normal, offset: offset });
+  }
+
+  return {
+    getPlanes: function () {
+      let planes = [];
+      rows.forEach(function (row) {
+        const normal = row.normal.map(function (input) {
+          return parseFloat(input.value) || 0;
+        });
+        if (row.checkbox.checked && Math.hypot.apply(null, normal) > 0) {
+          planes.push(normalizePlane(normal, parseFloat(row.offset.value)));
+        }
+      });
+      return planes;
+    },
+  };
+}
+
+// Upload planes ({ normal, offset }, at most MAX_CLIP_PLANES)
+function setClipPlanes(planes) {
+  let data = new Float32Array(4 * MAX_CLIP_PLANES);
+  planes.forEach(function (plane, k) {
+    data.set(plane.normal.concat([plane.offset]), 4 * k);
+  });
+  gl.uniform4fv(shProgram.iClipPlanes, data);
+  gl.uniform1i(shProgram.iClipPlaneCount, planes.length);
+  surface.clipped = planes.length > 0;
+}
+
+/*======================  SLICE CONTROLS  ======================*/
+
+/**
+ * Cross-section plane inputs: a checkbox, the normal components, the
+ * offset and the clip checkbox; the export buttons download the
+ * contours from getContours(). onChange runs on every edit.
+ *
+ * Returns { getPlane(), clips() } – getPlane gives { normal (unit),
+ * offset }, or null when slicing is off or the normal is zero
+ */
+function initSliceControls(onChange, getContours) {
+  const checkbox = document.getElementById("showSlice");
+  const clipCheckbox = document.getElementById("sliceClip");
+  const normalInputs = ["sliceNX", "sliceNY", "sliceNZ"].map(function (id) {
+    return document.getElementById(id);
+  });
+  const offsetSlider = document.getElementById("sliceOffset");
+  const offsetValue = document.getElementById("sliceOffsetVal");
+
+  function getPlane() {
+    const normal = normalInputs.map(function (input) {
+      return parseFloat(input.value) || 0;
+    });
+    if (!checkbox.checked || !(Math.hypot.apply(null, normal) > 0)) {
+      return null;
+    }
+    return normalizePlane(normal, parseFloat(offsetSlider.value));
+  }
+
+  [checkbox, clipCheckbox, offsetSlider]
+    .concat(normalInputs)
+    .forEach(function (input) {
+      input.oninput = function () {
+        offsetValue.textContent = parseFloat(offsetSlider.value).toFixed(2);
+        onChange();
+      };
+    });
+
+  function exportContours(extension, type, write) {
+    const plane = getPlane();
+    const contours = getContours();
+    if (!plane || !contours) return;
+    downloadFile({
+      name: surface.name + "-section." + extension,
+      data: write(contours, plane),
+      type: type,
+    });
+  }
+  document.getElementById("sliceExportSVG").onclick = function () {
+    exportContours("svg", "image/svg+xml", exportContourSVG);
+  };
+  document.getElementById("sliceExportCSV").onclick = function () {
+    exportContours("csv", "text/csv", exportContourCSV);
+  };
+
+  return {
+    getPlane: getPlane,
+    clips: function () {
+      return clipCheckbox.checked && getPlane() !== null;
+    },
+  };
+}
+
 /*======================  INIT  ======================*/
 
 function init() {
@@ -513,7 +1566,14 @@ function init() {
     return;
   }
 
-  spaceball = new TrackballRotator(canvas, draw, 0);
+  // Screen-error tessellation depends on the view: refine again on drag
+  function onViewChange() {
+    draw();
+    if (tessellationSelect.value === ADAPTIVE_SCREEN) {
+      updateSurfaceFromSliders();
+    }
+  }
+  spaceball = new TrackballRotator(canvas, onViewChange, 0);
 
   // Sliders from PA#2
   const uSlider = document.getElementById("uResolution");
@@ -523,6 +1583,60 @@ function init() {
   const debugSelect = document.getElementById("debugMode");
   const texScaleSlider = document.getElementById("texScale");
   const texScaleVal = document.getElementById("texScaleVal");
+  const uvMappingSelect = document.getElementById("uvMapping");
+
+  const normalModeSelect = document.getElementById("normalMode");
+  const tessellationSelect = document.getElementById("tessellation");
+  const maxAngleSlider = document.getElementById("adaptiveAngle");
+  const maxAngleVal = document.getElementById("adaptiveAngleVal");
+  const maxPixelSlider = document.getElementById("adaptivePixels");
+  const maxPixelVal = document.getElementById("adaptivePixelsVal");
+  const maxDepthSlider = document.getElementById("adaptiveDepth");
+  const maxDepthVal = document.getElementById("adaptiveDepthVal");
+  const tessellationStats = document.getElementById("tessellationStats");
+  const lodLevelsSlider = document.getElementById("lodLevels");
+  const lodLevelsVal = document.getElementById("lodLevelsVal");
+  const lodPixelsSlider = document.getElementById("lodPixels");
+  const lodPixelsVal = document.getElementById("lodPixelsVal");
+  const lodStats = document.getElementById("lodStats");
+  const smoothAngleSlider = document.getElementById("smoothAngle");
+  const smoothAngleVal = document.getElementById("smoothAngleVal");
+  const displacementSelect = document.getElementById("displacementMode");
+  const amplitudeSlider = document.getElementById("displacementAmplitude");
+  const amplitudeVal = document.getElementById("displacementAmplitudeVal");
+  const surfaceControls = initSurfaceControls(
+    document.getElementById("surfaceSelect"),
+    document.getElementById("surfaceParams"),
+    updateSurfaceFromSliders
+  );
+  initFormulaControls(document.getElementById("surfaceSelect"));
+  initExportControls(
+    document.getElementById("exportFormat"),
+    document.getElementById("exportButton"),
+    exportedMesh
+  );
+
+  // The vertex shader displaces only what is drawn: bake the same
+  // displacement into the exported file
+  function exportedMesh() {
+    const amplitude = parseFloat(amplitudeSlider.value);
+    if (
+      displacementSelect.value !== DISPLACEMENT_VERTEX_SHADER ||
+      amplitude === 0.0 ||
+      !heightMap
+    ) {
+      return currentMesh;
+    }
+    return displaceSurfaceMesh(
+      currentMesh,
+      {
+        map: heightMap,
+        amplitude: amplitude,
+        scale: parseFloat(texScaleSlider.value),
+      },
+      parseFloat(smoothAngleSlider.value)
+    );
+  }
 
   function updateSurfaceFromSliders() {
     const uSeg = parseInt(uSlider.value);
@@ -531,38 +1645,759 @@ function init() {
     uVal.textContent = uSeg.toString();
     vVal.textContent = vSeg.toString();
 
-    const data = CreateSurfaceData(uSeg, vSeg);
-    surface.BufferData(
-      data.positions,
-      data.normals,
-      data.tangents,
-      data.texCoords,
-      data.indices
+    const smoothAngle = parseFloat(smoothAngleSlider.value);
+    smoothAngleVal.textContent = smoothAngle.toString();
+
+    const maxAngle = parseFloat(maxAngleSlider.value);
+    const maxPixelError = parseFloat(maxPixelSlider.value);
+    const maxDepth = parseInt(maxDepthSlider.value, 10);
+    maxAngleVal.textContent = maxAngle.toString();
+    maxPixelVal.textContent = maxPixelError.toString();
+    maxDepthVal.textContent = maxDepth.toString();
+
+    const lodLevels = parseInt(lodLevelsSlider.value, 10);
+    lodLevelsVal.textContent = lodLevels.toString();
+
+    // The U/V grid is the starting triangulation of the adaptive modes
+    // and the finest of the LOD levels
+    const mode = tessellationSelect.value;
+    let adaptive = null;
+    if (mode === ADAPTIVE_CURVATURE || mode === ADAPTIVE_SCREEN) {
+      adaptive = {
+        criterion: tessellationSelect.value,
+        maxAngle: deg2rad(maxAngle),
+        maxPixelError: maxPixelError,
+        maxDepth: maxDepth,
+      };
+      if (adaptive.criterion === ADAPTIVE_SCREEN) {
+        adaptive.modelView = Array.from(computeModelView());
+        adaptive.projection = Array.from(computeProjection());
+        adaptive.viewportHeight = canvas.height;
+      }
+    }
+
+    // Baked displacement tiles like the shader's maps (uTexScale)
+    let displacement = null;
+    if (displacementSelect.value === DISPLACEMENT_MESH && heightMap) {
+      displacement = {
+        map: heightMap,
+        amplitude: parseFloat(amplitudeSlider.value),
+        scale: parseFloat(texScaleSlider.value),
+      };
+    }
+
+    // Built in the mesh worker; the current mesh stays until it arrives
+    const surfaceId = surfaceControls.getSurfaceId();
+    meshBuilder.Request(
+      uSeg,
+      vSeg,
+      {
+        surface: surfaceId,
+        params: surfaceControls.getParams(),
+        normalMode: normalModeSelect.value,
+        smoothAngle: smoothAngle,
+        adaptive: adaptive,
+        lod: mode === LOD_TESSELLATION ? { levels: lodLevels } : null,
+        displacement: displacement,
+        uvMapping: uvMappingSelect.value,
+      },
+      getSurface(surfaceId).formula
+    );
+  }
+
+  const rampSelect = document.getElementById("curvatureRamp");
+  const rangeInput = document.getElementById("curvatureRange");
+  const autoRangeCheckbox = document.getElementById("curvatureAuto");
+  const legend = document.getElementById("curvatureLegend");
+  const legendCanvas = document.getElementById("curvatureLegendRamp");
+  const legendLabels = {
+    min: document.getElementById("curvatureLegendMin"),
+    max: document.getElementById("curvatureLegendMax"),
+  };
+
+  CURVATURE_RAMPS.forEach(function (ramp, index) {
+    const option = document.createElement("option");
+    option.value = index;
+    option.textContent = ramp.name;
+    rampSelect.appendChild(option);
+  });
+
+  // Range, ramp and legend of the curvature debug modes
+  function updateCurvatureView() {
+    const mode = parseInt(debugSelect.value, 10) || 0;
+    const showsCurvature =
+      mode === DEBUG_GAUSSIAN_CURVATURE || mode === DEBUG_MEAN_CURVATURE;
+    legend.style.display = showsCurvature ? "" : "none";
+    rangeInput.disabled = autoRangeCheckbox.checked;
+    if (!showsCurvature) return;
+
+    if (autoRangeCheckbox.checked && currentMesh) {
+      const component = mode === DEBUG_GAUSSIAN_CURVATURE ? 0 : 1;
+      rangeInput.value = curvatureRange(
+        currentMesh.curvatures,
+        component
+      ).toPrecision(3);
+    }
+    const range = parseFloat(rangeInput.value) || 1.0;
+    const rampIndex = parseInt(rampSelect.value, 10) || 0;
+
+    gl.uniform1f(shProgram.iCurvatureRange, range);
+    gl.uniform1i(shProgram.iColorRamp, rampIndex);
+    drawCurvatureLegend(
+      legendCanvas,
+      legendLabels,
+      CURVATURE_RAMPS[rampIndex],
+      range
+    );
+  }
+
+  const directionsCheckbox = document.getElementById("showDirections");
+  const directionsSelect = document.getElementById("directionWhich");
+  const glyphDensitySlider = document.getElementById("glyphDensity");
+  const glyphDensityVal = document.getElementById("glyphDensityVal");
+  const isoLinesCheckbox = document.getElementById("showIsoLines");
+  const isoUSlider = document.getElementById("isoULines");
+  const isoVSlider = document.getElementById("isoVLines");
+  const isoUVal = document.getElementById("isoULinesVal");
+  const isoVVal = document.getElementById("isoVLinesVal");
+  const uLineColorInput = document.getElementById("uLineColor");
+  const vLineColorInput = document.getElementById("vLineColor");
+  let surfaceOptions = null; // options of the shown surface, null if imported
+
+  // U/V line overlay of the shown surface (none for imports)
+  function updateIsoLines() {
+    const overlay = lineOverlays.isoparametricLines;
+    const uCount = parseInt(isoUSlider.value, 10);
+    const vCount = parseInt(isoVSlider.value, 10);
+    isoUVal.textContent = uCount.toString();
+    isoVVal.textContent = vCount.toString();
+    overlay.visible = isoLinesCheckbox.checked && surfaceOptions !== null;
+    if (!overlay.visible) return;
+
+    const lines = CreateIsoparametricLines(uCount, vCount, {
+      surface: surfaceOptions.surface,
+      params: surfaceOptions.params,
+      uColor: hexToColor(uLineColorInput.value),
+      vColor: hexToColor(vLineColorInput.value),
+    });
+    overlay.model.BufferData(
+      { vertex: lines.positions, color: lines.colors },
+      lines.indices
+    );
+  }
+
+  // Principal direction glyphs of the shown surface (none for imports)
+  function updateDirectionGlyphs() {
+    const overlay = lineOverlays.principalDirections;
+    const density = parseInt(glyphDensitySlider.value, 10);
+    glyphDensityVal.textContent = density.toString();
+    overlay.visible = directionsCheckbox.checked && surfaceOptions !== null;
+    if (!overlay.visible) return;
+
+    const glyphs = CreatePrincipalDirectionGlyphs(density, {
+      surface: surfaceOptions.surface,
+      params: surfaceOptions.params,
+      which: directionsSelect.value,
+    });
+    overlay.model.BufferData(
+      { vertex: glyphs.positions, color: glyphs.colors },
+      glyphs.indices
+    );
+  }
+
+  const framesCheckbox = document.getElementById("showFrames");
+  const frameModeSelect = document.getElementById("frameMode");
+  const frameLengthSlider = document.getElementById("frameLength");
+  const frameLengthVal = document.getElementById("frameLengthVal");
+  const frameStrideSlider = document.getElementById("frameStride");
+  const frameStrideVal = document.getElementById("frameStrideVal");
+
+  // TBN segments of the shown mesh, generated or imported
+  function updateTangentFrames() {
+    const overlay = lineOverlays.tangentFrames;
+    const length = parseFloat(frameLengthSlider.value);
+    const stride = parseInt(frameStrideSlider.value, 10);
+    frameLengthVal.textContent = length.toString();
+    frameStrideVal.textContent = stride.toString();
+    overlay.visible = framesCheckbox.checked && currentMesh !== null;
+    if (!overlay.visible) return;
+
+    const glyphs = CreateTBNGlyphs(currentMesh, {
+      length: length,
+      stride: stride,
+      orthogonal: frameModeSelect.value === "orthogonal",
+    });
+    overlay.model.BufferData(
+      { vertex: glyphs.positions, color: glyphs.colors },
+      glyphs.indices
+    );
+  }
+
+  const measurementCells = {
+    triangles: document.getElementById("measureTriangles"),
+    exactArea: document.getElementById("measureExactArea"),
+    meshArea: document.getElementById("measureMeshArea"),
+    areaError: document.getElementById("measureAreaError"),
+    exactVolume: document.getElementById("measureExactVolume"),
+    meshVolume: document.getElementById("measureMeshVolume"),
+    volumeError: document.getElementById("measureVolumeError"),
+    bounds: document.getElementById("measureBounds"),
+  };
+  let exactMeasures = null; // { key, area, volume } of the shown surface
+
+  // Mesh measurements against the integrated surface (none for imports)
+  function updateMeasurements(twoSided) {
+    const mesh = measureMesh(currentMesh.positions, currentMesh.indices);
+    let exact = null;
+    if (surfaceOptions !== null) {
+      // The quadrature does not depend on the U/V resolution
+      const key = JSON.stringify([
+        surfaceOptions.surface,
+        surfaceOptions.params,
+      ]);
+      if (!exactMeasures || exactMeasures.key !== key) {
+        const surfaceDef = getSurface(surfaceOptions.surface);
+        exactMeasures = surfaceMeasures(
+          surfaceDef,
+          resolveSurfaceParams(surfaceDef, surfaceOptions.params)
+        );
+        exactMeasures.key = key;
+      }
+      exact = exactMeasures;
+    }
+
+    const format = function (value) {
+      return value.toPrecision(6);
+    };
+    const relativeError = function (approx, reference) {
+      return (
+        ((100 * (approx - reference)) / Math.abs(reference)).toPrecision(3) +
+        " %"
+      );
+    };
+    const cells = measurementCells;
+    cells.triangles.textContent = mesh.triangles.toString();
+    cells.meshArea.textContent = format(mesh.area);
+    cells.exactArea.textContent = exact ? format(exact.area) : "–";
+    cells.areaError.textContent = exact
+      ? relativeError(mesh.area, exact.area)
+      : "–";
+    // Open and non-orientable surfaces enclose no volume
+    cells.meshVolume.textContent = twoSided ? "–" : format(mesh.volume);
+    cells.exactVolume.textContent =
+      exact && !twoSided ? format(exact.volume) : "–";
+    cells.volumeError.textContent =
+      exact && !twoSided ? relativeError(mesh.volume, exact.volume) : "–";
+    cells.bounds.textContent = [0, 1, 2]
+      .map(function (k) {
+        return (
+          "xyz"[k] +
+          " [" +
+          mesh.min[k].toFixed(3) +
+          ", " +
+          mesh.max[k].toFixed(3) +
+          "]"
+        );
+      })
+      .join("  ");
+  }
+
+  let sliceContours = null; // contours of the shown surface, for export
+
+  // User clip planes, plus the cross-section plane when it clips
+  function updateClipPlanes() {
+    let planes = clipControls.getPlanes();
+    if (sliceControls.clips()) planes.push(sliceControls.getPlane());
+    setClipPlanes(planes);
+  }
+
+  // Cross-section: contour overlay (none for imports) and clipping
+  function updateSlice() {
+    const overlay = lineOverlays.sliceContours;
+    const plane = sliceControls.getPlane();
+    updateClipPlanes();
+
+    sliceContours = null;
+    overlay.visible = plane !== null && surfaceOptions !== null;
+    if (!overlay.visible) return;
+
+    const surfaceDef = getSurface(surfaceOptions.surface);
+    sliceContours = surfaceSliceContours(
+      surfaceDef,
+      resolveSurfaceParams(surfaceDef, surfaceOptions.params),
+      plane.normal,
+      plane.offset
     );
+    const lines = CreatePolylineSegments(
+      sliceContours.map(function (contour) {
+        return contour.points;
+      }),
+      SLICE_CONTOUR_COLOR
+    );
+    overlay.model.BufferData(
+      { vertex: lines.positions, color: lines.colors },
+      lines.indices
+    );
+  }
+
+  const clipControls = initClipPlaneControls(
+    document.getElementById("clipPlanes"),
+    MAX_CLIP_PLANES - 1,
+    function () {
+      updateClipPlanes();
+      draw();
+    }
+  );
+  const backFaceColorInput = document.getElementById("backFaceColor");
+  backFaceColorInput.oninput = function () {
+    gl.uniform3fv(
+      shProgram.iBackFaceColor,
+      new Float32Array(hexToColor(backFaceColorInput.value))
+    );
+    draw();
+  };
+
+  const sliceControls = initSliceControls(
+    function () {
+      updateSlice();
+      draw();
+    },
+    function () {
+      return sliceContours;
+    }
+  );
+
+  // Triangle counts of the adaptive mesh against its starting grid
+  function updateTessellationStats() {
+    const triangles = currentMesh.indices.length / 3;
+    const stats = currentMesh.stats;
+    tessellationStats.textContent = stats
+      ? triangles +
+        " triangles, uniform grid " +
+        stats.uniformTriangles +
+        ", depth " +
+        stats.depth
+      : triangles + " triangles";
+  }
+
+  const operatorSelect = document.getElementById("meshOperator");
+  const stepsSlider = document.getElementById("subdivisionSteps");
+  const stepsVal = document.getElementById("subdivisionStepsVal");
+  const targetInput = document.getElementById("targetTriangles");
+  const processingError = document.getElementById("processingError");
+  const deviationCells = {
+    triangles: document.getElementById("deviationTriangles"),
+    hausdorff: document.getElementById("deviationHausdorff"),
+    mean: document.getElementById("deviationMean"),
+    gridTriangles: document.getElementById("gridTriangles"),
+    gridHausdorff: document.getElementById("gridHausdorff"),
+    gridMean: document.getElementById("gridMean"),
+  };
+  let generated = null; // { mesh, request } last built by meshBuilder
+
+  function formatDeviation(value) {
+    return value.toExponential(3);
+  }
+
+  // Measured in the mesh worker; the table fills in when it replies
+  const deviationMeter = new DeviationMeter(function (report) {
+    deviationCells.hausdorff.textContent = formatDeviation(
+      report.shown.hausdorff
+    );
+    deviationCells.mean.textContent = formatDeviation(report.shown.mean);
+    deviationCells.gridTriangles.textContent =
+      report.grid.triangles +
+      " (" +
+      report.grid.uSeg +
+      "×" +
+      report.grid.vSeg +
+      ")";
+    deviationCells.gridHausdorff.textContent = formatDeviation(
+      report.grid.deviation.hausdorff
+    );
+    deviationCells.gridMean.textContent = formatDeviation(
+      report.grid.deviation.mean
+    );
+  });
+
+  // Empty the deviation table (the shown mesh changed)
+  function clearDeviation() {
+    deviationMeter.Cancel();
+    for (const key in deviationCells) deviationCells[key].textContent = "–";
+  }
+
+  // Hausdorff deviation of the shown mesh from its surface, against the
+  // uniform grid of about as many triangles (none for imports)
+  function updateDeviation() {
+    clearDeviation();
+    deviationCells.triangles.textContent = (
+      currentMesh.indices.length / 3
+    ).toString();
+    if (surfaceOptions === null) return;
+
+    // Same U:V ratio as the sliders for the grid
+    deviationMeter.Request(
+      currentMesh,
+      parseInt(uSlider.value, 10),
+      parseInt(vSlider.value, 10),
+      surfaceOptions,
+      getSurface(surfaceOptions.surface).formula
+    );
+  }
+
+  // Subdivide or decimate the shown mesh; the result is shown like an
+  // import until a surface control is touched
+  function applyOperator() {
+    if (!currentMesh) return;
+    processingError.textContent = "";
+    const operator = operatorSelect.value;
+    const smoothAngle = parseFloat(smoothAngleSlider.value);
+
+    // Catmull-Clark on a freshly generated uniform grid starts from quads
+    let source = currentMesh;
+    if (
+      operator === MESH_OP_CATMULL_CLARK &&
+      generated &&
+      generated.mesh === currentMesh &&
+      !generated.request.options.adaptive &&
+      !generated.request.options.displacement &&
+      isParametricMapping(generated.request.options.uvMapping)
+    ) {
+      source = CreateSurfaceQuads(
+        generated.request.uSeg,
+        generated.request.vSeg,
+        generated.request.options
+      );
+    }
+
+    let result;
+    try {
+      result = applyMeshOperator(operator, source, {
+        iterations: parseInt(stepsSlider.value, 10),
+        targetTriangles: parseInt(targetInput.value, 10),
+        sharpAngle: smoothAngle,
+      });
+    } catch (e) {
+      processingError.textContent = String(e.message || e);
+      return;
+    }
+    const data = completeImportedMesh(
+      {
+        positions: result.positions,
+        normals: null,
+        tangents: null,
+        texCoords: result.texCoords,
+        indices: result.indices,
+      },
+      smoothAngle
+    );
+    showMesh(data, surface.name, surface.twoSided);
+    updateDeviation();
+  }
 
+  // Upload a mesh as returned by CreateSurfaceData
+  function showMesh(data, name, twoSided) {
+    surface.name = name;
+    surface.twoSided = twoSided;
+    currentMesh = data;
+    uploadSurface();
+    updateLOD();
+
+    updateCurvatureView();
+    updateTangentFrames();
+    updateMeasurements(twoSided);
+    updateTessellationStats();
+    clearDeviation();
     draw();
   }
 
+  const wireframeCheckbox = document.getElementById("wireframe");
+  const wireWidthSlider = document.getElementById("wireWidth");
+  const wireWidthVal = document.getElementById("wireWidthVal");
+  const wireColorInput = document.getElementById("wireColor");
+
+  // Indexed buffers, or unindexed ones with barycentrics in wireframe
+  // mode; every LOD level with its geomorph targets
+  function uploadSurface() {
+    const levels = [currentMesh].concat(currentMesh.lods || []);
+    const morph = currentMesh.lods ? SURFACE_MORPH_ATTRIBUTES : [];
+    const buffers = levels.map(function (mesh) {
+      const attributes = {
+        vertex: mesh.positions,
+        normal: mesh.normals,
+        tangent: mesh.tangents,
+        texCoord: mesh.texCoords,
+        curvature: mesh.curvatures,
+        morphVertex: mesh.morphPositions,
+        morphNormal: mesh.morphNormals,
+      };
+      if (wireframeCheckbox.checked) {
+        return unindexMesh(
+          SURFACE_VERTEX_LAYOUT.concat(morph),
+          attributes,
+          mesh.indices
+        );
+      }
+      return { attributes: attributes, indices: mesh.indices };
+    });
+
+    surface.SetLayout(
+      (wireframeCheckbox.checked
+        ? SURFACE_WIREFRAME_LAYOUT
+        : SURFACE_VERTEX_LAYOUT
+      ).concat(morph)
+    );
+    if (currentMesh.lods) {
+      surface.BufferLevels(buffers);
+    } else {
+      surface.BufferData(buffers[0].attributes, buffers[0].indices);
+    }
+    gl.uniform1i(shProgram.iWireframe, wireframeCheckbox.checked ? 1 : 0);
+  }
+
+  let shownLOD = ""; // readout text, rewritten only when it changes
+
+  // Level selection of draw(), none unless the mesh has LOD levels
+  function updateLOD() {
+    const targetPixels = parseFloat(lodPixelsSlider.value);
+    lodPixelsVal.textContent = targetPixels.toString();
+    surfaceLOD = null;
+    lodStats.textContent = shownLOD = "";
+    if (!currentMesh || !currentMesh.lods) return;
+
+    const levels = [currentMesh].concat(currentMesh.lods);
+    surfaceLOD = {
+      sphere: meshBoundingSphere(currentMesh.positions),
+      triangles: levels.map(function (mesh) {
+        return mesh.indices.length / 3;
+      }),
+      targetPixels: targetPixels,
+      onSelect: function (choice) {
+        const mesh = levels[choice.level];
+        const text =
+          "LOD " +
+          choice.level +
+          " / " +
+          (levels.length - 1) +
+          " (" +
+          mesh.segments.join("×") +
+          "): " +
+          mesh.indices.length / 3 +
+          " triangles, morph " +
+          choice.morph.toFixed(2);
+        if (text !== shownLOD) lodStats.textContent = shownLOD = text;
+      },
+    };
+  }
+
+  function updateWireStyle() {
+    const width = parseFloat(wireWidthSlider.value);
+    wireWidthVal.textContent = width.toString();
+    gl.uniform1f(shProgram.iWireWidth, width);
+    gl.uniform3fv(
+      shProgram.iWireColor,
+      new Float32Array(hexToColor(wireColorInput.value))
+    );
+  }
+
+  // Amplitude of the vertex shader mode; the mesh mode rebuilds the
+  // surface (imports are left alone)
+  function updateDisplacement() {
+    const amplitude = parseFloat(amplitudeSlider.value);
+    amplitudeVal.textContent = amplitude.toString();
+    const mode = displacementSelect.value;
+    gl.uniform1f(
+      shProgram.iDisplacement,
+      mode === DISPLACEMENT_VERTEX_SHADER ? amplitude : 0.0
+    );
+    const baked = surfaceOptions !== null && !!surfaceOptions.displacement;
+    if (baked || (surfaceOptions !== null && mode === DISPLACEMENT_MESH)) {
+      updateSurfaceFromSliders();
+    } else {
+      draw();
+    }
+  }
+
+  const meshBuilder = new MeshBuilder(function (data, request) {
+    const surfaceId = request.options.surface;
+    surfaceOptions = request.options;
+    updateIsoLines();
+    updateDirectionGlyphs();
+    updateSlice();
+    generated = { mesh: data, request: request };
+    showMesh(data, surfaceId, getSurface(surfaceId).twoSided);
+  });
+
+  // Imported meshes stay until a surface control is touched
+  initImportControls(
+    document.getElementById("importFile"),
+    canvas,
+    document.getElementById("importError"),
+    function (fileName, imported) {
+      meshBuilder.Cancel();
+      surfaceOptions = null;
+      updateIsoLines();
+      updateDirectionGlyphs();
+      updateSlice();
+      const data = completeImportedMesh(
+        imported,
+        parseFloat(smoothAngleSlider.value)
+      );
+      showMesh(data, fileName.replace(/\.[^.]*$/, ""), imported.twoSided);
+    }
+  );
+
   uSlider.oninput = updateSurfaceFromSliders;
   vSlider.oninput = updateSurfaceFromSliders;
+  normalModeSelect.onchange = updateSurfaceFromSliders;
+  tessellationSelect.onchange = updateSurfaceFromSliders;
+  maxAngleSlider.oninput = updateSurfaceFromSliders;
+  maxPixelSlider.oninput = updateSurfaceFromSliders;
+  maxDepthSlider.oninput = updateSurfaceFromSliders;
+  smoothAngleSlider.oninput = updateSurfaceFromSliders;
+  lodLevelsSlider.oninput = updateSurfaceFromSliders;
+  lodPixelsSlider.oninput = function () {
+    updateLOD();
+    draw();
+  };
+  initZoomControls(
+    canvas,
+    document.getElementById("zoom"),
+    document.getElementById("zoomVal"),
+    onViewChange
+  );
   debugSelect.onchange = function () {
     const mode = parseInt(debugSelect.value, 10) || 0;
     gl.uniform1i(shProgram.iDebugMode, mode);
+    updateCurvatureView();
+    draw();
+  };
+  rampSelect.onchange = function () {
+    updateCurvatureView();
+    draw();
+  };
+  rangeInput.oninput = rampSelect.onchange;
+  autoRangeCheckbox.onchange = rampSelect.onchange;
+  wireframeCheckbox.onchange = function () {
+    if (currentMesh) uploadSurface();
+    draw();
+  };
+  wireWidthSlider.oninput = function () {
+    updateWireStyle();
+    draw();
+  };
+  wireColorInput.oninput = wireWidthSlider.oninput;
+  isoLinesCheckbox.onchange = function () {
+    updateIsoLines();
+    draw();
+  };
+  isoUSlider.oninput = isoLinesCheckbox.onchange;
+  isoVSlider.oninput = isoLinesCheckbox.onchange;
+  uLineColorInput.oninput = isoLinesCheckbox.onchange;
+  vLineColorInput.oninput = isoLinesCheckbox.onchange;
+  directionsCheckbox.onchange = function () {
+    updateDirectionGlyphs();
     draw();
   };
+  directionsSelect.onchange = directionsCheckbox.onchange;
+  glyphDensitySlider.oninput = directionsCheckbox.onchange;
+  stepsSlider.oninput = function () {
+    stepsVal.textContent = stepsSlider.value;
+  };
+  document.getElementById("applyOperator").onclick = applyOperator;
+  document.getElementById("measureDeviation").onclick = function () {
+    if (currentMesh) updateDeviation();
+  };
+  framesCheckbox.onchange = function () {
+    updateTangentFrames();
+    draw();
+  };
+  frameModeSelect.onchange = framesCheckbox.onchange;
+  frameLengthSlider.oninput = framesCheckbox.onchange;
+  frameStrideSlider.oninput = framesCheckbox.onchange;
 
   texScaleSlider.oninput = function () {
     const scale = parseFloat(texScaleSlider.value);
     texScaleVal.textContent = scale.toString();
     gl.uniform1f(shProgram.iTexScale, scale);
+    if (surfaceOptions !== null && surfaceOptions.displacement) {
+      updateSurfaceFromSliders();
+    }
     draw();
   };
 
+  if (!supportsVertexDisplacement()) {
+    const option = displacementSelect.querySelector(
+      'option[value="' + DISPLACEMENT_VERTEX_SHADER + '"]'
+    );
+    option.disabled = true;
+    option.textContent += " (not supported)";
+  }
+  displacementSelect.onchange = updateDisplacement;
+
+  // Triplanar projects in the shader; the mesh keeps its parametric UVs
+  // for displacement (and relief mapping is off)
+  uvMappingSelect.onchange = function () {
+    gl.uniform1i(
+      shProgram.iTriplanar,
+      uvMappingSelect.value === UV_TRIPLANAR ? 1 : 0
+    );
+    updateSurfaceFromSliders();
+    draw();
+  };
+
+  const parallaxSelect = document.getElementById("parallaxMode");
+  const parallaxScaleSlider = document.getElementById("parallaxScale");
+  const parallaxScaleVal = document.getElementById("parallaxScaleVal");
+  const parallaxLayersSlider = document.getElementById("parallaxLayers");
+  const parallaxLayersVal = document.getElementById("parallaxLayersVal");
+  const parallaxShadowCheckbox = document.getElementById("parallaxShadow");
+  parallaxLayersSlider.max = MAX_PARALLAX_LAYERS;
+  parallaxSelect.onchange = function () {
+    const mode = parseInt(parallaxSelect.value, 10) || PARALLAX_NONE;
+    const scale = parseFloat(parallaxScaleSlider.value);
+    const layers = parseInt(parallaxLayersSlider.value, 10);
+    parallaxScaleVal.textContent = scale.toString();
+    parallaxLayersVal.textContent = layers.toString();
+    // Layers only matter for the occlusion mode's ray march and shadows
+    parallaxLayersSlider.disabled = !(
+      mode === PARALLAX_OCCLUSION ||
+      (mode === PARALLAX_OFFSET && parallaxShadowCheckbox.checked)
+    );
+    parallaxShadowCheckbox.disabled = mode === PARALLAX_NONE;
+    gl.uniform1i(shProgram.iParallaxMode, mode);
+    gl.uniform1f(shProgram.iParallaxScale, scale);
+    gl.uniform1i(shProgram.iParallaxLayers, layers);
+    gl.uniform1i(
+      shProgram.iParallaxShadow,
+      parallaxShadowCheckbox.checked ? 1 : 0
+    );
+    draw();
+  };
+  parallaxScaleSlider.oninput = parallaxSelect.onchange;
+  parallaxLayersSlider.oninput = parallaxSelect.onchange;
+  parallaxShadowCheckbox.onchange = parallaxSelect.onchange;
+  amplitudeSlider.oninput = updateDisplacement;
+  loadHeightMap("./textures/height.png", function (map) {
+    heightMap = map;
+    if (displacementSelect.value === DISPLACEMENT_MESH) {
+      updateSurfaceFromSliders();
+    }
+  });
+
   updateSurfaceFromSliders();
 
   // Ensure debug uniform reflects initial selector value
   gl.uniform1i(shProgram.iDebugMode, parseInt(debugSelect.value, 10) || 0);
   gl.uniform1f(shProgram.iTexScale, parseFloat(texScaleSlider.value));
+  updateCurvatureView();
+  updateWireStyle();
+  backFaceColorInput.oninput();
+  parallaxSelect.onchange();
+  gl.uniform1i(
+    shProgram.iTriplanar,
+    uvMappingSelect.value === UV_TRIPLANAR ? 1 : 0
+  );
 
   requestAnimationFrame(animate);
 }
@@ -0,0 +1,39 @@
+"use strict";
+
+// Builds surface meshes and measures their deviation off the main thread.
+// Messages:
+//   in:  { id, uSeg, vSeg, options, formula? }
+//   out: { id, mesh } with typed arrays (transferred), or { id, error }
+//   in:  { id, type: "deviation", mesh, uSeg, vSeg, options, formula? }
+//   out: { id, report } (see surfaceDeviationReport), or { id, error }
+importScripts(
+  "./surfaces.js",
+  "./expression.js",
+  "./geometry.js",
+  "./meshops.js"
+);
+
+self.onmessage = function (event) {
+  const request = event.data;
+  try {
+    // The registry here is separate from the page's: re-register formulas
+    if (request.formula) {
+      registerFormulaSurface(request.options.surface, request.formula);
+    }
+    if (request.type === "deviation") {
+      const report = surfaceDeviationReport(
+        request.mesh,
+        request.options,
+        request.uSeg,
+        request.vSeg
+      );
+      self.postMessage({ id: request.id, report: report });
+      return;
+    }
+    const data = CreateSurfaceData(request.uSeg, request.vSeg, request.options);
+    const packed = toTransferableMesh(data);
+    self.postMessage({ id: request.id, mesh: packed.mesh }, packed.transfer);
+  } catch (e) {
+    self.postMessage({ id: request.id, error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,1220 @@
+"use strict";
+
+/*======================  MESH PROCESSING  ======================*/
+
+// Operators on a mesh from CreateSurfaceData or completeImportedMesh:
+// Loop and Catmull-Clark subdivision, quadric-error decimation, and the
+// Hausdorff deviation of a mesh from its analytic surface.
+// The operators read positions, texCoords and indices (or polygon faces)
+// and return { positions, texCoords, indices }; the caller completes the
+// normals, tangents and curvature (completeImportedMesh). Vertices at the
+// same position are treated as one (welded), so seams, poles and split
+// normals do not tear the result apart; texture coordinates stay per
+// face corner. Edges steeper than sharpAngle (degrees), boundaries and
+// non-manifold edges stay sharp, e.g. the humming-top crease.
+
+// Operators for applyMeshOperator
+const MESH_OP_LOOP = "loop";
+const MESH_OP_CATMULL_CLARK = "catmullClark";
+const MESH_OP_DECIMATE = "decimate";
+
+// Mesh -> surface samples of surfaceDeviation come from at most this many
+// triangles (evenly strided)
+const HAUSDORFF_MAX_TRIANGLES = 20000;
+// Resolution of the parametric grid that seeds its closest-point searches
+const DEVIATION_GUESS_SAMPLES = 32;
+
+/**
+ * Welded polygon mesh of flat positions / texCoords and faces given as
+ * vertex index lists: { points: [[x, y, z]], faces: [[point, ...]],
+ * uvs: [[[s, t], ...]] per face corner }. Consecutive corners at the
+ * same point are merged (pole quads become triangles); faces left with
+ * fewer than three corners are dropped.
+ */
+function weldPolygonMesh(positions, texCoords, faces) {
+  const weld = weldVertices(positions);
+  let points = [];
+  for (let vi = 0; vi < weld.length; vi++) {
+    if (!points[weld[vi]]) {
+      points[weld[vi]] = [
+        positions[3 * vi],
+        positions[3 * vi + 1],
+        positions[3 * vi + 2],
+      ];
+    }
+  }
+
+  let welded = { points: points, faces: [], uvs: [] };
+  faces.forEach(function (face) {
+    let ids = [];
+    let uvs = [];
+    face.forEach(function (vi) {
+      if (ids.length && ids[ids.length - 1] === weld[vi]) return;
+      ids.push(weld[vi]);
+      uvs.push([texCoords[2 * vi], texCoords[2 * vi + 1]]);
+    });
+    while (ids.length > 1 && ids[0] === ids[ids.length - 1]) {
+      ids.pop();
+      uvs.pop();
+    }
+    if (ids.length < 3) return;
+    welded.faces.push(ids);
+    welded.uvs.push(uvs);
+  });
+  return welded;
+}
+
+// Triangles of an index list as faces for weldPolygonMesh
+function triangleFaces(indices) {
+  let faces = [];
+  for (let k = 0; k + 2 < indices.length; k += 3) {
+    faces.push([indices[k], indices[k + 1], indices[k + 2]]);
+  }
+  return faces;
+}
+
+/**
+ * Back to an indexed triangle mesh: one vertex per distinct (point, uv)
+ * pair, polygons fanned from their first corner.
+ *
+ * Returns { positions, texCoords, indices }
+ */
+function unweldPolygonMesh(welded) {
+  let mesh = { positions: [], texCoords: [], indices: [] };
+  const lookup = new Map();
+
+  function vertexOf(point, uv) {
+    const key =
+      point + "," + Math.round(uv[0] * 1e6) + "," + Math.round(uv[1] * 1e6);
+    if (!lookup.has(key)) {
+      const p = welded.points[point];
+      lookup.set(key, mesh.positions.length / 3);
+      mesh.positions.push(p[0], p[1], p[2]);
+      mesh.texCoords.push(uv[0], uv[1]);
+    }
+    return lookup.get(key);
+  }
+
+  welded.faces.forEach(function (face, f) {
+    const corners = face.map(function (point, k) {
+      return vertexOf(point, welded.uvs[f][k]);
+    });
+    for (let k = 1; k + 1 < corners.length; k++) {
+      mesh.indices.push(corners[0], corners[k], corners[k + 1]);
+    }
+  });
+  return mesh;
+}
+
+// Fan polygons into triangles, keeping the welded form
+function triangulateWelded(welded) {
+  let out = { points: welded.points, faces: [], uvs: [] };
+  welded.faces.forEach(function (face, f) {
+    const uvs = welded.uvs[f];
+    for (let k = 1; k + 1 < face.length; k++) {
+      out.faces.push([face[0], face[k], face[k + 1]]);
+      out.uvs.push([uvs[0], uvs[k], uvs[k + 1]]);
+    }
+  });
+  return out;
+}
+
+// Unit normal of a polygon (Newell's method), [0, 0, 0] if degenerate
+function polygonNormal(points, face) {
+  let n = [0.0, 0.0, 0.0];
+  for (let k = 0; k < face.length; k++) {
+    const p = points[face[k]];
+    const q = points[face[(k + 1) % face.length]];
+    n[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    n[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    n[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  }
+  const len = Math.hypot(n[0], n[1], n[2]);
+  return len > 1e-20 ? [n[0] / len, n[1] / len, n[2] / len] : [0, 0, 0];
+}
+
+/**
+ * Edges of a welded mesh with the faces using them. An edge is sharp
+ * on a boundary, where more than two faces meet, or where its two faces
+ * turn by more than sharpAngle degrees.
+ *
+ * Returns { edges: Map(key -> { a, b, faces, sharp }), key(a, b) }
+ */
+function polygonEdges(welded, sharpAngle) {
+  const count = welded.points.length;
+  const key = function (a, b) {
+    return a < b ? a * count + b : b * count + a;
+  };
+  const edges = new Map();
+  welded.faces.forEach(function (face, f) {
+    for (let k = 0; k < face.length; k++) {
+      const a = face[k];
+      const b = face[(k + 1) % face.length];
+      const id = key(a, b);
+      if (!edges.has(id)) edges.set(id, { a: a, b: b, faces: [] });
+      edges.get(id).faces.push(f);
+    }
+  });
+
+  const cosLimit = Math.cos((Math.min(sharpAngle, 180) * Math.PI) / 180);
+  const normals = welded.faces.map(function (face) {
+    return polygonNormal(welded.points, face);
+  });
+  edges.forEach(function (edge) {
+    if (edge.faces.length !== 2) {
+      edge.sharp = true;
+      return;
+    }
+    const n0 = normals[edge.faces[0]];
+    const n1 = normals[edge.faces[1]];
+    edge.sharp = n0[0] * n1[0] + n0[1] * n1[1] + n0[2] * n1[2] < cosLimit;
+  });
+  return { edges: edges, key: key };
+}
+
+// Neighbour points and sharp neighbour points of every point
+function pointNeighbours(count, edges) {
+  let neighbours = [];
+  let sharp = [];
+  for (let p = 0; p < count; p++) {
+    neighbours.push([]);
+    sharp.push([]);
+  }
+  edges.forEach(function (edge) {
+    neighbours[edge.a].push(edge.b);
+    neighbours[edge.b].push(edge.a);
+    if (edge.sharp) {
+      sharp[edge.a].push(edge.b);
+      sharp[edge.b].push(edge.a);
+    }
+  });
+  return { neighbours: neighbours, sharp: sharp };
+}
+
+function mixPoints(terms) {
+  let p = [0.0, 0.0, 0.0];
+  terms.forEach(function (term) {
+    p[0] += term[0] * term[1][0];
+    p[1] += term[0] * term[1][1];
+    p[2] += term[0] * term[1][2];
+  });
+  return p;
+}
+
+function midUV(a, b) {
+  return [0.5 * (a[0] + b[0]), 0.5 * (a[1] + b[1])];
+}
+
+// Position of a point on a crease (two sharp edges) or corner
+function sharpVertexPoint(points, p, sharpNeighbours) {
+  if (sharpNeighbours.length !== 2) {
+    return points[p].slice(); // corner: stays
+  }
+  return mixPoints([
+    [0.75, points[p]],
+    [0.125, points[sharpNeighbours[0]]],
+    [0.125, points[sharpNeighbours[1]]],
+  ]);
+}
+
+/*======================  LOOP SUBDIVISION  ======================*/
+
+/**
+ * One step of Loop subdivision of a welded mesh (polygons are fanned
+ * first): every triangle becomes four. Sharp edges and their points
+ * follow the crease rules of Hoppe et al., so creases and boundaries
+ * stay crisp curves.
+ */
+function loopSubdivide(welded, sharpAngle) {
+  welded = triangulateWelded(welded);
+  const points = welded.points;
+  const topology = polygonEdges(welded, sharpAngle);
+  const around = pointNeighbours(points.length, topology.edges);
+
+  // Vertex points
+  let out = { points: [], faces: [], uvs: [] };
+  for (let p = 0; p < points.length; p++) {
+    const ring = around.neighbours[p];
+    const n = ring.length;
+    if (around.sharp[p].length >= 2 || n < 3) {
+      out.points.push(sharpVertexPoint(points, p, around.sharp[p]));
+      continue;
+    }
+    const c = 0.375 + 0.25 * Math.cos((2 * Math.PI) / n);
+    const beta = (0.625 - c * c) / n;
+    let terms = [[1.0 - n * beta, points[p]]];
+    ring.forEach(function (q) {
+      terms.push([beta, points[q]]);
+    });
+    out.points.push(mixPoints(terms));
+  }
+
+  // Edge points
+  topology.edges.forEach(function (edge) {
+    let terms;
+    if (edge.sharp) {
+      terms = [
+        [0.5, points[edge.a]],
+        [0.5, points[edge.b]],
+      ];
+    } else {
+      terms = [
+        [0.375, points[edge.a]],
+        [0.375, points[edge.b]],
+      ];
+      edge.faces.forEach(function (f) {
+        const opposite = welded.faces[f].filter(function (q) {
+          return q !== edge.a && q !== edge.b;
+        })[0];
+        terms.push([0.125, points[opposite]]);
+      });
+    }
+    edge.point = out.points.length;
+    out.points.push(mixPoints(terms));
+  });
+
+  // Four triangles per triangle, same winding
+  welded.faces.forEach(function (face, f) {
+    const [a, b, c] = face;
+    const [ua, ub, uc] = welded.uvs[f];
+    const ab = topology.edges.get(topology.key(a, b)).point;
+    const bc = topology.edges.get(topology.key(b, c)).point;
+    const ca = topology.edges.get(topology.key(c, a)).point;
+    const uab = midUV(ua, ub);
+    const ubc = midUV(ub, uc);
+    const uca = midUV(uc, ua);
+    out.faces.push([a, ab, ca], [ab, b, bc], [ca, bc, c], [ab, bc, ca]);
+    out.uvs.push(
+      [ua, uab, uca],
+      [uab, ub, ubc],
+      [uca, ubc, uc],
+      [uab, ubc, uca]
+    );
+  });
+  return out;
+}
+
+/*======================  CATMULL-CLARK SUBDIVISION  ======================*/
+
+/**
+ * One step of Catmull-Clark subdivision of a welded polygon mesh: an
+ * n-gon becomes n quads around its face point. Sharp edges take their
+ * midpoint and crease points the B-spline curve rule.
+ */
+function catmullClarkSubdivide(welded, sharpAngle) {
+  const points = welded.points;
+  const topology = polygonEdges(welded, sharpAngle);
+  const around = pointNeighbours(points.length, topology.edges);
+  let out = { points: [], faces: [], uvs: [] };
+
+  // Face points (after the vertex points, filled in below)
+  const facePoints = welded.faces.map(function (face) {
+    return mixPoints(
+      face.map(function (p) {
+        return [1 / face.length, points[p]];
+      })
+    );
+  });
+  let pointFaces = points.map(function () {
+    return [];
+  });
+  welded.faces.forEach(function (face, f) {
+    face.forEach(function (p) {
+      pointFaces[p].push(f);
+    });
+  });
+
+  // Vertex points: (Q + 2R + (n - 3) P) / n
+  for (let p = 0; p < points.length; p++) {
+    const ring = around.neighbours[p];
+    const n = ring.length;
+    if (around.sharp[p].length >= 2 || n < 3 || pointFaces[p].length !== n) {
+      out.points.push(sharpVertexPoint(points, p, around.sharp[p]));
+      continue;
+    }
+    let terms = [[(n - 3) / n, points[p]]];
+    pointFaces[p].forEach(function (f) {
+      terms.push([1 / (n * n), facePoints[f]]);
+    });
+    ring.forEach(function (q) {
+      // 2 R / n with R the mean edge midpoint
+      terms.push([1 / (n * n), points[p]], [1 / (n * n), points[q]]);
+    });
+    out.points.push(mixPoints(terms));
+  }
+
+  const faceBase = out.points.length;
+  facePoints.forEach(function (point) {
+    out.points.push(point);
+  });
+
+  // Edge points
+  topology.edges.forEach(function (edge) {
+    let terms = [
+      [0.5, points[edge.a]],
+      [0.5, points[edge.b]],
+    ];
+    if (!edge.sharp) {
+      terms = [
+        [0.25, points[edge.a]],
+        [0.25, points[edge.b]],
+        [0.25, facePoints[edge.faces[0]]],
+        [0.25, facePoints[edge.faces[1]]],
+      ];
+    }
+    edge.point = out.points.length;
+    out.points.push(mixPoints(terms));
+  });
+
+  // n quads per n-gon: corner, next edge, face point, previous edge
+  welded.faces.forEach(function (face, f) {
+    const uvs = welded.uvs[f];
+    const n = face.length;
+    let center = [0.0, 0.0];
+    uvs.forEach(function (uv) {
+      center[0] += uv[0] / n;
+      center[1] += uv[1] / n;
+    });
+    for (let k = 0; k < n; k++) {
+      const prev = (k + n - 1) % n;
+      const next = (k + 1) % n;
+      out.faces.push([
+        face[k],
+        topology.edges.get(topology.key(face[k], face[next])).point,
+        faceBase + f,
+        topology.edges.get(topology.key(face[prev], face[k])).point,
+      ]);
+      out.uvs.push([
+        uvs[k],
+        midUV(uvs[k], uvs[next]),
+        center,
+        midUV(uvs[prev], uvs[k]),
+      ]);
+    }
+  });
+  return out;
+}
+
+/*======================  QUADRIC ERROR DECIMATION  ======================*/
+
+// Binary min-heap on entry.cost
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let k = heap.length - 1;
+  while (k > 0) {
+    const parent = (k - 1) >> 1;
+    if (heap[parent].cost <= heap[k].cost) break;
+    [heap[parent], heap[k]] = [heap[k], heap[parent]];
+    k = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let k = 0;
+    for (;;) {
+      const l = 2 * k + 1;
+      const r = l + 1;
+      let m = k;
+      if (l < heap.length && heap[l].cost < heap[m].cost) m = l;
+      if (r < heap.length && heap[r].cost < heap[m].cost) m = r;
+      if (m === k) break;
+      [heap[m], heap[k]] = [heap[k], heap[m]];
+      k = m;
+    }
+  }
+  return top;
+}
+
+// v^T Q v of a quadric stored as [aa, ab, ac, ad, bb, bc, bd, cc, cd, dd]
+function quadricError(q, v) {
+  const [x, y, z] = v;
+  return (
+    q[0] * x * x +
+    2 * q[1] * x * y +
+    2 * q[2] * x * z +
+    2 * q[3] * x +
+    q[4] * y * y +
+    2 * q[5] * y * z +
+    2 * q[6] * y +
+    q[7] * z * z +
+    2 * q[8] * z +
+    q[9]
+  );
+}
+
+// Point minimising the quadric, null if the system is near singular
+function quadricMinimum(q) {
+  const a = [
+    [q[0], q[1], q[2]],
+    [q[1], q[4], q[5]],
+    [q[2], q[5], q[7]],
+  ];
+  const b = [-q[3], -q[6], -q[8]];
+  const det =
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+  const trace = q[0] + q[4] + q[7];
+  if (!(Math.abs(det) > 1e-10 * trace * trace * trace)) return null;
+  // Cramer's rule
+  const solve = function (column) {
+    const m = a.map(function (row, r) {
+      return row.map(function (value, c) {
+        return c === column ? b[r] : value;
+      });
+    });
+    return (
+      (m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])) /
+      det
+    );
+  };
+  return [solve(0), solve(1), solve(2)];
+}
+
+/**
+ * Quadric-error-metric decimation (Garland & Heckbert) of a welded mesh
+ * down to about targetTriangles. Edges are collapsed cheapest first into
+ * the point minimising the summed plane quadrics. Points on sharp edges
+ * or texture seams (corners with different UVs) never move, so borders,
+ * creases and seams keep their shape and stay closed; collapses that
+ * would fold a triangle over or break the manifold are skipped. UVs of
+ * the kept point follow its position along the collapsed edge.
+ */
+function decimateWelded(welded, targetTriangles, sharpAngle) {
+  welded = triangulateWelded(welded);
+  const points = welded.points.map(function (p) {
+    return p.slice();
+  });
+  const faces = welded.faces.map(function (face) {
+    return face.slice();
+  });
+  const uvs = welded.uvs.map(function (corners) {
+    return corners.map(function (uv) {
+      return uv.slice();
+    });
+  });
+  const count = points.length;
+  const topology = polygonEdges(welded, sharpAngle);
+
+  let alive = faces.map(function () {
+    return true;
+  });
+  let aliveCount = faces.length;
+  let pointFaces = points.map(function () {
+    return [];
+  });
+  faces.forEach(function (face, f) {
+    face.forEach(function (p) {
+      pointFaces[p].push(f);
+    });
+  });
+
+  // Fixed points: sharp edges and UV seams
+  let fixed = new Array(count).fill(false);
+  topology.edges.forEach(function (edge) {
+    if (edge.sharp) fixed[edge.a] = fixed[edge.b] = true;
+  });
+  let pointUV = new Array(count).fill(null);
+  faces.forEach(function (face, f) {
+    face.forEach(function (p, k) {
+      const uv = uvs[f][k];
+      if (pointUV[p] === null) {
+        pointUV[p] = uv;
+      } else if (
+        Math.abs(pointUV[p][0] - uv[0]) > 1e-9 ||
+        Math.abs(pointUV[p][1] - uv[1]) > 1e-9
+      ) {
+        fixed[p] = true;
+      }
+    });
+  });
+
+  // Plane quadrics, weighted by area
+  let quadrics = points.map(function () {
+    return new Float64Array(10);
+  });
+  faces.forEach(function (face) {
+    const [p0, p1, p2] = face.map(function (p) {
+      return points[p];
+    });
+    const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    let n = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    const len = Math.hypot(n[0], n[1], n[2]);
+    if (len < 1e-20) return;
+    const area = 0.5 * len;
+    n = [n[0] / len, n[1] / len, n[2] / len];
+    const plane = [
+      n[0],
+      n[1],
+      n[2],
+      -(n[0] * p0[0] + n[1] * p0[1] + n[2] * p0[2]),
+    ];
+    const terms = [
+      [0, 0],
+      [0, 1],
+      [0, 2],
+      [0, 3],
+      [1, 1],
+      [1, 2],
+      [1, 3],
+      [2, 2],
+      [2, 3],
+      [3, 3],
+    ];
+    face.forEach(function (p) {
+      terms.forEach(function (t, k) {
+        quadrics[p][k] += area * plane[t[0]] * plane[t[1]];
+      });
+    });
+  });
+
+  let version = new Array(count).fill(0);
+  let heap = [];
+
+  // Candidate collapse of edge (a, b): the removed point must be free
+  function pushCandidate(a, b) {
+    if (fixed[a] && fixed[b]) return;
+    const removed = fixed[a] ? b : a;
+    const kept = removed === a ? b : a;
+    let q = new Float64Array(10);
+    for (let k = 0; k < 10; k++) q[k] = quadrics[a][k] + quadrics[b][k];
+
+    let target = null;
+    if (fixed[kept]) {
+      target = points[kept].slice();
+    } else {
+      target = quadricMinimum(q);
+      const mid = [
+        0.5 * (points[a][0] + points[b][0]),
+        0.5 * (points[a][1] + points[b][1]),
+        0.5 * (points[a][2] + points[b][2]),
+      ];
+      // Keep the optimum near the edge; fall back to the best of three
+      if (
+        !target ||
+        Math.hypot(target[0] - mid[0], target[1] - mid[1], target[2] - mid[2]) >
+          2.0 *
+            Math.hypot(
+              points[a][0] - points[b][0],
+              points[a][1] - points[b][1],
+              points[a][2] - points[b][2]
+            )
+      ) {
+        target = [points[a], points[b], mid].reduce(function (best, p) {
+          return quadricError(q, p) < quadricError(q, best) ? p : best;
+        });
+        target = target.slice();
+      }
+    }
+    heapPush(heap, {
+      cost: Math.max(quadricError(q, target), 0.0),
+      removed: removed,
+      kept: kept,
+      target: target,
+      versions: [version[removed], version[kept]],
+    });
+  }
+
+  function neighboursOf(p) {
+    let set = new Set();
+    pointFaces[p].forEach(function (f) {
+      if (!alive[f]) return;
+      faces[f].forEach(function (q) {
+        if (q !== p) set.add(q);
+      });
+    });
+    return set;
+  }
+
+  function triangleNormalAt(face, moved, target) {
+    const [p0, p1, p2] = face.map(function (p) {
+      return p === moved ? target : points[p];
+    });
+    const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    return [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+  }
+
+  // No triangle around p may flip or collapse when p moves to target
+  function keepsOrientation(p, other, target) {
+    return pointFaces[p].every(function (f) {
+      if (!alive[f] || faces[f].indexOf(other) >= 0) return true;
+      const before = triangleNormalAt(faces[f], -1, null);
+      const after = triangleNormalAt(faces[f], p, target);
+      const lb = Math.hypot(before[0], before[1], before[2]);
+      const la = Math.hypot(after[0], after[1], after[2]);
+      if (la < 1e-14 * Math.max(lb, 1e-30)) return false;
+      const d =
+        before[0] * after[0] + before[1] * after[1] + before[2] * after[2];
+      return d > 0.2 * lb * la;
+    });
+  }
+
+  topology.edges.forEach(function (edge) {
+    pushCandidate(edge.a, edge.b);
+  });
+
+  while (aliveCount > targetTriangles && heap.length) {
+    const c = heapPop(heap);
+    const removed = c.removed;
+    const kept = c.kept;
+    if (version[removed] !== c.versions[0] || version[kept] !== c.versions[1]) {
+      continue; // stale: a point moved or was removed since
+    }
+
+    // Shared faces and the link condition (manifold stays manifold)
+    const shared = pointFaces[removed].filter(function (f) {
+      return alive[f] && faces[f].indexOf(kept) >= 0;
+    });
+    if (shared.length === 0 || shared.length > 2) continue;
+    const common = [...neighboursOf(removed)].filter(function (q) {
+      return neighboursOf(kept).has(q);
+    });
+    if (common.length !== shared.length) continue;
+    if (
+      !keepsOrientation(removed, kept, c.target) ||
+      !keepsOrientation(kept, removed, c.target)
+    ) {
+      continue;
+    }
+
+    // UV at the target: along the edge for free points, the kept
+    // point's own (seen in a shared face) if it is fixed
+    const f0 = shared[0];
+    const uvRemoved = uvs[f0][faces[f0].indexOf(removed)];
+    const uvKept = uvs[f0][faces[f0].indexOf(kept)];
+    let uv = uvKept.slice();
+    if (!fixed[kept]) {
+      const e = [
+        points[kept][0] - points[removed][0],
+        points[kept][1] - points[removed][1],
+        points[kept][2] - points[removed][2],
+      ];
+      const ee = e[0] * e[0] + e[1] * e[1] + e[2] * e[2];
+      let lambda =
+        ee > 0
+          ? ((c.target[0] - points[removed][0]) * e[0] +
+              (c.target[1] - points[removed][1]) * e[1] +
+              (c.target[2] - points[removed][2]) * e[2]) /
+            ee
+          : 0.5;
+      lambda = Math.min(Math.max(lambda, 0.0), 1.0);
+      uv = [
+        uvRemoved[0] + lambda * (uvKept[0] - uvRemoved[0]),
+        uvRemoved[1] + lambda * (uvKept[1] - uvRemoved[1]),
+      ];
+    }
+
+    shared.forEach(function (f) {
+      alive[f] = false;
+      aliveCount--;
+    });
+    pointFaces[removed].forEach(function (f) {
+      if (!alive[f]) return;
+      const k = faces[f].indexOf(removed);
+      faces[f][k] = kept;
+      pointFaces[kept].push(f);
+    });
+    pointFaces[kept] = pointFaces[kept].filter(function (f) {
+      return alive[f];
+    });
+    if (!fixed[kept]) {
+      pointFaces[kept].forEach(function (f) {
+        uvs[f][faces[f].indexOf(kept)] = uv;
+      });
+    }
+    pointFaces[removed] = [];
+    points[kept] = c.target;
+    for (let k = 0; k < 10; k++) quadrics[kept][k] += quadrics[removed][k];
+    version[removed] = -1;
+    version[kept]++;
+
+    neighboursOf(kept).forEach(function (q) {
+      pushCandidate(kept, q);
+    });
+  }
+
+  let out = { points: points, faces: [], uvs: [] };
+  faces.forEach(function (face, f) {
+    if (!alive[f]) return;
+    out.faces.push(face);
+    out.uvs.push(uvs[f]);
+  });
+  return out;
+}
+
+/**
+ * Apply a subdivision or decimation operator.
+ * mesh:    { positions, texCoords, indices } or, for Catmull-Clark on a
+ *          generated surface, the quad grid ({ positions, texCoords,
+ *          faces }, see CreateSurfaceQuads)
+ * options: { iterations (subdivision steps), targetTriangles
+ *          (decimation), sharpAngle (degrees, 60 if omitted) }
+ *
+ * Returns { positions, texCoords, indices }
+ */
+function applyMeshOperator(operator, mesh, options) {
+  options = options || {};
+  const sharpAngle = options.sharpAngle === undefined ? 60 : options.sharpAngle;
+  let welded = weldPolygonMesh(
+    mesh.positions,
+    mesh.texCoords,
+    mesh.faces || triangleFaces(mesh.indices)
+  );
+
+  if (operator === MESH_OP_LOOP || operator === MESH_OP_CATMULL_CLARK) {
+    const step =
+      operator === MESH_OP_LOOP ? loopSubdivide : catmullClarkSubdivide;
+    for (let k = 0; k < (options.iterations || 1); k++) {
+      welded = step(welded, sharpAngle);
+    }
+  } else if (operator === MESH_OP_DECIMATE) {
+    welded = decimateWelded(
+      welded,
+      Math.max(options.targetTriangles || 0, 1),
+      sharpAngle
+    );
+  } else {
+    throw new Error("Unknown mesh operator '" + operator + "'.");
+  }
+  return unweldPolygonMesh(welded);
+}
+
+/*======================  HAUSDORFF DEVIATION  ======================*/
+
+/**
+ * Closest point of the analytic surface to p: damped Gauss-Newton in
+ * (u, v) from the guess (u, v), kept inside the parameter domain.
+ *
+ * Returns { u, v, distance }
+ */
+function surfaceClosestPoint(surfaceDef, params, p, u, v) {
+  const domain = surfaceDef.domain(params);
+  const clamp = function (x, range) {
+    return Math.min(Math.max(x, range[0]), range[1]);
+  };
+  let q = surfaceDef.position(u, v, params);
+  let r = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+  let error = r[0] * r[0] + r[1] * r[1] + r[2] * r[2];
+  let damping = 1e-6;
+
+  for (let iteration = 0; iteration < 12 && error > 1e-24; iteration++) {
+    const d = surfaceDerivatives(surfaceDef, u, v, params);
+    const a = d.du[0] * d.du[0] + d.du[1] * d.du[1] + d.du[2] * d.du[2];
+    const b = d.du[0] * d.dv[0] + d.du[1] * d.dv[1] + d.du[2] * d.dv[2];
+    const c = d.dv[0] * d.dv[0] + d.dv[1] * d.dv[1] + d.dv[2] * d.dv[2];
+    const gu = d.du[0] * r[0] + d.du[1] * r[1] + d.du[2] * r[2];
+    const gv = d.dv[0] * r[0] + d.dv[1] * r[1] + d.dv[2] * r[2];
+
+    // (J^T J + damping) step = -J^T r, retried with more damping
+    let improved = false;
+    let converged = false;
+    for (let attempt = 0; attempt < 8 && !improved; attempt++) {
+      const ad = a + damping * (a + c + 1e-12);
+      const cd = c + damping * (a + c + 1e-12);
+      const det = ad * cd - b * b;
+      if (det <= 0) {
+        damping *= 10;
+        continue;
+      }
+      const nu = clamp(u - (cd * gu - b * gv) / det, domain.u);
+      const nv = clamp(v - (ad * gv - b * gu) / det, domain.v);
+      const nq = surfaceDef.position(nu, nv, params);
+      const nr = [nq[0] - p[0], nq[1] - p[1], nq[2] - p[2]];
+      const nerror = nr[0] * nr[0] + nr[1] * nr[1] + nr[2] * nr[2];
+      if (nerror < error) {
+        converged = error - nerror <= 1e-12 * error;
+        u = nu;
+        v = nv;
+        r = nr;
+        error = nerror;
+        damping = Math.max(damping * 0.1, 1e-9);
+        improved = true;
+      } else {
+        damping *= 10;
+      }
+    }
+    if (!improved || converged) break;
+  }
+  return { u: u, v: v, distance: Math.sqrt(error) };
+}
+
+// Closest point to p on triangle (a, b, c) (Ericson, Real-Time Collision
+// Detection 5.1.5)
+function closestPointOnTriangle(p, a, b, c) {
+  const sub = function (x, y) {
+    return [x[0] - y[0], x[1] - y[1], x[2] - y[2]];
+  };
+  const dot = function (x, y) {
+    return x[0] * y[0] + x[1] * y[1] + x[2] * y[2];
+  };
+  const along = function (x, d, t) {
+    return [x[0] + t * d[0], x[1] + t * d[1], x[2] + t * d[2]];
+  };
+  const ab = sub(b, a);
+  const ac = sub(c, a);
+  const ap = sub(p, a);
+  const d1 = dot(ab, ap);
+  const d2 = dot(ac, ap);
+  if (d1 <= 0 && d2 <= 0) return a;
+
+  const bp = sub(p, b);
+  const d3 = dot(ab, bp);
+  const d4 = dot(ac, bp);
+  if (d3 >= 0 && d4 <= d3) return b;
+
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) return along(a, ab, d1 / (d1 - d3));
+
+  const cp = sub(p, c);
+  const d5 = dot(ab, cp);
+  const d6 = dot(ac, cp);
+  if (d6 >= 0 && d5 <= d6) return c;
+
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) return along(a, ac, d2 / (d2 - d6));
+
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+    return along(b, sub(c, b), (d4 - d3) / (d4 - d3 + (d5 - d6)));
+  }
+
+  const denom = 1 / (va + vb + vc);
+  const v = vb * denom;
+  const w = vc * denom;
+  return [
+    a[0] + ab[0] * v + ac[0] * w,
+    a[1] + ab[1] * v + ac[1] * w,
+    a[2] + ab[2] * v + ac[2] * w,
+  ];
+}
+
+/**
+ * Uniform cell grid over the triangles of a mesh for distance queries;
+ * every triangle is listed in the cells its bounding box touches.
+ *
+ * Returns { closest(p), distance(p) }: the nearest point of the mesh to
+ * p as { point, triangle, distance }, or just its distance
+ */
+function TriangleGrid(positions, indices) {
+  const triangles = indices.length / 3;
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  for (let k = 0; k < positions.length; k += 3) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], positions[k + c]);
+      max[c] = Math.max(max[c], positions[k + c]);
+    }
+  }
+  const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  // About one triangle per cell on a surface
+  const cellSize = Math.max(extent / Math.sqrt(triangles + 1), 1e-9);
+  const dims = [0, 1, 2].map(function (c) {
+    return Math.max(Math.ceil((max[c] - min[c]) / cellSize), 1);
+  });
+  const cells = new Map();
+
+  const cellOf = function (x, c) {
+    return Math.min(
+      Math.max(Math.floor((x - min[c]) / cellSize), 0),
+      dims[c] - 1
+    );
+  };
+  const point = function (vi) {
+    return [positions[3 * vi], positions[3 * vi + 1], positions[3 * vi + 2]];
+  };
+  const cellKey = function (i, j, k) {
+    return i + dims[0] * (j + dims[1] * k);
+  };
+
+  for (let t = 0; t < triangles; t++) {
+    const corners = [0, 1, 2].map(function (k) {
+      return point(indices[3 * t + k]);
+    });
+    let lo = [0, 1, 2].map(function (c) {
+      return cellOf(Math.min(corners[0][c], corners[1][c], corners[2][c]), c);
+    });
+    let hi = [0, 1, 2].map(function (c) {
+      return cellOf(Math.max(corners[0][c], corners[1][c], corners[2][c]), c);
+    });
+    for (let i = lo[0]; i <= hi[0]; i++) {
+      for (let j = lo[1]; j <= hi[1]; j++) {
+        for (let k = lo[2]; k <= hi[2]; k++) {
+          const key = cellKey(i, j, k);
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(t);
+        }
+      }
+    }
+  }
+
+  // Search shells of cells around p until no closer triangle can exist
+  this.closest = function (p) {
+    const center = [0, 1, 2].map(function (c) {
+      return cellOf(p[c], c);
+    });
+    const maxShell = Math.max(dims[0], dims[1], dims[2]);
+    let best = Infinity;
+    let nearest = { point: null, triangle: -1, distance: Infinity };
+    let seen = new Set();
+    for (let shell = 0; shell <= maxShell; shell++) {
+      for (let i = center[0] - shell; i <= center[0] + shell; i++) {
+        for (let j = center[1] - shell; j <= center[1] + shell; j++) {
+          for (let k = center[2] - shell; k <= center[2] + shell; k++) {
+            const onShell =
+              Math.abs(i - center[0]) === shell ||
+              Math.abs(j - center[1]) === shell ||
+              Math.abs(k - center[2]) === shell;
+            if (!onShell) continue;
+            const list = cells.get(cellKey(i, j, k));
+            if (
+              !list ||
+              i < 0 ||
+              j < 0 ||
+              k < 0 ||
+              i >= dims[0] ||
+              j >= dims[1] ||
+              k >= dims[2]
+            ) {
+              continue;
+            }
+            list.forEach(function (t) {
+              if (seen.has(t)) return;
+              seen.add(t);
+              const q = closestPointOnTriangle(
+                p,
+                point(indices[3 * t]),
+                point(indices[3 * t + 1]),
+                point(indices[3 * t + 2])
+              );
+              const distance = Math.hypot(
+                q[0] - p[0],
+                q[1] - p[1],
+                q[2] - p[2]
+              );
+              if (distance < best) {
+                best = distance;
+                nearest = { point: q, triangle: t, distance: distance };
+              }
+            });
+          }
+        }
+      }
+      // Cells beyond this shell are at least shell * cellSize away
+      if (best <= shell * cellSize) break;
+    }
+    return nearest;
+  };
+
+  this.distance = function (p) {
+    return this.closest(p).distance;
+  };
+}
+
+// Barycentric weights of the point q of triangle (a, b, c)
+function barycentricWeights(q, a, b, c) {
+  const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const eq = [q[0] - a[0], q[1] - a[1], q[2] - a[2]];
+  const dot = function (x, y) {
+    return x[0] * y[0] + x[1] * y[1] + x[2] * y[2];
+  };
+  const d11 = dot(e1, e1);
+  const d12 = dot(e1, e2);
+  const d22 = dot(e2, e2);
+  const det = d11 * d22 - d12 * d12;
+  if (!(det > 0)) return [1.0, 0.0, 0.0];
+  const v = (d22 * dot(eq, e1) - d12 * dot(eq, e2)) / det;
+  const w = (d11 * dot(eq, e2) - d12 * dot(eq, e1)) / det;
+  return [1.0 - v - w, v, w];
+}
+
+/**
+ * Deviation of a mesh from the analytic surface it approximates.
+ * Mesh -> surface: vertices, edge midpoints and centroids of the
+ * triangles (at most HAUSDORFF_MAX_TRIANGLES of them, evenly strided),
+ * projected with surfaceClosestPoint starting from the closest point of
+ * a coarse parametric grid of the surface (the mesh's own texture
+ * coordinates may follow any UV scheme, or none).
+ * Surface -> mesh: a samples x samples grid over the parameter domain.
+ * hausdorff is the larger of the two one-sided maxima; mean is the mean
+ * mesh -> surface distance.
+ *
+ * Returns { hausdorff, meshToSurface, surfaceToMesh, mean }
+ */
+function surfaceDeviation(mesh, surfaceDef, params, samples) {
+  samples = samples || 64;
+  const domain = surfaceDef.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+  const positions = mesh.positions;
+  const indices = mesh.indices;
+  const triangles = indices.length / 3;
+  const stride = Math.max(Math.ceil(triangles / HAUSDORFF_MAX_TRIANGLES), 1);
+
+  let meshToSurface = 0.0;
+  let sum = 0.0;
+  let count = 0;
+
+  // Starting guesses: (s, t) at the closest point of a parametric grid
+  const reference = buildSurfaceGrid(
+    DEVIATION_GUESS_SAMPLES,
+    DEVIATION_GUESS_SAMPLES,
+    surfaceDef,
+    params,
+    true
+  ).mesh;
+  const referenceGrid = new TriangleGrid(
+    reference.positions,
+    reference.indices
+  );
+  const referencePoint = function (vi) {
+    return reference.positions.slice(3 * vi, 3 * vi + 3);
+  };
+  function startingGuess(p) {
+    const nearest = referenceGrid.closest(p);
+    const corners = reference.indices.slice(
+      3 * nearest.triangle,
+      3 * nearest.triangle + 3
+    );
+    const weights = barycentricWeights(
+      nearest.point,
+      referencePoint(corners[0]),
+      referencePoint(corners[1]),
+      referencePoint(corners[2])
+    );
+    let st = [0.0, 0.0];
+    for (let k = 0; k < 3; k++) {
+      st[0] += weights[k] * reference.texCoords[2 * corners[k]];
+      st[1] += weights[k] * reference.texCoords[2 * corners[k] + 1];
+    }
+    return st;
+  }
+
+  const guesses = [];
+  function vertexGuess(vi) {
+    if (!guesses[vi]) {
+      guesses[vi] = startingGuess(positions.slice(3 * vi, 3 * vi + 3));
+    }
+    return guesses[vi];
+  }
+
+  // Weighted sum of mesh vertices, projected onto the surface
+  function sample(vertices, weights) {
+    let p = [0.0, 0.0, 0.0];
+    for (let k = 0; k < vertices.length; k++) {
+      const vi = vertices[k];
+      const w = weights[k];
+      p[0] += w * positions[3 * vi];
+      p[1] += w * positions[3 * vi + 1];
+      p[2] += w * positions[3 * vi + 2];
+    }
+    // Average the per-vertex guesses unless they straddle a seam
+    let st = [0.0, 0.0];
+    let lo = [Infinity, Infinity];
+    let hi = [-Infinity, -Infinity];
+    for (let k = 0; k < vertices.length; k++) {
+      const guess = vertexGuess(vertices[k]);
+      for (let c = 0; c < 2; c++) {
+        st[c] += weights[k] * guess[c];
+        lo[c] = Math.min(lo[c], guess[c]);
+        hi[c] = Math.max(hi[c], guess[c]);
+      }
+    }
+    if (hi[0] - lo[0] > 0.5 || hi[1] - lo[1] > 0.5) {
+      st = startingGuess(p);
+    }
+    const closest = surfaceClosestPoint(
+      surfaceDef,
+      params,
+      p,
+      uMin + (uMax - uMin) * st[0],
+      vMin + (vMax - vMin) * st[1]
+    );
+    meshToSurface = Math.max(meshToSurface, closest.distance);
+    sum += closest.distance;
+    count++;
+  }
+
+  const vertexCount = positions.length / 3;
+  for (let vi = 0; vi < vertexCount; vi += stride) {
+    sample([vi], [1.0]);
+  }
+  for (let t = 0; t < triangles; t += stride) {
+    const [a, b, c] = [indices[3 * t], indices[3 * t + 1], indices[3 * t + 2]];
+    sample([a, b], [0.5, 0.5]);
+    sample([b, c], [0.5, 0.5]);
+    sample([c, a], [0.5, 0.5]);
+    sample([a, b, c], [1 / 3, 1 / 3, 1 / 3]);
+  }
+
+  const grid = new TriangleGrid(positions, indices);
+  let surfaceToMesh = 0.0;
+  for (let j = 0; j <= samples; j++) {
+    for (let i = 0; i <= samples; i++) {
+      const p = surfaceDef.position(
+        uMin + ((uMax - uMin) * i) / samples,
+        vMin + ((vMax - vMin) * j) / samples,
+        params
+      );
+      surfaceToMesh = Math.max(surfaceToMesh, grid.distance(p));
+    }
+  }
+
+  return {
+    hausdorff: Math.max(meshToSurface, surfaceToMesh),
+    meshToSurface: meshToSurface,
+    surfaceToMesh: surfaceToMesh,
+    mean: count ? sum / count : 0.0,
+  };
+}
+
+/**
+ * The deviation table of the page: surfaceDeviation of mesh, and of the
+ * uniform grid of about as many triangles, with the U:V ratio of
+ * uSeg:vSeg, of the surface in options (as for CreateSurfaceData).
+ *
+ * Returns { triangles, shown, grid: { uSeg, vSeg, triangles, deviation } }
+ */
+function surfaceDeviationReport(mesh, options, uSeg, vSeg) {
+  const surfaceDef = getSurface(options.surface);
+  const params = resolveSurfaceParams(surfaceDef, options.params);
+  const triangles = mesh.indices.length / 3;
+
+  // About 2 * gridU * gridV triangles
+  const scale = Math.sqrt(triangles / (2 * uSeg * vSeg));
+  const gridU = Math.max(Math.round(uSeg * scale), 3);
+  const gridV = Math.max(Math.round(vSeg * scale), 2);
+  const grid = CreateSurfaceData(gridU, gridV, {
+    surface: options.surface,
+    params: options.params,
+    normalMode: options.normalMode,
+    smoothAngle: options.smoothAngle,
+  });
+
+  return {
+    triangles: triangles,
+    shown: surfaceDeviation(mesh, surfaceDef, params),
+    grid: {
+      uSeg: gridU,
+      vSeg: gridV,
+      triangles: grid.indices.length / 3,
+      deviation: surfaceDeviation(grid, surfaceDef, params),
+    },
+  };
+}
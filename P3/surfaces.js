@@ -0,0 +1,790 @@
+"use strict";
+
+/*======================  PARAMETRIC SURFACE REGISTRY  ======================*/
+
+// Every surface is P(u, v) with the y axis vertical:
+//   u – "around" direction (columns of the grid, texture s)
+//   v – "along" direction (rows of the grid, texture t)
+// dP/dv x dP/du must point to the outside so that the triangle winding used
+// by the generators matches the normals and back-face culling.
+//
+// A definition holds:
+//   name:        label for the surface dropdown
+//   params:      { key: { label, min, max, step, defaultValue } }
+//   domain:      function (params) returning { u: [min, max], v: [min, max] }
+//   position:    function (u, v, params) returning [x, y, z]
+//   derivatives: optional function (u, v, params, side) returning
+//                { du, dv }; side (-1/+1) picks the one-sided dP/dv on a
+//                crease
+//   secondDerivatives: optional function (u, v, params, side) returning
+//                { uu, uv, vv }
+//   creases:     optional function (params) returning [v, ...], rows kept
+//                as hard edges
+//   twoSided:    true for open or non-orientable surfaces (no culling)
+const SURFACE_REGISTRY = new Map();
+
+function registerSurface(id, definition) {
+  if (typeof definition.position !== "function") {
+    throw new Error("Surface '" + id + "' needs a position function.");
+  }
+  if (typeof definition.domain !== "function") {
+    throw new Error("Surface '" + id + "' needs a domain function.");
+  }
+  SURFACE_REGISTRY.set(
+    id,
+    Object.assign(
+      {
+        id: id,
+        name: id,
+        params: {},
+        creases: function () {
+          return [];
+        },
+        twoSided: false,
+      },
+      definition
+    )
+  );
+}
+
+function getSurface(id) {
+  const surface = SURFACE_REGISTRY.get(id);
+  if (!surface) {
+    throw new Error("Unknown surface '" + id + "'.");
+  }
+  return surface;
+}
+
+function listSurfaces() {
+  return Array.from(SURFACE_REGISTRY.values());
+}
+
+// Clamp parameters into their ranges (missing or non-numbers -> default)
+function resolveSurfaceParams(surface, values) {
+  values = values || {};
+  let params = {};
+  Object.keys(surface.params).forEach(function (key) {
+    const range = surface.params[key];
+    const value = values[key];
+    params[key] = Number.isFinite(value)
+      ? Math.min(Math.max(value, range.min), range.max)
+      : range.defaultValue;
+  });
+  return params;
+}
+
+// (p1 - p0) / step for 3-vectors
+function differenceQuotient(p0, p1, step) {
+  return [
+    (p1[0] - p0[0]) / step,
+    (p1[1] - p0[1]) / step,
+    (p1[2] - p0[2]) / step,
+  ];
+}
+
+/**
+ * dP/du and dP/dv, analytic when the surface provides them, otherwise
+ * by finite differences (one-sided on a crease side or domain border).
+ */
+function surfaceDerivatives(surface, u, v, params, side) {
+  if (surface.derivatives) {
+    return surface.derivatives(u, v, params, side || 0);
+  }
+
+  const domain = surface.domain(params);
+  const eu = 1e-5 * (domain.u[1] - domain.u[0]);
+  const ev = 1e-5 * (domain.v[1] - domain.v[0]);
+
+  const u0 = Math.max(u - eu, domain.u[0]);
+  const u1 = Math.min(u + eu, domain.u[1]);
+  let v0 = Math.max(v - ev, domain.v[0]);
+  let v1 = Math.min(v + ev, domain.v[1]);
+  if (side > 0) v0 = v;
+  if (side < 0) v1 = v;
+
+  return {
+    du: differenceQuotient(
+      surface.position(u0, v, params),
+      surface.position(u1, v, params),
+      u1 - u0
+    ),
+    dv: differenceQuotient(
+      surface.position(u, v0, params),
+      surface.position(u, v1, params),
+      v1 - v0
+    ),
+  };
+}
+
+/**
+ * Second partials d2P/du2, d2P/dudv and d2P/dv2: analytic when the
+ * surface provides them, otherwise finite differences of the first
+ * derivatives (one-sided on a crease side or domain border).
+ */
+function surfaceSecondDerivatives(surface, u, v, params, side) {
+  if (surface.secondDerivatives) {
+    return surface.secondDerivatives(u, v, params, side || 0);
+  }
+
+  const domain = surface.domain(params);
+  const eu = 1e-4 * (domain.u[1] - domain.u[0]);
+  const ev = 1e-4 * (domain.v[1] - domain.v[0]);
+
+  const u0 = Math.max(u - eu, domain.u[0]);
+  const u1 = Math.min(u + eu, domain.u[1]);
+  let v0 = Math.max(v - ev, domain.v[0]);
+  let v1 = Math.min(v + ev, domain.v[1]);
+  if (side > 0) v0 = v;
+  if (side < 0) v1 = v;
+
+  const atU0 = surfaceDerivatives(surface, u0, v, params, side);
+  const atU1 = surfaceDerivatives(surface, u1, v, params, side);
+  const atV0 = surfaceDerivatives(surface, u, v0, params, side);
+  const atV1 = surfaceDerivatives(surface, u, v1, params, side);
+
+  return {
+    uu: differenceQuotient(atU0.du, atU1.du, u1 - u0),
+    uv: differenceQuotient(atV0.du, atV1.du, v1 - v0),
+    vv: differenceQuotient(atV0.dv, atV1.dv, v1 - v0),
+  };
+}
+
+function dot3(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross3(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+/**
+ * First (E, F, G) and second (L, M, N) fundamental forms. The unit
+ * normal n is dP/dv x dP/du, the outward one used for shading.
+ *
+ * Returns { du, dv, n, E, F, G, L, M, N }, or null where the metric
+ * degenerates (e.g. at a pole)
+ */
+function surfaceFundamentalForms(surface, u, v, params, side) {
+  const first = surfaceDerivatives(surface, u, v, params, side);
+  const second = surfaceSecondDerivatives(surface, u, v, params, side);
+  const du = first.du;
+  const dv = first.dv;
+
+  const n = cross3(dv, du);
+  const nLen = Math.hypot(n[0], n[1], n[2]);
+
+  const E = dot3(du, du);
+  const F = dot3(du, dv);
+  const G = dot3(dv, dv);
+  if (!(nLen > 0 && E * G - F * F > 0)) return null;
+
+  const unit = [n[0] / nLen, n[1] / nLen, n[2] / nLen];
+  return {
+    du: du,
+    dv: dv,
+    n: unit,
+    E: E,
+    F: F,
+    G: G,
+    L: dot3(second.uu, unit),
+    M: dot3(second.uv, unit),
+    N: dot3(second.vv, unit),
+  };
+}
+
+/**
+ * Gaussian and mean curvature from the fundamental forms. Signs follow
+ * the outward normal, so a sphere of radius R has K = 1/R² and H = -1/R.
+ *
+ * Returns { gaussian, mean }, or zeros where the metric degenerates
+ */
+function surfaceCurvature(surface, u, v, params, side) {
+  const f = surfaceFundamentalForms(surface, u, v, params, side);
+  if (!f) return { gaussian: 0.0, mean: 0.0 };
+
+  const det = f.E * f.G - f.F * f.F;
+  return {
+    gaussian: (f.L * f.N - f.M * f.M) / det,
+    mean: (f.E * f.N - 2 * f.F * f.M + f.G * f.L) / (2 * det),
+  };
+}
+
+/**
+ * Principal curvatures k1 >= k2 (signs as in surfaceCurvature) and their
+ * unit directions d1, d2 in space: the eigenvectors of the shape
+ * operator I⁻¹·II, mapped through dP/du and dP/dv. At an umbilic
+ * (k1 = k2) every direction is principal; d1 is then dP/du.
+ *
+ * Returns { k1, k2, d1, d2, n, umbilic }, or null where the metric
+ * degenerates
+ */
+function surfacePrincipalCurvatures(surface, u, v, params, side) {
+  const f = surfaceFundamentalForms(surface, u, v, params, side);
+  if (!f) return null;
+
+  const det = f.E * f.G - f.F * f.F;
+  const K = (f.L * f.N - f.M * f.M) / det;
+  const H = (f.E * f.N - 2 * f.F * f.M + f.G * f.L) / (2 * det);
+  const root = Math.sqrt(Math.max(H * H - K, 0.0));
+  const k1 = H + root;
+  const k2 = H - root;
+
+  // Unit vector a·dP/du + b·dP/dv
+  function direction(a, b) {
+    const d = [0, 1, 2].map(function (c) {
+      return a * f.du[c] + b * f.dv[c];
+    });
+    const len = Math.hypot(d[0], d[1], d[2]);
+    return [d[0] / len, d[1] / len, d[2] / len];
+  }
+
+  const umbilic = root <= 1e-6 * Math.max(Math.abs(H), 1.0);
+  let d1;
+  if (umbilic) {
+    d1 = direction(1.0, 0.0);
+  } else {
+    // (II - k1·I)(a, b) = 0; use the better conditioned row
+    const rowA = [f.M - k1 * f.F, -(f.L - k1 * f.E)];
+    const rowB = [f.N - k1 * f.G, -(f.M - k1 * f.F)];
+    const ab =
+      Math.hypot(rowA[0], rowA[1]) > Math.hypot(rowB[0], rowB[1]) ? rowA : rowB;
+    d1 = direction(ab[0], ab[1]);
+  }
+  // Principal directions are orthogonal in the tangent plane
+  const d2 = cross3(f.n, d1);
+
+  return { k1: k1, k2: k2, d1: d1, d2: d2, n: f.n, umbilic: umbilic };
+}
+
+// 3-point Gauss–Legendre rule on [-1, 1]: exact for degree 5 polynomials
+const GAUSS_NODES = [-Math.sqrt(3 / 5), 0.0, Math.sqrt(3 / 5)];
+const GAUSS_WEIGHTS = [5 / 9, 8 / 9, 5 / 9];
+
+/**
+ * Exact (numerically integrated) area ∫∫ |dP/du x dP/dv| du dv and
+ * enclosed volume (1/3) ∫∫ P · (dP/dv x dP/du) du dv over the domain,
+ * by Gauss–Legendre quadrature on cells x cells parameter cells. Rows
+ * are split at the creases, and the sample points never hit a pole.
+ * The volume is only meaningful for closed (not twoSided) surfaces.
+ *
+ * Returns { area, volume }
+ */
+function surfaceMeasures(surface, params, cells) {
+  if (cells === undefined) cells = 64;
+  const domain = surface.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+  const vBreaks = [vMin]
+    .concat(
+      surface.creases(params).filter(function (c) {
+        return c > vMin && c < vMax;
+      }),
+      [vMax]
+    )
+    .sort(function (a, b) {
+      return a - b;
+    });
+
+  let area = 0.0;
+  let volume = 0.0;
+  const du = (uMax - uMin) / cells;
+  for (let band = 0; band + 1 < vBreaks.length; band++) {
+    const bandCells = Math.max(
+      1,
+      Math.round((cells * (vBreaks[band + 1] - vBreaks[band])) / (vMax - vMin))
+    );
+    const dv = (vBreaks[band + 1] - vBreaks[band]) / bandCells;
+    for (let j = 0; j < bandCells; j++) {
+      for (let i = 0; i < cells; i++) {
+        for (let b = 0; b < GAUSS_NODES.length; b++) {
+          const v = vBreaks[band] + dv * (j + 0.5 + 0.5 * GAUSS_NODES[b]);
+          for (let a = 0; a < GAUSS_NODES.length; a++) {
+            const u = uMin + du * (i + 0.5 + 0.5 * GAUSS_NODES[a]);
+            const weight = 0.25 * du * dv * GAUSS_WEIGHTS[a] * GAUSS_WEIGHTS[b];
+            const d = surfaceDerivatives(surface, u, v, params);
+            const n = cross3(d.dv, d.du);
+            const P = surface.position(u, v, params);
+            area += weight * Math.hypot(n[0], n[1], n[2]);
+            volume += (weight * dot3(P, n)) / 3;
+          }
+        }
+      }
+    }
+  }
+  return { area: area, volume: volume };
+}
+
+/*======================  PLANAR SLICING  ======================*/
+
+// Unit normal and offset (signed distance from the origin) of a plane
+function normalizePlane(normal, offset) {
+  const len = Math.hypot(normal[0], normal[1], normal[2]);
+  if (!(len > 0)) {
+    throw new Error("Slice plane normal must not be zero.");
+  }
+  return {
+    normal: normal.map(function (c) {
+      return c / len;
+    }),
+    offset: offset,
+  };
+}
+
+/**
+ * Intersection of the surface with the plane normal · P = offset (the
+ * normal is normalized here) as polylines on the true surface: marching
+ * squares on a uSegments x vSegments parameter grid, every crossing
+ * refined by bisection along its grid edge. Pieces are joined across
+ * seams where their end points coincide; closed loops repeat their
+ * first point at the end.
+ *
+ * Returns [{ points: [x, y, z, ...], closed }]
+ */
+function surfaceSliceContours(
+  surface,
+  params,
+  normal,
+  offset,
+  uSegments,
+  vSegments
+) {
+  if (uSegments === undefined) uSegments = 128;
+  if (vSegments === undefined) vSegments = 128;
+  const plane = normalizePlane(normal, offset);
+  const domain = surface.domain(params);
+  const [uMin, uMax] = domain.u;
+  const [vMin, vMax] = domain.v;
+
+  function distance(P) {
+    return dot3(plane.normal, P) - plane.offset;
+  }
+  function uAt(i) {
+    return uMin + ((uMax - uMin) * i) / uSegments;
+  }
+  function vAt(j) {
+    return vMin + ((vMax - vMin) * j) / vSegments;
+  }
+
+  // Signed distances of the grid points
+  const stride = uSegments + 1;
+  const f = new Float64Array(stride * (vSegments + 1));
+  for (let j = 0; j <= vSegments; j++) {
+    for (let i = 0; i <= uSegments; i++) {
+      f[j * stride + i] = distance(surface.position(uAt(i), vAt(j), params));
+    }
+  }
+  function above(i, j) {
+    return f[j * stride + i] > 0;
+  }
+
+  // Crossing points, shared by the two cells of an edge and merged by
+  // position so that seams and poles join up
+  let points = [];
+  let pointIds = new Map();
+  let edgeIds = new Map();
+  function crossing(i0, j0, i1, j1) {
+    const key = i0 + "," + j0 + "," + i1 + "," + j1;
+    if (edgeIds.has(key)) return edgeIds.get(key);
+
+    function at(t) {
+      return surface.position(
+        uAt(i0 + t * (i1 - i0)),
+        vAt(j0 + t * (j1 - j0)),
+        params
+      );
+    }
+    let t0 = 0.0;
+    let t1 = 1.0;
+    const positive0 = above(i0, j0);
+    for (let step = 0; step < 30; step++) {
+      const t = 0.5 * (t0 + t1);
+      if (distance(at(t)) > 0 === positive0) t0 = t;
+      else t1 = t;
+    }
+    const P = at(0.5 * (t0 + t1));
+
+    const spatialKey = P.map(function (c) {
+      return Math.round(c * 1e6);
+    }).join(",");
+    if (!pointIds.has(spatialKey)) {
+      pointIds.set(spatialKey, points.length);
+      points.push(P);
+    }
+    const id = pointIds.get(spatialKey);
+    edgeIds.set(key, id);
+    return id;
+  }
+
+  // Marching squares: corners c0 (i, j), c1 (i+1, j), c2 (i+1, j+1),
+  // c3 (i, j+1); edge k runs from corner k to corner k+1
+  function cellEdgeCrossing(corners, k) {
+    // Canonical direction, so both cells of an edge share its point
+    const ends = [corners[k], corners[(k + 1) % 4]].sort(function (p, q) {
+      return p[1] - q[1] || p[0] - q[0];
+    });
+    return crossing(ends[0][0], ends[0][1], ends[1][0], ends[1][1]);
+  }
+
+  let segments = [];
+  for (let j = 0; j < vSegments; j++) {
+    for (let i = 0; i < uSegments; i++) {
+      const corners = [
+        [i, j],
+        [i + 1, j],
+        [i + 1, j + 1],
+        [i, j + 1],
+      ];
+      const signs = corners.map(function (corner) {
+        return above(corner[0], corner[1]);
+      });
+      let crossed = [];
+      for (let k = 0; k < 4; k++) {
+        if (signs[k] !== signs[(k + 1) % 4]) crossed.push(k);
+      }
+      if (crossed.length === 0) continue;
+
+      let pairs;
+      if (crossed.length === 2) {
+        pairs = [[crossed[0], crossed[1]]];
+      } else {
+        // Saddle: the cell centre decides which corners are connected
+        const center = distance(
+          surface.position(uAt(i + 0.5), vAt(j + 0.5), params)
+        );
+        pairs =
+          center > 0 === signs[0]
+            ? [
+                [0, 1],
+                [2, 3],
+              ]
+            : [
+                [3, 0],
+                [1, 2],
+              ];
+      }
+      pairs.forEach(function (pair) {
+        const a = cellEdgeCrossing(corners, pair[0]);
+        const b = cellEdgeCrossing(corners, pair[1]);
+        if (a !== b) segments.push([a, b]);
+      });
+    }
+  }
+
+  // Chain segments into polylines, open ones from their ends first
+  const incident = points.map(function () {
+    return [];
+  });
+  segments.forEach(function (segment, s) {
+    incident[segment[0]].push(s);
+    incident[segment[1]].push(s);
+  });
+  let used = new Array(segments.length).fill(false);
+  function isFree(s) {
+    return !used[s];
+  }
+  function walk(start) {
+    let chain = [start];
+    let current = start;
+    for (;;) {
+      const s = incident[current].find(isFree);
+      if (s === undefined) break;
+      used[s] = true;
+      current = segments[s][0] === current ? segments[s][1] : segments[s][0];
+      chain.push(current);
+    }
+    return chain;
+  }
+
+  const ids = Array.from(points.keys());
+  const starts = ids
+    .filter(function (id) {
+      return incident[id].length % 2 === 1;
+    })
+    .concat(ids);
+  let contours = [];
+  starts.forEach(function (start) {
+    while (incident[start].some(isFree)) {
+      const chain = walk(start);
+      let flat = [];
+      chain.forEach(function (id) {
+        flat.push(points[id][0], points[id][1], points[id][2]);
+      });
+      contours.push({
+        points: flat,
+        closed: chain.length > 2 && chain[0] === chain[chain.length - 1],
+      });
+    }
+  });
+  return contours;
+}
+
+/*======================  PARABOLIC HUMMING-TOP  ======================*/
+
+// Parabolic Humming-Top parametric function, mapped to (x, y, z)
+// y ∈ [-h, h], beta ∈ [0, 2π]
+function parabolicHummingTopVertex(y, beta, h, p) {
+  const rBase = Math.abs(y) - h; // |y| - h
+  const r = (rBase * rBase) / (2 * p); // (|y| - h)^2 / (2p)
+
+  const x = r * Math.cos(beta);
+  const z = r * Math.sin(beta);
+
+  return [x, y, z];
+}
+
+// Partial derivatives of parabolicHummingTopVertex.
+// sheet: -1 (lower) or +1 (upper); picks the one-sided derivative at the
+// y = 0 crease where |y| is not differentiable. Defaults to sign(y).
+// Returns { dy: dP/dy, dbeta: dP/dbeta }
+function parabolicHummingTopDerivatives(y, beta, h, p, sheet) {
+  const s = sheet || Math.sign(y);
+  const rBase = Math.abs(y) - h;
+  const r = (rBase * rBase) / (2 * p);
+  const dr = (rBase * s) / p; // dr/dy
+
+  const cosB = Math.cos(beta);
+  const sinB = Math.sin(beta);
+
+  return {
+    dy: [dr * cosB, 1.0, dr * sinB],
+    dbeta: [-r * sinB, 0.0, r * cosB],
+  };
+}
+
+// Second partial derivatives of parabolicHummingTopVertex, one-sided at
+// the crease like parabolicHummingTopDerivatives.
+// Returns { dyy, dybeta, dbetabeta }
+function parabolicHummingTopSecondDerivatives(y, beta, h, p, sheet) {
+  const s = sheet || Math.sign(y);
+  const rBase = Math.abs(y) - h;
+  const r = (rBase * rBase) / (2 * p);
+  const dr = (rBase * s) / p;
+  const ddr = 1.0 / p; // d2r/dy2 (s² = 1)
+
+  const cosB = Math.cos(beta);
+  const sinB = Math.sin(beta);
+
+  return {
+    dyy: [ddr * cosB, 0.0, ddr * sinB],
+    dybeta: [-dr * sinB, 0.0, dr * cosB],
+    dbetabeta: [-r * cosB, 0.0, -r * sinB],
+  };
+}
+
+registerSurface("hummingTop", {
+  name: "Parabolic Humming-Top",
+  params: {
+    h: { label: "Height h", min: 0.5, max: 1.5, step: 0.05, defaultValue: 1.0 },
+    p: {
+      label: "Parabola p",
+      min: 0.25,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 0.5,
+    },
+  },
+  domain: function (params) {
+    return { u: [0, 2 * Math.PI], v: [-params.h, params.h] };
+  },
+  position: function (u, v, params) {
+    return parabolicHummingTopVertex(v, u, params.h, params.p);
+  },
+  derivatives: function (u, v, params, side) {
+    const d = parabolicHummingTopDerivatives(v, u, params.h, params.p, side);
+    return { du: d.dbeta, dv: d.dy };
+  },
+  secondDerivatives: function (u, v, params, side) {
+    const d = parabolicHummingTopSecondDerivatives(
+      v,
+      u,
+      params.h,
+      params.p,
+      side
+    );
+    return { uu: d.dbetabeta, uv: d.dybeta, vv: d.dyy };
+  },
+  creases: function () {
+    return [0.0]; // the two parabolic sheets meet at y = 0
+  },
+});
+
+/*======================  OTHER SURFACES  ======================*/
+
+registerSurface("sphere", {
+  name: "Sphere",
+  params: {
+    R: {
+      label: "Radius R",
+      min: 0.25,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 1.0,
+    },
+  },
+  domain: function () {
+    return { u: [0, 2 * Math.PI], v: [-Math.PI / 2, Math.PI / 2] };
+  },
+  position: function (u, v, params) {
+    const R = params.R;
+    return [
+      R * Math.cos(v) * Math.cos(u),
+      R * Math.sin(v),
+      R * Math.cos(v) * Math.sin(u),
+    ];
+  },
+  derivatives: function (u, v, params) {
+    const R = params.R;
+    return {
+      du: [-R * Math.cos(v) * Math.sin(u), 0.0, R * Math.cos(v) * Math.cos(u)],
+      dv: [
+        -R * Math.sin(v) * Math.cos(u),
+        R * Math.cos(v),
+        -R * Math.sin(v) * Math.sin(u),
+      ],
+    };
+  },
+});
+
+registerSurface("torus", {
+  name: "Torus",
+  params: {
+    R: {
+      label: "Major radius R",
+      min: 0.5,
+      max: 1.5,
+      step: 0.05,
+      defaultValue: 1.0,
+    },
+    r: {
+      label: "Minor radius r",
+      min: 0.1,
+      max: 0.8,
+      step: 0.05,
+      defaultValue: 0.35,
+    },
+  },
+  domain: function () {
+    return { u: [0, 2 * Math.PI], v: [0, 2 * Math.PI] };
+  },
+  position: function (u, v, params) {
+    const ring = params.R + params.r * Math.cos(v);
+    return [ring * Math.cos(u), params.r * Math.sin(v), ring * Math.sin(u)];
+  },
+  derivatives: function (u, v, params) {
+    const r = params.r;
+    const ring = params.R + r * Math.cos(v);
+    return {
+      du: [-ring * Math.sin(u), 0.0, ring * Math.cos(u)],
+      dv: [
+        -r * Math.sin(v) * Math.cos(u),
+        r * Math.cos(v),
+        -r * Math.sin(v) * Math.sin(u),
+      ],
+    };
+  },
+});
+
+registerSurface("mobius", {
+  name: "Möbius Strip",
+  params: {
+    R: { label: "Radius R", min: 0.5, max: 1.5, step: 0.05, defaultValue: 1.0 },
+    w: {
+      label: "Half-width w",
+      min: 0.1,
+      max: 0.6,
+      step: 0.05,
+      defaultValue: 0.4,
+    },
+  },
+  domain: function (params) {
+    return { u: [0, 2 * Math.PI], v: [-params.w, params.w] };
+  },
+  position: function (u, v, params) {
+    const ring = params.R + v * Math.cos(u / 2);
+    return [ring * Math.cos(u), v * Math.sin(u / 2), ring * Math.sin(u)];
+  },
+  twoSided: true,
+});
+
+// Figure-8 immersion, scaled to fit the view
+registerSurface("klein", {
+  name: "Klein Bottle",
+  params: {
+    a: { label: "Radius a", min: 1.5, max: 3.0, step: 0.1, defaultValue: 2.0 },
+  },
+  domain: function () {
+    return { u: [0, 2 * Math.PI], v: [0, 2 * Math.PI] };
+  },
+  position: function (u, v, params) {
+    const scale = 0.4;
+    const ring =
+      params.a +
+      Math.cos(u / 2) * Math.sin(v) -
+      Math.sin(u / 2) * Math.sin(2 * v);
+    const height =
+      Math.sin(u / 2) * Math.sin(v) + Math.cos(u / 2) * Math.sin(2 * v);
+    return [
+      scale * ring * Math.cos(u),
+      scale * height,
+      scale * ring * Math.sin(u),
+    ];
+  },
+  twoSided: true,
+});
+
+// Pseudosphere with a helical twist; the tip (v -> 0) is cut off
+registerSurface("dini", {
+  name: "Dini's Surface",
+  params: {
+    a: {
+      label: "Radius a",
+      min: 0.25,
+      max: 1.0,
+      step: 0.05,
+      defaultValue: 0.5,
+    },
+    b: { label: "Twist b", min: 0.0, max: 0.3, step: 0.01, defaultValue: 0.1 },
+  },
+  domain: function () {
+    return { u: [0, 4 * Math.PI], v: [0.1, 2.0] };
+  },
+  position: function (u, v, params) {
+    const a = params.a;
+    return [
+      a * Math.cos(u) * Math.sin(v),
+      a * (Math.cos(v) + Math.log(Math.tan(v / 2)) + 1.0) +
+        params.b * (u - 2 * Math.PI),
+      a * Math.sin(u) * Math.sin(v),
+    ];
+  },
+  twoSided: true,
+});
+
+// Isometric deformation: t = 0 is the helicoid, t = 1 the catenoid
+registerSurface("catenoidHelicoid", {
+  name: "Catenoid / Helicoid",
+  params: {
+    t: { label: "Blend t", min: 0.0, max: 1.0, step: 0.05, defaultValue: 1.0 },
+  },
+  domain: function () {
+    return { u: [-Math.PI, Math.PI], v: [-1.0, 1.0] };
+  },
+  position: function (u, v, params) {
+    const scale = 0.5;
+    const theta = (params.t * Math.PI) / 2;
+    const cosT = Math.cos(theta);
+    const sinT = Math.sin(theta);
+    return [
+      scale *
+        (sinT * Math.cosh(v) * Math.cos(u) + cosT * Math.sinh(v) * Math.sin(u)),
+      scale * (cosT * u + sinT * v),
+      scale *
+        (sinT * Math.cosh(v) * Math.sin(u) - cosT * Math.sinh(v) * Math.cos(u)),
+    ];
+  },
+  twoSided: true,
+});
@@ -0,0 +1,293 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts.js");
+
+const scope = loadScripts([
+  "Utils/m4.js",
+  "surfaces.js",
+  "expression.js",
+  "geometry.js",
+  "importers.js",
+  "exporters.js",
+]);
+const CreateSurfaceData = scope("CreateSurfaceData");
+const exportMesh = scope("exportMesh");
+const importMeshFile = scope("importMeshFile");
+const parseOBJ = scope("parseOBJ");
+const parsePLY = scope("parsePLY");
+const parseGLB = scope("parseGLB");
+const parseGLTF = scope("parseGLTF");
+const buildGLTF = scope("buildGLTF");
+
+// The text formats round to 6 decimals
+const TEXT_TOLERANCE = 1e-5;
+const FLOAT32_TOLERANCE = 1e-6;
+
+const mesh = CreateSurfaceData(12, 16, { surface: "hummingTop" });
+
+function exportedFile(format, extension) {
+  const files = exportMesh(format, mesh, { name: "top" });
+  const file = files.find(function (entry) {
+    return entry.name.endsWith(extension);
+  });
+  assert.ok(file, format + " writes a " + extension + " file");
+  return file.data;
+}
+
+function toArrayBuffer(data) {
+  return typeof data === "string"
+    ? new TextEncoder().encode(data).buffer
+    : data;
+}
+
+// Same triangles, corner by corner, with the same per-vertex attributes
+// (the importers may number the vertices differently)
+function assertSameTriangles(imported, keys, tolerance) {
+  assert.equal(imported.indices.length, mesh.indices.length, "index count");
+  const sizes = { positions: 3, normals: 3, texCoords: 2 };
+  keys.forEach(function (key) {
+    assert.ok(imported[key], key + " imported");
+    const size = sizes[key];
+    for (let k = 0; k < mesh.indices.length; k++) {
+      const a = imported.indices[k];
+      const b = mesh.indices[k];
+      for (let c = 0; c < size; c++) {
+        const error = Math.abs(
+          imported[key][size * a + c] - mesh[key][size * b + c]
+        );
+        if (!(error <= tolerance)) {
+          assert.fail(key + " of corner " + k + " differs by " + error);
+        }
+      }
+    }
+  });
+}
+
+test("OBJ round trip", function () {
+  const imported = parseOBJ(exportedFile("obj", ".obj"));
+  assertSameTriangles(
+    imported,
+    ["positions", "normals", "texCoords"],
+    TEXT_TOLERANCE
+  );
+});
+
+test("PLY round trip", function () {
+  const imported = parsePLY(toArrayBuffer(exportedFile("ply", ".ply")));
+  assertSameTriangles(
+    imported,
+    ["positions", "normals", "texCoords"],
+    TEXT_TOLERANCE
+  );
+});
+
+test("glTF and GLB round trips", function () {
+  const gltf = parseGLTF(JSON.parse(exportedFile("gltf", ".gltf")), null);
+  assertSameTriangles(
+    gltf,
+    ["positions", "normals", "texCoords"],
+    FLOAT32_TOLERANCE
+  );
+  const glb = parseGLB(exportedFile("glb", ".glb"));
+  assertSameTriangles(
+    glb,
+    ["positions", "normals", "texCoords"],
+    FLOAT32_TOLERANCE
+  );
+});
+
+test("glTF tangent w follows the handedness of the UVs", function () {
+  function tangentW(t) {
+    const quad = {
+      positions: [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0],
+      normals: [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1],
+      tangents: [1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0],
+      texCoords: [0, t[0], 1, t[1], 1, t[2], 0, t[3]],
+      indices: [0, 1, 2, 0, 2, 3],
+    };
+    const gltf = buildGLTF(quad, {});
+    const primitive = gltf.json.meshes[0].primitives[0];
+    const accessor = gltf.json.accessors[primitive.attributes.TANGENT];
+    const view = gltf.json.bufferViews[accessor.bufferView];
+    const tangents = new Float32Array(
+      gltf.bin.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength)
+    );
+    return [3, 7, 11, 15].map(function (i) {
+      return tangents[i];
+    });
+  }
+  // s along the tangent +x, t up +y = cross(N, T)
+  assert.deepEqual(tangentW([0, 0, 1, 1]), [1, 1, 1, 1]);
+  // Mirrored mapping: t down
+  assert.deepEqual(tangentW([1, 1, 0, 0]), [-1, -1, -1, -1]);
+});
+
+test("binary STL has one 50-byte record per triangle", function () {
+  const data = exportedFile("stl", ".stl");
+  const triangles = mesh.indices.length / 3;
+  assert.equal(data.byteLength, 84 + 50 * triangles);
+  assert.equal(new DataView(data).getUint32(80, true), triangles);
+});
+
+test("importMeshFile fits the mesh into the view", function () {
+  const imported = importMeshFile(
+    "top.PLY",
+    toArrayBuffer(exportedFile("ply", ".ply"))
+  );
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  let radius = 0;
+  for (let i = 0; i < imported.positions.length; i += 3) {
+    const p = imported.positions.slice(i, i + 3);
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], p[c]);
+      max[c] = Math.max(max[c], p[c]);
+    }
+    radius = Math.max(radius, Math.hypot(p[0], p[1], p[2]));
+  }
+  for (let c = 0; c < 3; c++) {
+    assert.ok(Math.abs(min[c] + max[c]) < 1e-6, "centered on axis " + c);
+  }
+  assert.ok(Math.abs(radius - 1) < 1e-6, "bounding radius " + radius);
+
+  assert.throws(function () {
+    importMeshFile("top.stl", new ArrayBuffer(84));
+  }, /Unsupported mesh format '\.stl'/);
+  assert.throws(function () {
+    exportMesh("fbx", mesh);
+  }, /Unknown export format 'fbx'/);
+});
+
+test("OBJ polygons, relative indices and missing attributes", function () {
+  const imported = parseOBJ(
+    [
+      "v 0 0 0",
+      "v 1 0 0",
+      "v 1 1 0",
+      "v 0 1 0",
+      "# a quad through relative indices, fan-triangulated",
+      "f -4 -3 -2 -1",
+    ].join("\n")
+  );
+  assert.deepEqual(Array.from(imported.indices), [0, 1, 2, 0, 2, 3]);
+  assert.equal(imported.normals, null);
+  assert.equal(imported.texCoords, null);
+
+  assert.throws(function () {
+    parseOBJ("v 0 0 0\nv 1 0 0\nf 1 2 3\n");
+  }, /OBJ line 3: index out of range/);
+});
+
+test("binary PLY in either byte order", function () {
+  [true, false].forEach(function (littleEndian) {
+    const header =
+      "ply\nformat binary_" +
+      (littleEndian ? "little" : "big") +
+      "_endian 1.0\nelement vertex 4\nproperty float x\nproperty float y\n" +
+      "property float z\nelement face 1\n" +
+      "property list uchar int vertex_index\nend_header\n";
+    const headerBytes = new TextEncoder().encode(header);
+    const buffer = new ArrayBuffer(headerBytes.length + 4 * 12 + 1 + 4 * 4);
+    new Uint8Array(buffer).set(headerBytes);
+    const view = new DataView(buffer);
+    let offset = headerBytes.length;
+    [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0].forEach(function (x) {
+      view.setFloat32(offset, x, littleEndian);
+      offset += 4;
+    });
+    view.setUint8(offset++, 4);
+    [0, 1, 2, 3].forEach(function (index) {
+      view.setInt32(offset, index, littleEndian);
+      offset += 4;
+    });
+
+    const imported = parsePLY(buffer);
+    assert.deepEqual(
+      Array.from(imported.positions),
+      [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]
+    );
+    assert.deepEqual(Array.from(imported.indices), [0, 1, 2, 0, 2, 3]);
+  });
+
+  assert.throws(function () {
+    parsePLY(
+      toArrayBuffer(
+        "ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\n" +
+          "property float y\nproperty float z\nelement face 1\n" +
+          "property list uchar int vertex_indices\nend_header\n" +
+          "0 0 0\n3 0 1 2\n"
+      )
+    );
+  }, /PLY: face index 1 out of range/);
+});
+
+// Embedded glTF with one triangle primitive; indices may be omitted
+function gltfTriangles(positions, indices, node) {
+  const positionBytes = Buffer.from(new Float32Array(positions).buffer);
+  const indexBytes = Buffer.from(new Uint32Array(indices || []).buffer);
+  const primitive = { attributes: { POSITION: 0 } };
+  const accessors = [
+    {
+      bufferView: 0,
+      componentType: 5126,
+      count: positions.length / 3,
+      type: "VEC3",
+    },
+  ];
+  if (indices) {
+    primitive.indices = 1;
+    accessors.push({
+      bufferView: 1,
+      componentType: 5125,
+      count: indices.length,
+      type: "SCALAR",
+    });
+  }
+  const data = Buffer.concat([positionBytes, indexBytes]);
+  return {
+    asset: { version: "2.0" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [Object.assign({ mesh: 0 }, node)],
+    meshes: [{ primitives: [primitive] }],
+    accessors: accessors,
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positionBytes.length },
+      {
+        buffer: 0,
+        byteOffset: positionBytes.length,
+        byteLength: indexBytes.length,
+      },
+    ],
+    buffers: [
+      {
+        byteLength: data.length,
+        uri: "data:application/octet-stream;base64," + data.toString("base64"),
+      },
+    ],
+  };
+}
+
+test("glTF node transforms and non-indexed primitives", function () {
+  const imported = parseGLTF(
+    gltfTriangles([0, 0, 0, 1, 0, 0, 0, 1, 0], null, {
+      translation: [1, 2, 3],
+    }),
+    null
+  );
+  assert.deepEqual(Array.from(imported.positions), [1, 2, 3, 2, 2, 3, 1, 3, 3]);
+  assert.deepEqual(Array.from(imported.indices), [0, 1, 2]);
+  assert.equal(imported.normals, null);
+
+  assert.throws(function () {
+    parseGLTF({ asset: { version: "1.0" } }, null);
+  }, /only version 2.0/);
+});
+
+test("glTF indices past the primitive's vertices are rejected", function () {
+  assert.throws(function () {
+    parseGLTF(gltfTriangles([0, 0, 0, 1, 0, 0, 0, 1, 0], [0, 1, 3]), null);
+  }, /glTF: index 3 out of range/);
+});
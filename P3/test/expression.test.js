@@ -0,0 +1,125 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts.js");
+
+const scope = loadScripts(["surfaces.js", "expression.js"]);
+const compileExpression = scope("compileExpression");
+const evaluateConstantExpression = scope("evaluateConstantExpression");
+const registerFormulaSurface = scope("registerFormulaSurface");
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    (message || "value") + ": " + actual + " is not close to " + expected
+  );
+}
+
+// Throws an ExpressionError whose message matches pattern
+function assertExpressionError(source, pattern) {
+  assert.throws(
+    function () {
+      compileExpression(source);
+    },
+    function (error) {
+      return error.name === "ExpressionError" && pattern.test(error.message);
+    },
+    source
+  );
+}
+
+test("operator precedence and associativity", function () {
+  assert.equal(compileExpression("1 + 2 * 3")(0, 0).value, 7);
+  assert.equal(compileExpression("-2^2")(0, 0).value, -4);
+  assert.equal(compileExpression("2^3^2")(0, 0).value, 512);
+  assert.equal(compileExpression("2**3")(0, 0).value, 8);
+  assert.equal(compileExpression("(1 + 2) * 3")(0, 0).value, 9);
+  assert.equal(compileExpression("8 / 4 / 2")(0, 0).value, 1);
+});
+
+test("constants and constant expressions", function () {
+  assertClose(evaluateConstantExpression("2*pi"), 2 * Math.PI, 1e-15);
+  assertClose(evaluateConstantExpression("e^1"), Math.E, 1e-15);
+});
+
+test("derivatives are exact", function () {
+  const f = compileExpression("sin(u) * v^2 + exp(u*v)");
+  const u = 0.7;
+  const v = 1.3;
+  const result = f(u, v);
+  assertClose(result.value, Math.sin(u) * v * v + Math.exp(u * v), 1e-12);
+  assertClose(
+    result.du,
+    Math.cos(u) * v * v + v * Math.exp(u * v),
+    1e-12,
+    "du"
+  );
+  assertClose(
+    result.dv,
+    2 * Math.sin(u) * v + u * Math.exp(u * v),
+    1e-12,
+    "dv"
+  );
+});
+
+test("unknown names and functions are rejected", function () {
+  assertExpressionError("w + 1", /Unknown name 'w'/);
+  assertExpressionError("foo(u)", /Unknown function 'foo'/);
+  assertExpressionError("sin(u, v)", /takes 1 argument/);
+  assertExpressionError("u +", /Unexpected end of input/);
+  assertExpressionError("u $ v", /Unexpected character/);
+  // No way out of the expression language
+  assertExpressionError("alert(1)", /Unknown function 'alert'/);
+  assertExpressionError("u; v", /Unexpected character ';'/);
+  assertExpressionError("u.constructor", /Unexpected character '\.'/);
+});
+
+test("Object.prototype members are not names", function () {
+  assertExpressionError("constructor", /Unknown name 'constructor'/);
+  assertExpressionError("valueOf + 1", /Unknown name 'valueOf'/);
+  assertExpressionError("u*toString", /Unknown name 'toString'/);
+  assertExpressionError("__proto__", /Unknown name '__proto__'/);
+  assertExpressionError(
+    "hasOwnProperty(u)",
+    /Unknown function 'hasOwnProperty'/
+  );
+});
+
+test("formula surfaces", function () {
+  const surface = registerFormulaSurface("testCylinder", {
+    x: "cos(u)",
+    y: "v",
+    z: "sin(u)",
+    uMin: "0",
+    uMax: "2*pi",
+    vMin: "-1",
+    vMax: "1",
+  });
+  const domain = surface.domain();
+  assertClose(domain.u[1], 2 * Math.PI, 1e-15);
+  const p = surface.position(Math.PI / 2, 0.5);
+  assertClose(p[0], 0, 1e-15);
+  assertClose(p[1], 0.5, 1e-15);
+  assertClose(p[2], 1, 1e-15);
+  const d = surface.derivatives(Math.PI / 2, 0.5);
+  assertClose(d.du[0], -1, 1e-15);
+  assertClose(d.dv[1], 1, 1e-15);
+
+  assert.throws(
+    function () {
+      registerFormulaSurface("testBroken", {
+        x: "u",
+        y: "w",
+        z: "0",
+        uMin: "0",
+        uMax: "1",
+        vMin: "0",
+        vMax: "1",
+      });
+    },
+    function (error) {
+      return /^y: Unknown name 'w'/.test(error.message);
+    }
+  );
+});
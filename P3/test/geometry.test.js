@@ -0,0 +1,106 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts.js");
+
+const scope = loadScripts(["surfaces.js", "expression.js", "geometry.js"]);
+const CreateSurfaceData = scope("CreateSurfaceData");
+const listSurfaces = scope("listSurfaces");
+const toTransferableMesh = scope("toTransferableMesh");
+const NORMAL_MODES = [
+  scope("NORMALS_FACET_AVERAGE"),
+  scope("NORMALS_ANALYTIC"),
+];
+
+function faceNormal(positions, a, b, c) {
+  const e1 = [0, 1, 2].map(function (k) {
+    return positions[3 * b + k] - positions[3 * a + k];
+  });
+  const e2 = [0, 1, 2].map(function (k) {
+    return positions[3 * c + k] - positions[3 * a + k];
+  });
+  return [
+    e1[1] * e2[2] - e1[2] * e2[1],
+    e1[2] * e2[0] - e1[0] * e2[2],
+    e1[0] * e2[1] - e1[1] * e2[0],
+  ];
+}
+
+listSurfaces().forEach(function (surface) {
+  NORMAL_MODES.forEach(function (normalMode) {
+    test(surface.id + " with " + normalMode + " normals", function () {
+      const mesh = CreateSurfaceData(24, 20, {
+        surface: surface.id,
+        normalMode: normalMode,
+      });
+      const vertexCount = mesh.positions.length / 3;
+      assert.equal(mesh.normals.length, 3 * vertexCount);
+      assert.equal(mesh.texCoords.length, 2 * vertexCount);
+      assert.ok(mesh.indices.length > 0);
+
+      for (let i = 0; i < vertexCount; i++) {
+        const n = mesh.normals.slice(3 * i, 3 * i + 3);
+        const length = Math.hypot(n[0], n[1], n[2]);
+        if (!(Math.abs(length - 1) < 1e-6)) {
+          assert.fail("normal " + i + " has length " + length);
+        }
+      }
+      mesh.indices.forEach(function (index) {
+        assert.ok(index >= 0 && index < vertexCount, "index " + index);
+      });
+
+      // Vertex normals follow the triangle winding (one-sided surfaces)
+      if (surface.twoSided) return;
+      for (let t = 0; t < mesh.indices.length; t += 3) {
+        const corners = mesh.indices.slice(t, t + 3);
+        const f = faceNormal(mesh.positions, ...corners);
+        if (Math.hypot(f[0], f[1], f[2]) < 1e-12) continue;
+        corners.forEach(function (vi) {
+          const dot =
+            f[0] * mesh.normals[3 * vi] +
+            f[1] * mesh.normals[3 * vi + 1] +
+            f[2] * mesh.normals[3 * vi + 2];
+          if (!(dot > 0)) {
+            assert.fail("normal " + vi + " faces away from triangle " + t / 3);
+          }
+        });
+      }
+    });
+  });
+});
+
+test("facet-average normals approach the analytic ones", function () {
+  const options = { surface: "sphere" };
+  const facet = CreateSurfaceData(48, 48, options);
+  const analytic = CreateSurfaceData(
+    48,
+    48,
+    Object.assign({ normalMode: NORMAL_MODES[1] }, options)
+  );
+  let worst = 1;
+  for (let k = 0; k < facet.normals.length; k += 3) {
+    worst = Math.min(
+      worst,
+      facet.normals[k] * analytic.normals[k] +
+        facet.normals[k + 1] * analytic.normals[k + 1] +
+        facet.normals[k + 2] * analytic.normals[k + 2]
+    );
+  }
+  assert.ok(worst > Math.cos((2 * Math.PI) / 180), "worst cosine " + worst);
+});
+
+test("transferable meshes are typed copies", function () {
+  const data = CreateSurfaceData(6, 5, { surface: "torus" });
+  const packed = toTransferableMesh(data);
+  ["positions", "normals", "tangents", "texCoords", "indices"].forEach(
+    function (key) {
+      assert.equal(packed.mesh[key].length, data[key].length, key);
+      assert.ok(packed.transfer.includes(packed.mesh[key].buffer), key);
+      for (let i = 0; i < data[key].length; i++) {
+        assert.equal(packed.mesh[key][i], Math.fround(data[key][i]), key);
+      }
+    }
+  );
+  assert.equal(packed.mesh.indices.constructor.name, "Uint32Array");
+});
@@ -0,0 +1,34 @@
+"use strict";
+
+// The P3 modules are classic browser scripts sharing one global scope.
+// loadScripts runs the given ones (paths relative to P3, in index.html
+// order) in a fresh context the same way and returns a function that
+// evaluates an expression there, e.g. scope("compileExpression").
+// Values from the context have its own builtins: compare them by value.
+// Run the tests from the repository root with
+//   node --test P3/test/*.test.js
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const P3_DIR = path.join(__dirname, "..");
+
+function loadScripts(files) {
+  const context = vm.createContext({
+    console: console,
+    TextDecoder: TextDecoder,
+    TextEncoder: TextEncoder,
+  });
+  files.forEach(function (file) {
+    const fileName = path.join(P3_DIR, file);
+    vm.runInContext(fs.readFileSync(fileName, "utf8"), context, {
+      filename: fileName,
+    });
+  });
+  return function (expression) {
+    return vm.runInContext(expression, context);
+  };
+}
+
+module.exports = { loadScripts: loadScripts };
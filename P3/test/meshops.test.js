@@ -0,0 +1,151 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts.js");
+
+const scope = loadScripts([
+  "surfaces.js",
+  "expression.js",
+  "geometry.js",
+  "meshops.js",
+]);
+const CreateSurfaceData = scope("CreateSurfaceData");
+const CreateSurfaceQuads = scope("CreateSurfaceQuads");
+const applyMeshOperator = scope("applyMeshOperator");
+const surfaceDeviation = scope("surfaceDeviation");
+const surfaceDeviationReport = scope("surfaceDeviationReport");
+const getSurface = scope("getSurface");
+const resolveSurfaceParams = scope("resolveSurfaceParams");
+
+function triangleCount(mesh) {
+  return mesh.indices.length / 3;
+}
+
+function assertFinite(mesh) {
+  ["positions", "texCoords"].forEach(function (key) {
+    for (let i = 0; i < mesh[key].length; i++) {
+      if (!Number.isFinite(mesh[key][i])) {
+        assert.fail(key + "[" + i + "] is " + mesh[key][i]);
+      }
+    }
+  });
+}
+
+// Edges used by one triangle only, vertices identified by position
+function openEdgeCount(mesh) {
+  const key = function (vi) {
+    return Array.from(mesh.positions.slice(3 * vi, 3 * vi + 3))
+      .map(function (x) {
+        return x.toFixed(6);
+      })
+      .join(",");
+  };
+  let uses = new Map();
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = key(mesh.indices[t + k]);
+      const b = key(mesh.indices[t + ((k + 1) % 3)]);
+      const edge = a < b ? a + "|" + b : b + "|" + a;
+      uses.set(edge, (uses.get(edge) || 0) + 1);
+    }
+  }
+  let open = 0;
+  uses.forEach(function (count) {
+    if (count === 1) open++;
+  });
+  return open;
+}
+
+function deviation(mesh, surface) {
+  const surfaceDef = getSurface(surface);
+  return surfaceDeviation(mesh, surfaceDef, resolveSurfaceParams(surfaceDef));
+}
+
+test("Loop subdivision quadruples the triangles of a closed mesh", function () {
+  const sphere = CreateSurfaceData(8, 8, { surface: "sphere" });
+  const result = applyMeshOperator("loop", sphere, { iterations: 2 });
+  assert.equal(triangleCount(result), 16 * triangleCount(sphere));
+  assertFinite(result);
+  assert.equal(openEdgeCount(result), 0);
+});
+
+test("Catmull-Clark splits each grid quad into eight triangles", function () {
+  const quads = CreateSurfaceQuads(8, 6, { surface: "torus" });
+  const result = applyMeshOperator("catmullClark", quads, { iterations: 1 });
+  assert.equal(triangleCount(result), 8 * quads.faces.length);
+  assertFinite(result);
+  assert.equal(openEdgeCount(result), 0);
+});
+
+test("QEM decimation meets the target and stays near the surface", function () {
+  const sphere = CreateSurfaceData(32, 32, { surface: "sphere" });
+  const result = applyMeshOperator("decimate", sphere, {
+    targetTriangles: 400,
+  });
+  assert.ok(triangleCount(result) <= 400, triangleCount(result) + " > 400");
+  assert.ok(triangleCount(result) > 300, "decimated too far");
+  assertFinite(result);
+  assert.equal(openEdgeCount(result), 0);
+  assert.ok(deviation(result, "sphere").hausdorff < 0.1);
+});
+
+test("Hausdorff deviation shrinks with the resolution", function () {
+  const coarse = deviation(
+    CreateSurfaceData(12, 12, { surface: "sphere" }),
+    "sphere"
+  );
+  const fine = deviation(
+    CreateSurfaceData(24, 24, { surface: "sphere" }),
+    "sphere"
+  );
+  assert.ok(coarse.hausdorff > 0);
+  assert.ok(fine.hausdorff < 0.5 * coarse.hausdorff);
+  assert.ok(fine.mean <= fine.hausdorff);
+  assert.equal(
+    coarse.hausdorff,
+    Math.max(coarse.meshToSurface, coarse.surfaceToMesh)
+  );
+});
+
+test("Hausdorff deviation does not depend on the UV mapping", function () {
+  const parametric = deviation(
+    CreateSurfaceData(16, 16, { surface: "hummingTop" }),
+    "hummingTop"
+  );
+  ["cylindrical", "conformal"].forEach(function (mapping) {
+    const mapped = deviation(
+      CreateSurfaceData(16, 16, { surface: "hummingTop", uvMapping: mapping }),
+      "hummingTop"
+    );
+    assert.ok(
+      Math.abs(mapped.hausdorff - parametric.hausdorff) <
+        1e-3 * parametric.hausdorff,
+      mapping + ": " + mapped.hausdorff + " vs " + parametric.hausdorff
+    );
+  });
+});
+
+test("the deviation report compares against a grid of as many triangles", function () {
+  const options = { surface: "torus" };
+  const torus = CreateSurfaceData(8, 8, options);
+  const mesh = applyMeshOperator("loop", torus, { iterations: 1 });
+  const report = surfaceDeviationReport(mesh, options, 8, 8);
+  assert.equal(report.triangles, triangleCount(mesh));
+  assert.deepEqual(
+    [report.grid.uSeg, report.grid.vSeg, report.grid.triangles],
+    [16, 16, 512]
+  );
+  assert.equal(report.shown.hausdorff, deviation(mesh, "torus").hausdorff);
+  assert.equal(
+    report.grid.deviation.hausdorff,
+    deviation(CreateSurfaceData(16, 16, options), "torus").hausdorff
+  );
+});
+
+test("unknown operators are rejected", function () {
+  const sphere = CreateSurfaceData(4, 4, { surface: "sphere" });
+  assert.throws(function () {
+    applyMeshOperator("bevel", sphere);
+  }, /Unknown mesh operator 'bevel'/);
+});
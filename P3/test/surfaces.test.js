@@ -0,0 +1,142 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts.js");
+
+const scope = loadScripts(["surfaces.js"]);
+const registerSurface = scope("registerSurface");
+const getSurface = scope("getSurface");
+const listSurfaces = scope("listSurfaces");
+const resolveSurfaceParams = scope("resolveSurfaceParams");
+const surfaceDerivatives = scope("surfaceDerivatives");
+
+const BUILT_IN_SURFACES = [
+  "hummingTop",
+  "sphere",
+  "torus",
+  "mobius",
+  "klein",
+  "dini",
+  "catenoidHelicoid",
+];
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    (message || "value") + ": " + actual + " is not close to " + expected
+  );
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Enclosed volume by the divergence theorem, (1/3) ∫∫ P . (Pv x Pu),
+// midpoint rule over an n x n grid of the domain: positive when
+// dP/dv x dP/du points outside
+function enclosedVolume(surface, params, n) {
+  const domain = surface.domain(params);
+  const du = (domain.u[1] - domain.u[0]) / n;
+  const dv = (domain.v[1] - domain.v[0]) / n;
+  let volume = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const u = domain.u[0] + (i + 0.5) * du;
+      const v = domain.v[0] + (j + 0.5) * dv;
+      const d = surfaceDerivatives(surface, u, v, params);
+      const p = surface.position(u, v, params);
+      volume += dot(p, cross(d.dv, d.du)) * du * dv;
+    }
+  }
+  return volume / 3;
+}
+
+test("the built-in surfaces are registered", function () {
+  // Array.from: an array of this realm, for deepEqual
+  const ids = Array.from(listSurfaces(), function (surface) {
+    return surface.id;
+  });
+  assert.deepEqual(ids, BUILT_IN_SURFACES);
+  assert.equal(getSurface("sphere").name, "Sphere");
+  assert.equal(getSurface("sphere").twoSided, false);
+  assert.equal(getSurface("mobius").twoSided, true);
+});
+
+test("the registry rejects unknown and incomplete surfaces", function () {
+  assert.throws(function () {
+    getSurface("teapot");
+  }, /Unknown surface 'teapot'/);
+  assert.throws(function () {
+    registerSurface("broken", { domain: function () {} });
+  }, /needs a position function/);
+  assert.throws(function () {
+    registerSurface("broken", { position: function () {} });
+  }, /needs a domain function/);
+});
+
+test("parameters are clamped into their ranges", function () {
+  const torus = getSurface("torus");
+  const params = resolveSurfaceParams(torus, { R: 99, r: -1 });
+  assert.equal(params.R, torus.params.R.max);
+  assert.equal(params.r, torus.params.r.min);
+
+  const defaults = resolveSurfaceParams(torus, { R: NaN });
+  assert.equal(defaults.R, torus.params.R.defaultValue);
+  assert.equal(defaults.r, torus.params.r.defaultValue);
+});
+
+test("derivatives match finite differences", function () {
+  BUILT_IN_SURFACES.forEach(function (id) {
+    const surface = getSurface(id);
+    const params = resolveSurfaceParams(surface);
+    const domain = surface.domain(params);
+    [0.3, 0.7].forEach(function (a) {
+      [0.2, 0.65].forEach(function (b) {
+        const u = domain.u[0] + a * (domain.u[1] - domain.u[0]);
+        const v = domain.v[0] + b * (domain.v[1] - domain.v[0]);
+        const d = surfaceDerivatives(surface, u, v, params);
+        const h = 1e-6;
+        for (let c = 0; c < 3; c++) {
+          const pu =
+            (surface.position(u + h, v, params)[c] -
+              surface.position(u - h, v, params)[c]) /
+            (2 * h);
+          const pv =
+            (surface.position(u, v + h, params)[c] -
+              surface.position(u, v - h, params)[c]) /
+            (2 * h);
+          assertClose(d.du[c], pu, 1e-4, id + " du[" + c + "]");
+          assertClose(d.dv[c], pv, 1e-4, id + " dv[" + c + "]");
+        }
+      });
+    });
+  });
+});
+
+test("closed surfaces are oriented outwards", function () {
+  const sphere = getSurface("sphere");
+  assertClose(
+    enclosedVolume(sphere, { R: 1 }, 200),
+    (4 / 3) * Math.PI,
+    1e-3,
+    "sphere volume"
+  );
+  const torus = getSurface("torus");
+  assertClose(
+    enclosedVolume(torus, { R: 1, r: 0.35 }, 200),
+    2 * Math.PI * Math.PI * 0.35 * 0.35,
+    1e-3,
+    "torus volume"
+  );
+  const top = getSurface("hummingTop");
+  assert.ok(enclosedVolume(top, resolveSurfaceParams(top), 200) > 0);
+});
@@ -0,0 +1,142 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts.js");
+
+const scope = loadScripts(["surfaces.js", "expression.js", "geometry.js"]);
+const CreateSurfaceData = scope("CreateSurfaceData");
+const UV_MAPPINGS = [
+  "UV_PARAMETRIC",
+  "UV_ARC_LENGTH",
+  "UV_CYLINDRICAL",
+  "UV_SPHERICAL",
+  "UV_CONFORMAL",
+].map(scope);
+
+function surfaceMesh(surface, uvMapping) {
+  return CreateSurfaceData(32, 24, { surface: surface, uvMapping: uvMapping });
+}
+
+// dP/ds and dP/dt of every non-degenerate triangle, from its corners
+function triangleJacobians(mesh) {
+  const P = mesh.positions;
+  const UV = mesh.texCoords;
+  let jacobians = [];
+  for (let f = 0; f < mesh.indices.length; f += 3) {
+    const [a, b, c] = mesh.indices.slice(f, f + 3);
+    const e1 = [0, 1, 2].map(function (k) {
+      return P[3 * b + k] - P[3 * a + k];
+    });
+    const e2 = [0, 1, 2].map(function (k) {
+      return P[3 * c + k] - P[3 * a + k];
+    });
+    const ds1 = UV[2 * b] - UV[2 * a];
+    const dt1 = UV[2 * b + 1] - UV[2 * a + 1];
+    const ds2 = UV[2 * c] - UV[2 * a];
+    const dt2 = UV[2 * c + 1] - UV[2 * a + 1];
+    const det = ds1 * dt2 - ds2 * dt1;
+    const area = Math.hypot(
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0]
+    );
+    if (Math.abs(det) < 1e-12 || area < 1e-12) continue;
+    jacobians.push({
+      vertex: a,
+      ds: [0, 1, 2].map(function (k) {
+        return (e1[k] * dt2 - e2[k] * dt1) / det;
+      }),
+      dt: [0, 1, 2].map(function (k) {
+        return (e2[k] * ds1 - e1[k] * ds2) / det;
+      }),
+    });
+  }
+  return jacobians;
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Mean angle distortion sigma1 / sigma2 - 1 of the UV -> surface map
+function conformalDistortion(mesh) {
+  const jacobians = triangleJacobians(mesh);
+  let sum = 0;
+  jacobians.forEach(function (J) {
+    const E = dot(J.ds, J.ds);
+    const F = dot(J.ds, J.dt);
+    const G = dot(J.dt, J.dt);
+    const root = Math.sqrt((E - G) * (E - G) + 4 * F * F);
+    sum += Math.sqrt((E + G + root) / (E + G - root)) - 1;
+  });
+  return sum / jacobians.length;
+}
+
+test("every mapping gives finite UVs and tangents", function () {
+  ["hummingTop", "torus", "mobius", "klein"].forEach(function (surface) {
+    UV_MAPPINGS.forEach(function (mapping) {
+      const mesh = surfaceMesh(surface, mapping);
+      ["texCoords", "tangents"].forEach(function (key) {
+        for (let i = 0; i < mesh[key].length; i++) {
+          if (!Number.isFinite(mesh[key][i])) {
+            assert.fail(surface + " " + mapping + ": " + key + "[" + i + "]");
+          }
+        }
+      });
+    });
+  });
+});
+
+test("tangents follow dP/ds of the active mapping", function () {
+  UV_MAPPINGS.forEach(function (mapping) {
+    const mesh = surfaceMesh("hummingTop", mapping);
+    triangleJacobians(mesh).forEach(function (J) {
+      const t = mesh.tangents.slice(3 * J.vertex, 3 * J.vertex + 3);
+      if (!(dot(t, J.ds) > 0)) {
+        assert.fail(mapping + ": tangent at " + J.vertex + " against dP/ds");
+      }
+    });
+  });
+});
+
+test("projections of the sphere reproduce its parameterisation", function () {
+  const parametric = surfaceMesh("sphere", "parametric");
+  ["arcLength", "spherical"].forEach(function (mapping) {
+    const mesh = surfaceMesh("sphere", mapping);
+    for (let i = 1; i < mesh.texCoords.length; i += 2) {
+      const error = Math.abs(mesh.texCoords[i] - parametric.texCoords[i]);
+      if (!(error < 1e-3)) assert.fail(mapping + " t differs by " + error);
+    }
+  });
+  const cylindrical = surfaceMesh("sphere", "cylindrical");
+  for (let i = 0; i < cylindrical.texCoords.length / 2; i++) {
+    const y = cylindrical.positions[3 * i + 1];
+    const t = cylindrical.texCoords[2 * i + 1];
+    assert.ok(Math.abs(t - 0.5 * (y + 1)) < 1e-6, "cylindrical t " + t);
+  }
+});
+
+test("the conformal unwrap fills the unit square with little distortion", function () {
+  const parametric = surfaceMesh("hummingTop", "parametric");
+  const conformal = surfaceMesh("hummingTop", "conformal");
+  for (let i = 0; i < conformal.texCoords.length; i++) {
+    const x = conformal.texCoords[i];
+    assert.ok(x >= -1e-9 && x <= 1 + 1e-9, "uv " + x);
+  }
+  const distortion = conformalDistortion(conformal);
+  assert.ok(distortion < 0.2, "distortion " + distortion);
+  assert.ok(distortion < conformalDistortion(parametric) / 3);
+});
+
+test("triplanar keeps the parametric UVs; unknown mappings fail", function () {
+  const parametric = surfaceMesh("torus", "parametric");
+  const triplanar = surfaceMesh("torus", "triplanar");
+  assert.deepEqual(
+    Array.from(triplanar.texCoords),
+    Array.from(parametric.texCoords)
+  );
+  assert.throws(function () {
+    surfaceMesh("torus", "octahedral");
+  }, /Unknown UV mapping: octahedral/);
+});